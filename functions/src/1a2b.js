@@ -0,0 +1,119 @@
+/**
+ * Callable functions for 1A2B games.
+ * The secret number lives in games/{id}/private/secret, which clients cannot
+ * read; it is copied onto the game document only once the game is over.
+ */
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { generateNumberFor1A2B, analyzeGuess, isValidGuess } from '../../src/utils/1a2b';
+import { requireUser, getGameRef } from './requests';
+
+/**
+ * Scores a guess for the signed-in player.
+ * Request data: { gameId, guess, expectedGuessCount }
+ * Returns { a, b, isWin, isGameOver }.
+ */
+export const make1A2BGuess = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+  const { guess, expectedGuessCount } = request.data;
+
+  if (typeof guess !== 'string' || !isValidGuess(guess)) {
+    throw new HttpsError('invalid-argument', 'Invalid guess. Must be 4 unique digits.');
+  }
+
+  const secretRef = gameRef.collection('private').doc('secret');
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const [gameDoc, secretDoc] = await Promise.all([
+      transaction.get(gameRef),
+      transaction.get(secretRef)
+    ]);
+
+    if (!gameDoc.exists) {
+      throw new HttpsError('not-found', 'Game not found');
+    }
+
+    const game = gameDoc.data();
+    const guesses = game.guesses || [];
+
+    if (game.gameType !== '1a2b') {
+      throw new HttpsError('invalid-argument', 'Not a 1A2B game');
+    }
+
+    if (game.status !== 'active') {
+      throw new HttpsError('failed-precondition', 'Game not active');
+    }
+
+    // A guess made against a game that has moved on; 'aborted' tells the client to reload
+    if (expectedGuessCount !== undefined && guesses.length !== expectedGuessCount) {
+      throw new HttpsError(
+        'aborted',
+        `Expected ${expectedGuessCount} guesses, game has ${guesses.length}`
+      );
+    }
+
+    // Check if it's the player's turn
+    const isPlayer1 = game.player1.uid === uid;
+    const isPlayer2 = game.player2.uid === uid;
+
+    if (!isPlayer1 && !isPlayer2) {
+      throw new HttpsError('permission-denied', 'You are not a player in this game');
+    }
+
+    if ((isPlayer1 && game.currentTurn !== 'player1') || (isPlayer2 && game.currentTurn !== 'player2')) {
+      throw new HttpsError('failed-precondition', 'Not your turn');
+    }
+
+    // The secret is drawn on the first guess so no client ever holds it.
+    // Games created before the secret was moved still carry it on the document.
+    const secretNumber = secretDoc.exists
+      ? secretDoc.data().secretNumber
+      : game.secretNumber || generateNumberFor1A2B();
+
+    if (!secretDoc.exists) {
+      transaction.set(secretRef, { secretNumber, createdAt: FieldValue.serverTimestamp() });
+    }
+
+    const { a, b } = analyzeGuess(guess, secretNumber);
+
+    const guessResult = {
+      guess,
+      a,
+      b,
+      player: isPlayer1 ? 'player1' : 'player2',
+      playerName: isPlayer1 ? game.player1.displayName : game.player2.displayName,
+      timestamp: new Date().toISOString()
+    };
+
+    // Check for win (4A0B)
+    const isWin = a === 4;
+    const remainingGuesses = game.remainingGuesses - 1;
+    const isGameOver = isWin || remainingGuesses === 0;
+
+    const updates = {
+      guesses: [...guesses, guessResult],
+      remainingGuesses,
+      currentTurn: game.currentTurn === 'player1' ? 'player2' : 'player1',
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    if (isGameOver) {
+      updates.status = 'completed';
+      // Revealed now that it can no longer help anyone
+      updates.secretNumber = secretNumber;
+
+      if (isWin) {
+        updates.winner = isPlayer1 ? 'player1' : 'player2';
+        updates.winReason = 'Guessed the number';
+      } else {
+        updates.winner = 'draw';
+        updates.winReason = 'Ran out of guesses';
+      }
+    }
+
+    transaction.update(gameRef, updates);
+
+    return { a, b, isWin, isGameOver };
+  });
+});
@@ -0,0 +1,462 @@
+/**
+ * Callable functions for chess games.
+ * Every move is replayed with the same engine the client uses (src/utils/chess),
+ * so a client can only ever ask for a move, never write a position.
+ */
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import {
+  ChessGame,
+  findOpening,
+  identifyOpening,
+  getPositionFields,
+  getMoveRecord,
+  getMoveId,
+  getRemainingTime,
+  hasFlagged,
+  pressClock,
+  stopClock,
+  getTimeoutOutcome
+} from '../../src/utils/chess';
+import { requireUser, getGameRef } from './requests';
+
+const SQUARE_PATTERN = /^[a-h][1-8]$/;
+const PROMOTION_PIECES = ['queen', 'rook', 'bishop', 'knight'];
+const DROP_PIECES = ['pawn', 'knight', 'bishop', 'rook', 'queen'];
+
+/**
+ * Reads an active chess game inside a transaction.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} gameRef - Game document reference
+ * @returns {Promise<Object>} The game data
+ * @throws {HttpsError} If the game does not exist, is not chess or is not active
+ */
+const getActiveChessGame = async (transaction, gameRef) => {
+  const gameDoc = await transaction.get(gameRef);
+
+  if (!gameDoc.exists) {
+    throw new HttpsError('not-found', 'Game not found');
+  }
+
+  const game = gameDoc.data();
+
+  // Games created before game types existed are chess games
+  if ((game.gameType || 'chess') !== 'chess') {
+    throw new HttpsError('invalid-argument', 'Not a chess game');
+  }
+
+  if (game.status !== 'active') {
+    throw new HttpsError('failed-precondition', 'Game not active');
+  }
+
+  return game;
+};
+
+/**
+ * Gets the colors a user plays in a game (both when playing against themselves).
+ * @param {Object} game - The game data
+ * @param {string} uid - User ID
+ * @returns {Array} The user's colors
+ * @throws {HttpsError} If the user is not a player in the game
+ */
+const getPlayerColors = (game, uid) => {
+  const colors = ['white', 'black'].filter(color => game[`${color}Player`]?.uid === uid);
+
+  if (colors.length === 0) {
+    throw new HttpsError('permission-denied', 'You are not a player in this game');
+  }
+
+  return colors;
+};
+
+/**
+ * Gets the colors a user may move for. In a game against the computer the
+ * player's browser runs the computer, so it also submits the computer's moves.
+ * @param {Object} game - The game data
+ * @param {string} uid - User ID
+ * @returns {Array} The colors the user may move
+ * @throws {HttpsError} If the user is not a player in the game
+ */
+const getMovableColors = (game, uid) => {
+  const colors = getPlayerColors(game, uid);
+  return game.computer ? [...colors, game.computer.color] : colors;
+};
+
+/**
+ * Gets the fields that end a game, stopping the clock of timed games.
+ * @param {Object} game - The game data (clock and currentTurn are used)
+ * @param {Object} outcome - { winner, reason }
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object} Fields for the game document
+ */
+const getResultFields = (game, { winner, reason }, now) => {
+  const fields = {
+    status: 'completed',
+    winner,
+    winReason: reason,
+    drawOfferBy: null,
+    takebackRequest: null,
+    updatedAt: FieldValue.serverTimestamp()
+  };
+
+  if (game.clock) {
+    fields.clock = stopClock(game.clock, game.currentTurn, now);
+  }
+
+  return fields;
+};
+
+/**
+ * Makes a move for the signed-in player.
+ * Request data: { gameId, from, to, promotion, expectedPly }, or { gameId, to, drop, expectedPly }
+ * for a Crazyhouse drop
+ * Returns the stored move document and the outcome (null if the game continues).
+ */
+export const makeMove = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+  const { from = null, to, promotion = null, drop = null, expectedPly } = request.data;
+
+  if (drop !== null && !DROP_PIECES.includes(drop)) {
+    throw new HttpsError('invalid-argument', `Invalid drop piece ${drop}`);
+  }
+
+  if ((drop === null && !SQUARE_PATTERN.test(from)) || !SQUARE_PATTERN.test(to)) {
+    throw new HttpsError('invalid-argument', 'from and to must be squares such as e2');
+  }
+
+  if (promotion !== null && !PROMOTION_PIECES.includes(promotion)) {
+    throw new HttpsError('invalid-argument', `Invalid promotion piece ${promotion}`);
+  }
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const game = await getActiveChessGame(transaction, gameRef);
+    const now = Date.now();
+
+    // A move made against a position that has moved on, e.g. from a second tab;
+    // 'aborted' tells the client to reload rather than report an error
+    if (expectedPly !== undefined && (game.ply || 0) !== expectedPly) {
+      throw new HttpsError('aborted', `Expected ply ${expectedPly}, game is at ply ${game.ply || 0}`);
+    }
+
+    if (!getMovableColors(game, uid).includes(game.currentTurn)) {
+      throw new HttpsError('failed-precondition', 'Not your turn');
+    }
+
+    // A move sent after the flag fell ends the game instead
+    if (game.clock && hasFlagged(game.clock, game.currentTurn, now)) {
+      const outcome = getTimeoutOutcome(game.board, game.currentTurn);
+      transaction.update(gameRef, getResultFields(game, outcome, now));
+
+      return { move: null, outcome };
+    }
+
+    const chess = ChessGame.fromPosition(game);
+    let move;
+
+    try {
+      move = chess.move(drop ? { to, drop } : { from, to, promotionPiece: promotion });
+    } catch (error) {
+      throw new HttpsError('invalid-argument', error.message);
+    }
+
+    const outcome = chess.outcome();
+    const ply = (game.ply || 0) + 1;
+    const moveRecord = getMoveRecord(chess, move, ply);
+
+    // A takeback request is for the position it was made in, so any move ends it
+    const updates = {
+      ...getPositionFields(chess),
+      ply,
+      takebackRequest: null,
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    // The opening stays named after play leaves the table
+    const opening = findOpening(chess.hash());
+    if (opening) {
+      updates.opening = opening;
+    }
+
+    if (game.clock) {
+      updates.clock = pressClock(game.clock, game.timeControl, game.currentTurn, now);
+    }
+
+    if (outcome) {
+      Object.assign(updates, getResultFields(updates, outcome, now));
+    }
+
+    // Append the move and update the current position together
+    transaction.set(gameRef.collection('moves').doc(getMoveId(ply)), {
+      ...moveRecord,
+      createdAt: FieldValue.serverTimestamp()
+    });
+    transaction.update(gameRef, updates);
+
+    return { move: moveRecord, outcome };
+  });
+});
+
+/**
+ * Resigns the game for the signed-in player.
+ * Request data: { gameId }
+ */
+export const resignGame = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const game = await getActiveChessGame(transaction, gameRef);
+    const colors = getPlayerColors(game, uid);
+
+    // Someone playing both sides resigns for the side to move
+    const resigningColor = colors.length === 1 ? colors[0] : game.currentTurn;
+    const winner = resigningColor === 'white' ? 'black' : 'white';
+
+    transaction.update(gameRef, getResultFields(game, { winner, reason: 'Resignation' }, Date.now()));
+
+    return { winner };
+  });
+});
+
+/**
+ * Gets the color a user acts for when offering or asking something.
+ * Someone playing both sides acts for the side to move.
+ * @param {Object} game - The game data
+ * @param {string} uid - User ID
+ * @returns {string} 'white' or 'black'
+ * @throws {HttpsError} If the user is not a player in the game
+ */
+const getActingColor = (game, uid) => {
+  const colors = getPlayerColors(game, uid);
+  return colors.length === 1 ? colors[0] : game.currentTurn;
+};
+
+/**
+ * Checks whether a user may answer an offer or request made by a color.
+ * @param {Array} colors - The user's colors
+ * @param {string} by - The color that made the offer or request (null if none)
+ * @returns {boolean} True when there is one and the opponent made it
+ */
+const isFromOpponent = (colors, by) => Boolean(by) && !(colors.length === 1 && colors[0] === by);
+
+/**
+ * Offers a draw for the signed-in player.
+ * Request data: { gameId }
+ */
+export const offerDraw = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const game = await getActiveChessGame(transaction, gameRef);
+    const drawOfferBy = getActingColor(game, uid);
+
+    transaction.update(gameRef, { drawOfferBy, updatedAt: FieldValue.serverTimestamp() });
+
+    return { drawOfferBy };
+  });
+});
+
+/**
+ * Declines the opponent's draw offer.
+ * Request data: { gameId }
+ */
+export const declineDraw = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const game = await getActiveChessGame(transaction, gameRef);
+
+    if (!isFromOpponent(getPlayerColors(game, uid), game.drawOfferBy)) {
+      throw new HttpsError('failed-precondition', 'No draw offer from the opponent');
+    }
+
+    transaction.update(gameRef, { drawOfferBy: null, updatedAt: FieldValue.serverTimestamp() });
+
+    return {};
+  });
+});
+
+/**
+ * Accepts the opponent's draw offer.
+ * Request data: { gameId }
+ */
+export const acceptDraw = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const game = await getActiveChessGame(transaction, gameRef);
+    const colors = getPlayerColors(game, uid);
+
+    if (!isFromOpponent(colors, game.drawOfferBy)) {
+      throw new HttpsError('failed-precondition', 'No draw offer from the opponent');
+    }
+
+    transaction.update(gameRef, getResultFields(game, { winner: 'draw', reason: 'Agreement' }, Date.now()));
+
+    return { winner: 'draw' };
+  });
+});
+
+/**
+ * Asks the opponent to take back the signed-in player's last move.
+ * The request is tied to the current ply, so any later move makes it stale.
+ * Request data: { gameId }
+ */
+export const requestTakeback = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const game = await getActiveChessGame(transaction, gameRef);
+    const by = getActingColor(game, uid);
+    const ply = game.ply || 0;
+
+    // The requester's last move, and the reply to it when it is their turn again
+    if (ply < (game.currentTurn === by ? 2 : 1)) {
+      throw new HttpsError('failed-precondition', 'Nothing to take back');
+    }
+
+    const takebackRequest = { by, ply };
+    transaction.update(gameRef, { takebackRequest, updatedAt: FieldValue.serverTimestamp() });
+
+    return { takebackRequest };
+  });
+});
+
+/**
+ * Declines the opponent's takeback request.
+ * Request data: { gameId }
+ */
+export const declineTakeback = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const game = await getActiveChessGame(transaction, gameRef);
+
+    if (!isFromOpponent(getPlayerColors(game, uid), game.takebackRequest?.by)) {
+      throw new HttpsError('failed-precondition', 'No takeback request from the opponent');
+    }
+
+    transaction.update(gameRef, { takebackRequest: null, updatedAt: FieldValue.serverTimestamp() });
+
+    return {};
+  });
+});
+
+/**
+ * Accepts the opponent's takeback request, undoing the requester's last move
+ * and, when the opponent has already replied, the reply as well. The position
+ * is replayed from the stored moves, since the game document only keeps the
+ * latest one.
+ * Request data: { gameId }
+ * Returns the number of plies taken back.
+ */
+export const acceptTakeback = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const game = await getActiveChessGame(transaction, gameRef);
+    const colors = getPlayerColors(game, uid);
+    const takeback = game.takebackRequest;
+
+    if (!isFromOpponent(colors, takeback?.by)) {
+      throw new HttpsError('failed-precondition', 'No takeback request from the opponent');
+    }
+
+    // Requests are cleared by every move, but one written for another ply is stale
+    const ply = game.ply || 0;
+    const count = game.currentTurn === takeback.by ? 2 : 1;
+
+    if (takeback.ply !== ply || ply < count) {
+      throw new HttpsError('failed-precondition', 'Nothing to take back');
+    }
+
+    const movesSnapshot = await transaction.get(gameRef.collection('moves').orderBy('ply'));
+    const moves = movesSnapshot.docs.map(moveDoc => moveDoc.data()).slice(0, ply - count);
+    const chess = ChessGame.fromGame({ ...game, moves });
+    const now = Date.now();
+
+    const updates = {
+      ...getPositionFields(chess),
+      ply: ply - count,
+      opening: identifyOpening(chess.positionHashes()),
+      takebackRequest: null,
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    // Time already used is not given back; the clock restarts for the side now to move,
+    // or waits for White's first move again
+    if (game.clock) {
+      updates.clock = {
+        ...stopClock(game.clock, game.currentTurn, now),
+        turnStartedAt: ply - count === 0 ? null : now
+      };
+    }
+
+    for (let taken = ply - count + 1; taken <= ply; taken++) {
+      transaction.delete(gameRef.collection('moves').doc(getMoveId(taken)));
+    }
+    transaction.update(gameRef, updates);
+
+    return { plies: count };
+  });
+});
+
+/**
+ * Claims a draw when the current position has occurred three times.
+ * The claim is checked against the stored position hashes.
+ * Request data: { gameId }
+ */
+export const claimThreefoldRepetition = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const game = await getActiveChessGame(transaction, gameRef);
+    getPlayerColors(game, uid);
+
+    if (!ChessGame.fromPosition(game).canClaimThreefoldRepetition()) {
+      throw new HttpsError('failed-precondition', 'Position has not occurred three times');
+    }
+
+    transaction.update(gameRef, getResultFields(game, { winner: 'draw', reason: 'Threefold repetition' }, Date.now()));
+
+    return { winner: 'draw' };
+  });
+});
+
+/**
+ * Ends a timed game when the side to move has run out of time.
+ * Either player may claim it, so a player who never moves again still loses.
+ * Too early a claim is rejected with { currentTurn, remainingMs } as details.
+ * Request data: { gameId }
+ */
+export const claimTimeout = onCall(async (request) => {
+  const uid = requireUser(request);
+  const gameRef = getGameRef(request.data);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const game = await getActiveChessGame(transaction, gameRef);
+    const now = Date.now();
+    getPlayerColors(game, uid);
+
+    // A client clock running ahead of ours learns when to claim again
+    if (!game.clock || !hasFlagged(game.clock, game.currentTurn, now)) {
+      throw new HttpsError('failed-precondition', 'Time has not run out', game.clock && {
+        currentTurn: game.currentTurn,
+        remainingMs: getRemainingTime(game.clock, game.currentTurn, game.currentTurn, now)
+      });
+    }
+
+    const outcome = getTimeoutOutcome(game.board, game.currentTurn);
+    transaction.update(gameRef, getResultFields(game, outcome, now));
+
+    return { outcome };
+  });
+});
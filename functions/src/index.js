@@ -0,0 +1,23 @@
+/**
+ * Cloud Functions for the game platform.
+ * Chess moves, 1A2B guesses and game results are only written here; the
+ * Firestore rules stop clients from changing them or reading the 1A2B secret.
+ */
+import { initializeApp } from 'firebase-admin/app';
+
+initializeApp();
+
+export {
+  makeMove,
+  resignGame,
+  offerDraw,
+  declineDraw,
+  acceptDraw,
+  requestTakeback,
+  declineTakeback,
+  acceptTakeback,
+  claimThreefoldRepetition,
+  claimTimeout
+} from './chess';
+
+export { make1A2BGuess } from './1a2b';
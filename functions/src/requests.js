@@ -0,0 +1,33 @@
+/**
+ * Helpers shared by the callable functions.
+ */
+import { HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore } from 'firebase-admin/firestore';
+
+/**
+ * Gets the signed-in user's ID.
+ * @param {Object} request - The callable request
+ * @returns {string} User ID
+ * @throws {HttpsError} If the caller is not signed in
+ */
+export const requireUser = (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be signed in');
+  }
+
+  return request.auth.uid;
+};
+
+/**
+ * Gets the reference of the game named in a request.
+ * @param {Object} data - Request data with gameId
+ * @returns {Object} Document reference
+ * @throws {HttpsError} If gameId is missing
+ */
+export const getGameRef = (data) => {
+  if (!data || typeof data.gameId !== 'string' || !data.gameId) {
+    throw new HttpsError('invalid-argument', 'gameId is required');
+  }
+
+  return getFirestore().collection('games').doc(data.gameId);
+};
@@ -0,0 +1,67 @@
+/**
+ * 1A2B callables, run against the Firestore emulator with `npm test`.
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { getFirestore } from 'firebase-admin/firestore';
+import { make1A2BGuess } from '../src';
+
+const PLAYER1 = { uid: 'player1-uid', displayName: 'Player 1' };
+const PLAYER2 = { uid: 'player2-uid', displayName: 'Player 2' };
+
+const gameRef = () => getFirestore().collection('games').doc('test-1a2b');
+const secretRef = () => gameRef().collection('private').doc('secret');
+
+const guess = (uid, value, expectedGuessCount) =>
+  make1A2BGuess.run({ auth: { uid }, data: { gameId: 'test-1a2b', guess: value, expectedGuessCount } });
+
+beforeEach(async () => {
+  await getFirestore().recursiveDelete(gameRef());
+
+  await gameRef().set({
+    gameType: '1a2b',
+    status: 'active',
+    winner: null,
+    winReason: null,
+    player1: PLAYER1,
+    player2: PLAYER2,
+    currentTurn: 'player2',
+    guesses: [],
+    maxGuesses: 10,
+    remainingGuesses: 10
+  });
+});
+
+test('the secret is drawn on the first guess and kept off the game document', async () => {
+  await guess(PLAYER2.uid, '1234', 0);
+
+  const secret = (await secretRef().get()).data();
+  assert.match(secret.secretNumber, /^\d{4}$/);
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.guesses.length, 1);
+  assert.strictEqual('secretNumber' in game, false);
+});
+
+test('guesses are scored against the stored secret and it is revealed at the end', async () => {
+  await secretRef().set({ secretNumber: '5678' });
+
+  const miss = await guess(PLAYER2.uid, '5687', 0);
+  assert.deepStrictEqual(miss, { a: 2, b: 2, isWin: false, isGameOver: false });
+  assert.strictEqual('secretNumber' in (await gameRef().get()).data(), false);
+
+  await guess(PLAYER1.uid, '1234', 1);
+  const win = await guess(PLAYER2.uid, '5678', 2);
+  assert.strictEqual(win.isWin, true);
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.status, 'completed');
+  assert.strictEqual(game.winner, 'player2');
+  assert.strictEqual(game.secretNumber, '5678');
+});
+
+test('stale guesses and guesses out of turn are rejected', async () => {
+  await assert.rejects(guess(PLAYER2.uid, '1234', 3), error => error.code === 'aborted');
+  await assert.rejects(guess(PLAYER1.uid, '1234', 0), error => error.code === 'failed-precondition');
+  await assert.rejects(guess(PLAYER2.uid, '1123', 0), error => error.code === 'invalid-argument');
+});
@@ -0,0 +1,210 @@
+/**
+ * Chess callables, run against the Firestore emulator with `npm test`.
+ * The test files are bundled like the functions so they can share the engine.
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { getFirestore } from 'firebase-admin/firestore';
+import {
+  makeMove,
+  resignGame,
+  offerDraw,
+  declineDraw,
+  acceptDraw,
+  requestTakeback,
+  declineTakeback,
+  acceptTakeback,
+  claimThreefoldRepetition
+} from '../src';
+import { ChessGame, getPositionFields } from '../../src/utils/chess';
+
+const WHITE = { uid: 'white-uid', displayName: 'White' };
+const BLACK = { uid: 'black-uid', displayName: 'Black' };
+
+const gameRef = () => getFirestore().collection('games').doc('test-game');
+
+const call = (fn, uid, data) => fn.run({ auth: uid ? { uid } : null, data });
+
+const expectError = async (promise, code) => {
+  await assert.rejects(promise, error => error.code === code);
+};
+
+beforeEach(async () => {
+  await getFirestore().recursiveDelete(gameRef());
+
+  const chess = new ChessGame();
+  await gameRef().set({
+    gameType: 'chess',
+    status: 'active',
+    winner: null,
+    winReason: null,
+    whitePlayer: WHITE,
+    blackPlayer: BLACK,
+    startFen: null,
+    ...getPositionFields(chess),
+    ply: 0,
+    drawOfferBy: null
+  });
+});
+
+test('a legal move updates the position and appends a move document', async () => {
+  const result = await call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'e2', to: 'e4' });
+
+  assert.strictEqual(result.move.san, 'e4');
+  assert.strictEqual(result.outcome, null);
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.currentTurn, 'black');
+  assert.strictEqual(game.ply, 1);
+  assert.strictEqual(game.board.find(cell => cell.position === 'e4').piece.type, 'pawn');
+
+  const move = (await gameRef().collection('moves').doc('0001').get()).data();
+  assert.strictEqual(move.san, 'e4');
+});
+
+test('illegal moves are rejected without writing', async () => {
+  await expectError(call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'e2', to: 'e5' }), 'invalid-argument');
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.ply, 0);
+  assert.strictEqual(game.currentTurn, 'white');
+});
+
+test('only the player to move can move', async () => {
+  await expectError(call(makeMove, BLACK.uid, { gameId: 'test-game', from: 'e7', to: 'e5' }), 'failed-precondition');
+  await expectError(call(makeMove, 'spectator', { gameId: 'test-game', from: 'e2', to: 'e4' }), 'permission-denied');
+  await expectError(call(makeMove, null, { gameId: 'test-game', from: 'e2', to: 'e4' }), 'unauthenticated');
+});
+
+test('moves made against an older ply are rejected', async () => {
+  await call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'e2', to: 'e4', expectedPly: 0 });
+  await expectError(call(makeMove, BLACK.uid, { gameId: 'test-game', from: 'e7', to: 'e5', expectedPly: 0 }), 'aborted');
+  await call(makeMove, BLACK.uid, { gameId: 'test-game', from: 'e7', to: 'e5', expectedPly: 1 });
+});
+
+test('the player submits the computer\'s moves in a game against the computer', async () => {
+  await gameRef().update({ blackPlayer: { uid: null, displayName: '電腦 (等級 3)' }, computer: { color: 'black', level: 3 } });
+
+  await call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'e2', to: 'e4' });
+  await call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'e7', to: 'e5' });
+  await expectError(call(makeMove, 'spectator', { gameId: 'test-game', from: 'g1', to: 'f3' }), 'permission-denied');
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.ply, 2);
+});
+
+test('checkmate completes the game', async () => {
+  const moves = [['f2', 'f3'], ['e7', 'e5'], ['g2', 'g4'], ['d8', 'h4']];
+
+  for (const [index, [from, to]] of moves.entries()) {
+    const player = index % 2 === 0 ? WHITE : BLACK;
+    await call(makeMove, player.uid, { gameId: 'test-game', from, to });
+  }
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.status, 'completed');
+  assert.strictEqual(game.winner, 'black');
+  assert.strictEqual(game.winReason, 'Checkmate');
+
+  await expectError(call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'a2', to: 'a3' }), 'failed-precondition');
+});
+
+test('captured pieces can be dropped in Crazyhouse', async () => {
+  const chess = new ChessGame(null, { variant: 'crazyhouse' });
+  ['e4', 'd5', 'exd5', 'Qxd5'].forEach(move => chess.move(move));
+  await gameRef().update({ variant: 'crazyhouse', ...getPositionFields(chess) });
+
+  const result = await call(makeMove, WHITE.uid, { gameId: 'test-game', to: 'd4', drop: 'pawn' });
+  assert.strictEqual(result.move.san, 'P@d4');
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.variantState.pockets.white.pawn, 0);
+  assert.strictEqual(game.variantState.pockets.black.pawn, 1);
+
+  await expectError(call(makeMove, BLACK.uid, { gameId: 'test-game', to: 'e4', drop: 'knight' }), 'invalid-argument');
+});
+
+test('resigning gives the win to the opponent', async () => {
+  await call(resignGame, BLACK.uid, { gameId: 'test-game' });
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.status, 'completed');
+  assert.strictEqual(game.winner, 'white');
+});
+
+test('a draw offer is made for the caller\'s own color and answered by the opponent', async () => {
+  const { drawOfferBy } = await call(offerDraw, BLACK.uid, { gameId: 'test-game' });
+  assert.strictEqual(drawOfferBy, 'black');
+
+  await expectError(call(acceptDraw, BLACK.uid, { gameId: 'test-game' }), 'failed-precondition');
+  await expectError(call(declineDraw, 'spectator', { gameId: 'test-game' }), 'permission-denied');
+  await call(declineDraw, WHITE.uid, { gameId: 'test-game' });
+  assert.strictEqual((await gameRef().get()).data().drawOfferBy, null);
+
+  await call(offerDraw, WHITE.uid, { gameId: 'test-game' });
+  const result = await call(acceptDraw, BLACK.uid, { gameId: 'test-game' });
+  assert.strictEqual(result.winner, 'draw');
+});
+
+test('an accepted takeback undoes the requester\'s move and the reply', async () => {
+  await call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'e2', to: 'e4' });
+  await call(makeMove, BLACK.uid, { gameId: 'test-game', from: 'e7', to: 'e5' });
+  await call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'g1', to: 'f3' });
+  await call(requestTakeback, BLACK.uid, { gameId: 'test-game' });
+
+  await expectError(call(acceptTakeback, BLACK.uid, { gameId: 'test-game' }), 'failed-precondition');
+  const result = await call(acceptTakeback, WHITE.uid, { gameId: 'test-game' });
+  assert.strictEqual(result.plies, 2);
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.ply, 1);
+  assert.strictEqual(game.currentTurn, 'black');
+  assert.deepStrictEqual(game.lastMove, { from: 'e2', to: 'e4', piece: { type: 'pawn', color: 'white' } });
+  assert.strictEqual(game.takebackRequest, null);
+
+  const moves = await gameRef().collection('moves').get();
+  assert.deepStrictEqual(moves.docs.map(moveDoc => moveDoc.id), ['0001']);
+});
+
+test('a takeback request expires when the game moves on', async () => {
+  await call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'e2', to: 'e4' });
+  await call(requestTakeback, WHITE.uid, { gameId: 'test-game' });
+  await call(makeMove, BLACK.uid, { gameId: 'test-game', from: 'e7', to: 'e5' });
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.takebackRequest, null);
+  await expectError(call(acceptTakeback, BLACK.uid, { gameId: 'test-game' }), 'failed-precondition');
+});
+
+test('a takeback needs a move to take back and can be declined by the opponent', async () => {
+  await expectError(call(requestTakeback, WHITE.uid, { gameId: 'test-game' }), 'failed-precondition');
+
+  await call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'e2', to: 'e4' });
+  const { takebackRequest } = await call(requestTakeback, WHITE.uid, { gameId: 'test-game' });
+  assert.deepStrictEqual(takebackRequest, { by: 'white', ply: 1 });
+
+  await expectError(call(declineTakeback, WHITE.uid, { gameId: 'test-game' }), 'failed-precondition');
+  await call(declineTakeback, BLACK.uid, { gameId: 'test-game' });
+  assert.strictEqual((await gameRef().get()).data().takebackRequest, null);
+});
+
+test('threefold repetition cannot be claimed early', async () => {
+  await expectError(call(claimThreefoldRepetition, WHITE.uid, { gameId: 'test-game' }), 'failed-precondition');
+});
+
+test('a move after the flag fell ends the game on time', async () => {
+  await gameRef().update({
+    timeControl: { initialMs: 60000, incrementMs: 0 },
+    clock: { whiteMs: 1000, blackMs: 60000, turnStartedAt: Date.now() - 5000 }
+  });
+
+  const result = await call(makeMove, WHITE.uid, { gameId: 'test-game', from: 'e2', to: 'e4' });
+
+  assert.strictEqual(result.move, null);
+  assert.deepStrictEqual(result.outcome, { winner: 'black', reason: 'Timeout' });
+
+  const game = (await gameRef().get()).data();
+  assert.strictEqual(game.status, 'completed');
+  assert.strictEqual(game.ply, 0);
+  assert.strictEqual(game.clock.whiteMs, 0);
+});
@@ -13,6 +13,7 @@ import Game from './pages/Game';
 import Game1A2B from './pages/Game1A2B';
 import GameSelection from './pages/GameSelection';
 import Profile from './pages/Profile';
+import Analysis from './pages/Analysis';
 import NotFound from './pages/NotFound';
 
 // Components
@@ -95,6 +96,8 @@ const App = () => {
               <Route path="/chess/:gameId" element={<PrivateRoute><Game /></PrivateRoute>} />
               <Route path="/1a2b/:gameId" element={<PrivateRoute><Game1A2B /></PrivateRoute>} />
               <Route path="/profile" element={<PrivateRoute><Profile /></PrivateRoute>} />
+              <Route path="/analysis" element={<Analysis />} />
+              <Route path="/analysis/:gameId" element={<PrivateRoute><Analysis /></PrivateRoute>} />
               <Route path="*" element={<NotFound />} />
             </Routes>
           </main>
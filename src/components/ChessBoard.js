@@ -1,30 +1,68 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   getPieceSymbol, 
   isPlayerTurn, 
   getPlayerColor,
   getPieceAtPosition,
-  isValidSquare,
-  positionToIndices,
   indicesToPosition,
-  calculatePieceMoves,
-  applyMove,
-  isInCheck,
-  wouldMoveResultInCheck,
-  isPromotionMove
+  ChessGame,
+  DROP_PIECES,
+  ANNOTATION_COLORS,
+  EMPTY_ANNOTATIONS,
+  toggleArrow,
+  toggleMark,
+  positionToIndices,
+  isPromotionMove,
+  getPremoveTargets,
+  applyPremoves
 } from '../utils/chess';
 import '../styles/ChessBoard.css';
 
+// Pixels the pointer must move before a press on a piece becomes a drag rather than a click
+const DRAG_THRESHOLD = 4;
+
+// Stroke colors for the annotation color codes
+const ANNOTATION_STROKES = {
+  G: 'rgba(21, 120, 27, 0.8)',
+  R: 'rgba(136, 32, 32, 0.8)',
+  Y: 'rgba(230, 143, 0, 0.8)',
+  B: 'rgba(0, 48, 136, 0.8)'
+};
+
+/**
+ * Gets the annotation color for the modifier keys held while drawing:
+ * none for green, Shift for red, Alt or Ctrl for blue, Shift+Alt for yellow.
+ * @param {Object} e - The pointer event
+ * @returns {string} Color code
+ */
+const getAnnotationColor = (e) => {
+  if (e.shiftKey && e.altKey) return 'Y';
+  if (e.shiftKey) return 'R';
+  if (e.altKey || e.ctrlKey) return 'B';
+  return 'G';
+};
+
 /**
  * ChessBoard component displays the chess board and handles piece movement.
+ * While the opponent is to move, the player can queue premoves, which are
+ * played as soon as it is their turn; right-click or Escape clears them.
+ * Pieces move by click-to-select then click-to-move, or by dragging them with
+ * a mouse, finger or pen. Right-drag draws an arrow and right-click marks a
+ * square, in colors picked with the modifier keys (see getAnnotationColor).
  * @param {Object} props - Component props
  * @param {Array} props.board - Array of objects representing the board state
  * @param {string} props.currentTurn - Current turn ('white' or 'black')
- * @param {Function} props.onMove - Callback function when a move is made
+ * @param {Function} props.onMove - Callback function when a move is made, called with (from, to, promotionPiece, drop)
  * @param {string} props.userId - Current user ID
  * @param {Object} props.game - Current game object
  * @param {Object} props.lastMove - The last move that was made (for en passant)
  * @param {Array} props.moveHistory - History of all moves made
+ * @param {boolean} props.freeMove - Let the user move either side, as on the analysis board
+ * @param {string} props.orientation - Color shown at the bottom ('white' or 'black'); defaults to the player's color
+ * @param {boolean} props.readOnly - Show the position without allowing moves, e.g. an earlier ply
+ * @param {Object} props.annotations - The user's arrows and marks, { arrows, marks }; kept by the board when not given
+ * @param {Function} props.onAnnotationsChange - Called with the new annotations when the user draws
+ * @param {Array} props.sharedAnnotations - Other users' annotations, shown but not editable
  */
 const ChessBoard = ({ 
   board, 
@@ -33,15 +71,48 @@ const ChessBoard = ({
   userId, 
   game, 
   lastMove = null,
-  moveHistory = [] 
+  moveHistory = [],
+  freeMove = false,
+  orientation = null,
+  readOnly = false,
+  annotations = null,
+  onAnnotationsChange = null,
+  sharedAnnotations = []
 }) => {
   const [selectedSquare, setSelectedSquare] = useState(null);
   const [validMoves, setValidMoves] = useState([]);
   const [flipped, setFlipped] = useState(false);
   const [promotionPending, setPromotionPending] = useState(null);
+  const [selectedDrop, setSelectedDrop] = useState(null);
+  const [premoves, setPremoves] = useState([]);
+  const premovePlayedAt = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const dragStart = useRef(null);
+  const suppressClick = useRef(false);
+  const [ownAnnotations, setOwnAnnotations] = useState(EMPTY_ANNOTATIONS);
+  const drawStart = useRef(null);
   
-  const playerColor = getPlayerColor(userId, game);
-  const canPlay = isPlayerTurn(userId, game) && game.status === 'active';
+  // Legal moves come from the shared engine for the displayed position
+  const chess = useMemo(
+    () => ChessGame.fromPosition({
+      board,
+      currentTurn,
+      lastMove,
+      variant: game.variant,
+      variantState: game.variantState
+    }),
+    [board, currentTurn, lastMove, game.variant, game.variantState]
+  );
+  
+  const playerColor = freeMove ? currentTurn : getPlayerColor(userId, game);
+  const canPlay = !readOnly && (freeMove || (isPlayerTurn(userId, game) && game.status === 'active'));
+  const canPremove = !readOnly && !freeMove && !canPlay && game.status === 'active' && !!playerColor;
+  
+  // The player's pieces are shown where the queued premoves take them
+  const shownBoard = useMemo(() => applyPremoves(board, premoves), [board, premoves]);
+  
+  // Crazyhouse pockets, null in other variants
+  const pockets = game.variantState?.pockets || null;
   
   // Debug information
   useEffect(() => {
@@ -55,24 +126,72 @@ const ChessBoard = ({
     });
   }, [canPlay, playerColor, currentTurn, selectedSquare, validMoves, game.status]);
   
-  // Determine if board should be flipped based on player color
+  // Determine if board should be flipped based on the orientation or player color
   useEffect(() => {
-    setFlipped(playerColor === 'black');
-  }, [playerColor]);
+    setFlipped((orientation || playerColor) === 'black');
+  }, [orientation, playerColor]);
   
-  // Reset selection when turn changes or game ends
+  // Reset selection when turn changes, game ends or an earlier ply is shown
   useEffect(() => {
     setSelectedSquare(null);
+    setSelectedDrop(null);
     setValidMoves([]);
-  }, [currentTurn, game.status]);
+  }, [currentTurn, game.status, readOnly]);
+  
+  // Annotations kept by the board are cleared when the position changes
+  useEffect(() => {
+    setOwnAnnotations(EMPTY_ANNOTATIONS);
+  }, [board]);
+  
+  // Premoves are dropped when the game ends or an earlier ply is shown
+  useEffect(() => {
+    setPremoves([]);
+  }, [game.status, readOnly]);
+  
+  // Play the first premove once it is the player's turn, or drop the queue if it is illegal now.
+  // Each position plays at most one premove; the rest wait for the next turn.
+  useEffect(() => {
+    if (!canPlay || premoves.length === 0 || premovePlayedAt.current === chess) return;
+    
+    const [premove, ...rest] = premoves;
+    const isLegal = chess.legalMoves(premove.from).some(move =>
+      move.to === premove.to && (!move.promotionPiece || move.promotionPiece === premove.promotionPiece)
+    );
+    
+    premovePlayedAt.current = chess;
+    
+    if (!isLegal) {
+      setPremoves([]);
+      return;
+    }
+    
+    setPremoves(rest);
+    onMove(premove.from, premove.to, premove.promotionPiece);
+  }, [canPlay, chess, premoves, onMove]);
+  
+  // Escape clears the premoves
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') clearPremoves();
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
   
   // When a square is clicked
   const handleSquareClick = (row, col) => {
     console.log(`Square clicked: ${row}, ${col}`);
     console.log(`Can play: ${canPlay}, Game status: ${game.status}`);
     
+    // The click that ends a drag was handled as a drop
+    if (suppressClick.current) {
+      suppressClick.current = false;
+      return;
+    }
+    
     // Don't allow moves if it's not the player's turn or game is completed
-    if (!canPlay) {
+    if (!canPlay && !canPremove) {
       console.log("Cannot move - not player's turn or game is completed");
       return;
     }
@@ -87,23 +206,29 @@ const ChessBoard = ({
     
     console.log(`Position: ${position}, Piece:`, piece);
     
+    // While the opponent is to move, clicks queue premoves
+    if (canPremove) {
+      handlePremoveClick(position);
+      return;
+    }
+    
+    // If a pocket piece is selected, drop it or cancel the drop
+    if (selectedDrop) {
+      setSelectedDrop(null);
+      setValidMoves([]);
+      
+      if (validMoves.includes(position)) {
+        onMove(null, position, null, selectedDrop);
+        return;
+      }
+    }
+    
     // If a piece is already selected
     if (selectedSquare) {
-      const selectedPiece = getPieceAtPosition(board, selectedSquare);
-      
       // If the clicked square is one of the valid moves, make the move
       if (validMoves.includes(position)) {
         console.log(`Making move from ${selectedSquare} to ${position}`);
-        
-        // Check if this is a pawn promotion move
-        if (selectedPiece.type === 'pawn' && isPromotionMove(selectedSquare, position, selectedPiece)) {
-          // Set promotion pending to show the promotion selection UI
-          setPromotionPending({ from: selectedSquare, to: position });
-          return;
-        }
-        
-        // Otherwise, make the regular move
-        makeMove(selectedSquare, position);
+        completeMove(selectedSquare, position);
         return;
       }
       
@@ -130,17 +255,206 @@ const ChessBoard = ({
     }
   };
   
+  // Select a piece or queue a premove, on the board as the earlier premoves leave it
+  const handlePremoveClick = (position) => {
+    const piece = getPieceAtPosition(shownBoard, position);
+    
+    if (selectedSquare && validMoves.includes(position)) {
+      completeMove(selectedSquare, position);
+      return;
+    }
+    
+    if (piece && piece.color === playerColor && position !== selectedSquare) {
+      selectSquare(position);
+      return;
+    }
+    
+    setSelectedSquare(null);
+    setValidMoves([]);
+  };
+  
+  // Select one of the player's pieces and show where it can go
+  const selectSquare = (position) => {
+    setSelectedDrop(null);
+    setSelectedSquare(position);
+    
+    if (canPremove) {
+      setValidMoves(getPremoveTargets(shownBoard, position));
+    } else {
+      calculateValidMoves(position, getPieceAtPosition(board, position));
+    }
+  };
+  
+  // Make or queue a move chosen by click or drop, asking for the promotion piece first
+  const completeMove = (from, to) => {
+    if (canPremove) {
+      if (isPromotionMove(from, to, getPieceAtPosition(shownBoard, from))) {
+        setPromotionPending({ from, to, premove: true });
+        return;
+      }
+      
+      queuePremove(from, to);
+      return;
+    }
+    
+    // Check if this is a pawn promotion move
+    const isPromotion = chess.legalMoves(from).some(move => 
+      move.to === to && move.promotionPiece
+    );
+    
+    if (isPromotion) {
+      // Set promotion pending to show the promotion selection UI
+      setPromotionPending({ from, to });
+      return;
+    }
+    
+    // Otherwise, make the regular move
+    makeMove(from, to);
+  };
+  
+  // The square under the pointer, if any
+  const getSquareAt = (e) => {
+    const square = document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-square]');
+    return square ? square.dataset.square : null;
+  };
+  
+  // Draw an arrow or mark a square, in the parent's annotations when it keeps them
+  const drawAnnotation = (from, to, color) => {
+    const current = annotations || ownAnnotations;
+    const next = from === to
+      ? toggleMark(current, { square: from, color })
+      : toggleArrow(current, { from, to, color });
+    
+    if (onAnnotationsChange) {
+      onAnnotationsChange(next);
+    } else {
+      setOwnAnnotations(next);
+    }
+  };
+  
+  // A press on one of the player's pieces may become a drag; the right button draws
+  const handlePointerDown = (e, position) => {
+    suppressClick.current = false;
+    
+    if (e.button === 2) {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      drawStart.current = { from: position, color: getAnnotationColor(e) };
+      return;
+    }
+    
+    if (e.button !== 0 || (!canPlay && !canPremove) || promotionPending) return;
+    
+    const piece = getPieceAtPosition(canPremove ? shownBoard : board, position);
+    if (!piece || piece.color !== playerColor) return;
+    
+    // Keep receiving the pointer's events when it leaves the square
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStart.current = { from: position, x: e.clientX, y: e.clientY };
+  };
+  
+  // Move the dragged piece with the pointer
+  const handlePointerMove = (e) => {
+    const start = dragStart.current;
+    if (!start) return;
+    
+    if (!drag) {
+      if (Math.hypot(e.clientX - start.x, e.clientY - start.y) < DRAG_THRESHOLD) return;
+      selectSquare(start.from);
+    }
+    
+    setDrag({ from: start.from, x: e.clientX, y: e.clientY });
+  };
+  
+  // Drop the dragged piece; anywhere but a legal target puts it back
+  const handlePointerUp = (e) => {
+    if (drawStart.current) {
+      const { from, color } = drawStart.current;
+      const to = getSquareAt(e);
+      
+      drawStart.current = null;
+      if (to) drawAnnotation(from, to, color);
+      return;
+    }
+    
+    const start = dragStart.current;
+    dragStart.current = null;
+    
+    if (!start || !drag) return;
+    
+    setDrag(null);
+    suppressClick.current = true;
+    
+    const to = getSquareAt(e);
+    
+    // Dropped back where it started: the piece stays selected for click-to-move
+    if (to === start.from) return;
+    
+    if (!to || !validMoves.includes(to)) {
+      setSelectedSquare(null);
+      setValidMoves([]);
+      return;
+    }
+    
+    completeMove(start.from, to);
+  };
+  
+  // A drag interrupted by the browser (e.g. a scroll gesture) puts the piece back
+  const handlePointerCancel = () => {
+    if (drag) {
+      setSelectedSquare(null);
+      setValidMoves([]);
+    }
+    
+    dragStart.current = null;
+    drawStart.current = null;
+    setDrag(null);
+  };
+  
+  // Add a premove to the queue
+  const queuePremove = (from, to, promotionPiece = null) => {
+    setPremoves([...premoves, { from, to, promotionPiece }]);
+    setSelectedSquare(null);
+    setValidMoves([]);
+    setPromotionPending(null);
+  };
+  
+  // Clear the premoves and any piece selected for one
+  const clearPremoves = () => {
+    setPremoves([]);
+    setSelectedSquare(null);
+    setValidMoves([]);
+  };
+  
+  // The right button draws instead of opening the browser menu, and clears the premoves
+  const handleContextMenu = (e) => {
+    e.preventDefault();
+    
+    if (premoves.length > 0 || selectedSquare) {
+      clearPremoves();
+    }
+  };
+  
+  // When a piece in the player's pocket is clicked
+  const handlePocketClick = (type) => {
+    if (!canPlay || promotionPending) return;
+    
+    if (selectedDrop === type) {
+      setSelectedDrop(null);
+      setValidMoves([]);
+      return;
+    }
+    
+    setSelectedSquare(null);
+    setSelectedDrop(type);
+    setValidMoves(chess.legalMoves().filter(move => move.drop === type).map(move => move.to));
+  };
+  
   // Calculate valid moves for a piece
   const calculateValidMoves = (position, piece) => {
     console.log(`Calculating valid moves for ${piece.type} at ${position}`);
     
-    // Get all potential moves for the piece
-    const potentialMoves = calculatePieceMoves(board, position, piece, lastMove);
-    
-    // Filter out moves that would result in check
-    const legalMoves = potentialMoves.filter(move => 
-      !wouldMoveResultInCheck(board, position, move, piece.color)
-    );
+    // Promotions appear once per piece type, so keep unique target squares
+    const legalMoves = [...new Set(chess.legalMoves(position).map(move => move.to))];
     
     console.log(`Valid moves:`, legalMoves);
     setValidMoves(legalMoves);
@@ -148,19 +462,10 @@ const ChessBoard = ({
   
   // Make a move
   const makeMove = (from, to, promotionPiece = null) => {
-    const piece = getPieceAtPosition(board, from);
-    
-    if (!piece) return;
-    
-    // Apply the move and get new board state
-    const { board: newBoard, moveInfo } = applyMove(board, from, to, lastMove, promotionPiece);
+    if (!getPieceAtPosition(board, from)) return;
     
-    // Update check status
-    const opponentColor = piece.color === 'white' ? 'black' : 'white';
-    moveInfo.isCheck = isInCheck(newBoard, opponentColor);
-    
-    // Pass the move to the parent component
-    onMove(from, to, piece, newBoard, moveInfo);
+    // Pass the move to the parent component, which validates and records it
+    onMove(from, to, promotionPiece);
     
     // Reset selection
     setSelectedSquare(null);
@@ -172,6 +477,11 @@ const ChessBoard = ({
   const handlePromotion = (pieceType) => {
     if (!promotionPending) return;
     
+    if (promotionPending.premove) {
+      queuePremove(promotionPending.from, promotionPending.to, pieceType);
+      return;
+    }
+    
     makeMove(promotionPending.from, promotionPending.to, pieceType);
   };
   
@@ -179,7 +489,7 @@ const ChessBoard = ({
   const renderPromotionOptions = () => {
     if (!promotionPending) return null;
     
-    const promotionPiece = getPieceAtPosition(board, promotionPending.from);
+    const promotionPiece = getPieceAtPosition(shownBoard, promotionPending.from);
     const color = promotionPiece.color;
     const pieceTypes = ['queen', 'rook', 'bishop', 'knight'];
     
@@ -203,6 +513,114 @@ const ChessBoard = ({
     );
   };
   
+  // Render the piece following the pointer during a drag
+  const renderDragGhost = () => {
+    const piece = getPieceAtPosition(shownBoard, drag.from);
+    if (!piece) return null;
+    
+    return (
+      <div className={`drag-ghost piece-${piece.color}`} style={{ left: drag.x, top: drag.y }}>
+        {getPieceSymbol(piece.type, piece.color)}
+      </div>
+    );
+  };
+  
+  // Render the arrows and marked squares over the board
+  const renderAnnotations = () => {
+    const sets = [...sharedAnnotations, annotations || ownAnnotations];
+    const arrows = sets.flatMap(set => set.arrows);
+    const marks = sets.flatMap(set => set.marks);
+    
+    if (arrows.length === 0 && marks.length === 0) return null;
+    
+    // Square centers in board units, one unit per square
+    const getCenter = (square) => {
+      const [row, col] = positionToIndices(square);
+      return [(flipped ? 7 - col : col) + 0.5, (flipped ? 7 - row : row) + 0.5];
+    };
+    
+    return (
+      <svg className="board-annotations" viewBox="0 0 8 8">
+        <defs>
+          {ANNOTATION_COLORS.map(color => (
+            <marker
+              key={color}
+              id={`arrowhead-${color}`}
+              markerWidth="4"
+              markerHeight="4"
+              refX="2.05"
+              refY="2"
+              orient="auto"
+            >
+              <path d="M0,0 V4 L3,2 Z" fill={ANNOTATION_STROKES[color]} />
+            </marker>
+          ))}
+        </defs>
+        {marks.map(({ square, color }, index) => {
+          const [x, y] = getCenter(square);
+          
+          return (
+            <circle
+              key={`mark-${index}`}
+              cx={x}
+              cy={y}
+              r="0.45"
+              fill="none"
+              stroke={ANNOTATION_STROKES[color]}
+              strokeWidth="0.07"
+            />
+          );
+        })}
+        {arrows.map(({ from, to, color }, index) => {
+          const [x1, y1] = getCenter(from);
+          const [x2, y2] = getCenter(to);
+          const length = Math.hypot(x2 - x1, y2 - y1);
+          
+          // Stop short of the target's center so the head ends inside the square
+          const end = (length - 0.3) / length;
+          
+          return (
+            <line
+              key={`arrow-${index}`}
+              x1={x1}
+              y1={y1}
+              x2={x1 + (x2 - x1) * end}
+              y2={y1 + (y2 - y1) * end}
+              stroke={ANNOTATION_STROKES[color]}
+              strokeWidth="0.15"
+              strokeLinecap="round"
+              markerEnd={`url(#arrowhead-${color})`}
+            />
+          );
+        })}
+      </svg>
+    );
+  };
+  
+  // Render a Crazyhouse pocket
+  const renderPocket = (color) => {
+    const isOwn = color === playerColor;
+    
+    return (
+      <div className={`pocket pocket-${color}`}>
+        {DROP_PIECES.filter(type => pockets[color][type] > 0).map(type => (
+          <div
+            key={type}
+            className={`
+              pocket-piece
+              ${isOwn && canPlay ? 'droppable' : ''}
+              ${isOwn && selectedDrop === type ? 'selected' : ''}
+            `}
+            onClick={() => isOwn && handlePocketClick(type)}
+          >
+            <span className={`chess-piece piece-${color}`}>{getPieceSymbol(type, color)}</span>
+            <span className="pocket-count">{pockets[color][type]}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+  
   // Render the board
   const renderBoard = () => {
     const rows = [];
@@ -215,7 +633,7 @@ const ChessBoard = ({
         const actualCol = flipped ? 7 - col : col;
         
         const position = indicesToPosition(actualRow, actualCol);
-        const piece = getPieceAtPosition(board, position);
+        const piece = getPieceAtPosition(shownBoard, position);
         
         const isSelected = selectedSquare === position;
         const isValidMove = validMoves.includes(position);
@@ -224,6 +642,8 @@ const ChessBoard = ({
         // Check if this square is the last move's from or to position
         const isLastMoveFrom = lastMove && lastMove.from === position;
         const isLastMoveTo = lastMove && lastMove.to === position;
+        const isPremove = premoves.some(premove => premove.from === position || premove.to === position);
+        const isDraggable = (canPlay || canPremove) && piece && piece.color === playerColor;
         
         // Determine square color
         const isLightSquare = (row + col) % 2 === 0;
@@ -239,12 +659,16 @@ const ChessBoard = ({
               ${isValidCapture ? 'valid-capture' : ''}
               ${isLastMoveFrom ? 'last-move-from' : ''}
               ${isLastMoveTo ? 'last-move-to' : ''}
+              ${isPremove ? 'premove' : ''}
+              ${isDraggable ? 'draggable' : ''}
               ${game.status === 'completed' ? 'cursor-not-allowed' : ''}
             `}
+            data-square={position}
             onClick={() => handleSquareClick(actualRow, actualCol)}
+            onPointerDown={(e) => handlePointerDown(e, position)}
           >
             {piece && (
-              <div className={`chess-piece piece-${piece.color}`}>
+              <div className={`chess-piece piece-${piece.color} ${drag && drag.from === position ? 'dragging' : ''}`}>
                 {getPieceSymbol(piece.type, piece.color)}
               </div>
             )}
@@ -297,10 +721,20 @@ const ChessBoard = ({
   
   return (
     <div className="chess-board-container">
-      <div className="chess-board">
+      {pockets && renderPocket(flipped ? 'white' : 'black')}
+      <div
+        className="chess-board"
+        onContextMenu={handleContextMenu}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+      >
         {renderBoard()}
+        {renderAnnotations()}
         {renderLabels()}
       </div>
+      {pockets && renderPocket(flipped ? 'black' : 'white')}
+      {drag && renderDragGhost()}
       {promotionPending && renderPromotionOptions()}
     </div>
   );
@@ -0,0 +1,64 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getRemainingTime } from '../utils/chess';
+import '../styles/ChessClock.css';
+
+/**
+ * Formats milliseconds as m:ss, with tenths in the last ten seconds
+ * @param {number} ms - Remaining time in milliseconds
+ * @returns {string} Formatted time
+ */
+const formatTime = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  
+  if (ms < 10000) {
+    return `${minutes}:${seconds}.${Math.floor((ms % 1000) / 100)}`;
+  }
+  
+  return `${minutes}:${seconds}`;
+};
+
+/**
+ * ChessClock component shows one side's remaining time and counts down while it is their turn
+ * @param {Object} props - Component props
+ * @param {Object} props.clock - The game clock { whiteMs, blackMs, turnStartedAt }
+ * @param {string} props.color - The side this clock belongs to
+ * @param {string} props.currentTurn - The side to move
+ * @param {boolean} props.running - Whether the game is in progress
+ * @param {Function} props.onFlag - Called once when this side's time reaches zero
+ */
+const ChessClock = ({ clock, color, currentTurn, running, onFlag }) => {
+  const [now, setNow] = useState(Date.now());
+  const onFlagRef = useRef(onFlag);
+  onFlagRef.current = onFlag;
+  
+  const ticking = running && color === currentTurn && clock.turnStartedAt !== null;
+  const remaining = running
+    ? getRemainingTime(clock, color, currentTurn, now)
+    : clock[`${color}Ms`];
+  const flagged = ticking && remaining === 0;
+  
+  // Re-render often enough for the tenths display, until the flag falls
+  useEffect(() => {
+    if (!ticking || flagged) return;
+    
+    const interval = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(interval);
+  }, [ticking, flagged]);
+  
+  // Report the flag fall once; the server decides whether it counts
+  useEffect(() => {
+    if (flagged && onFlagRef.current) {
+      onFlagRef.current();
+    }
+  }, [flagged]);
+  
+  return (
+    <div className={`chess-clock ${ticking ? 'ticking' : ''} ${remaining < 10000 ? 'low-time' : ''}`}>
+      {formatTime(remaining)}
+    </div>
+  );
+};
+
+export default ChessClock;
@@ -15,6 +15,7 @@ const Dashboard = () => {
   const [createGameLoading, setCreateGameLoading] = useState(false);
   const [createGameError, setCreateGameError] = useState('');
   const [createGameSuccess, setCreateGameSuccess] = useState('');
+  const [openingFilter, setOpeningFilter] = useState('');
 
   // Refresh games when component mounts
   useEffect(() => {
@@ -25,6 +26,13 @@ const Dashboard = () => {
   const activeGames = userGames.filter(game => game.status === 'active');
   const pendingGames = userGames.filter(game => game.status === 'pending');
   const completedGames = userGames.filter(game => game.status === 'completed');
+  
+  // Openings of the completed games, by ECO code, for the history filter
+  const openingKey = (opening) => `${opening.eco} ${opening.name}`;
+  const openings = [...new Set(completedGames.filter(game => game.opening).map(game => openingKey(game.opening)))].sort();
+  const filteredGames = openingFilter
+    ? completedGames.filter(game => game.opening && openingKey(game.opening) === openingFilter)
+    : completedGames;
 
   const handleCreateGame = async (e) => {
     e.preventDefault();
@@ -145,13 +153,29 @@ const Dashboard = () => {
       
       {/* Completed games */}
       <div className="mb-8">
-        <h2 className="text-xl font-bold mb-4">Completed Games</h2>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold">Completed Games</h2>
+          {openings.length > 0 && (
+            <select
+              value={openingFilter}
+              onChange={(e) => setOpeningFilter(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              <option value="">All openings</option>
+              {openings.map(key => (
+                <option key={key} value={key}>{key}</option>
+              ))}
+            </select>
+          )}
+        </div>
         
-        {completedGames.length === 0 ? (
-          <p className="text-gray-600">You don't have any completed games.</p>
+        {filteredGames.length === 0 ? (
+          <p className="text-gray-600">
+            {openingFilter ? 'No completed games with this opening.' : 'You don\'t have any completed games.'}
+          </p>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            {completedGames.map(game => (
+            {filteredGames.map(game => (
               <GameCard 
                 key={game.id} 
                 game={game} 
@@ -196,6 +220,7 @@ const GameCard = ({ game, currentUser }) => {
           <p>Created: {createdAt}</p>
           <p>Your Color: {isWhitePlayer ? 'White' : 'Black'}</p>
           <p>Current Turn: {game.currentTurn.charAt(0).toUpperCase() + game.currentTurn.slice(1)}</p>
+          {game.opening && <p>Opening: {game.opening.eco} {game.opening.name}</p>}
         </div>
         
         <Link 
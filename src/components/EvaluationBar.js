@@ -0,0 +1,28 @@
+import React from 'react';
+import { getWinChance, formatEvaluation } from '../utils/chess';
+import '../styles/EvaluationBar.css';
+
+/**
+ * EvaluationBar component shows the engine's evaluation as a vertical bar
+ * beside the board, White's share growing from White's side of the board
+ * @param {Object} props - Component props
+ * @param {number} props.evaluation - Centipawns from White's point of view, undefined while searching
+ * @param {boolean} props.flipped - Whether Black is at the bottom of the board
+ * @param {string} props.note - Extra text under the score, e.g. the spectator delay
+ */
+const EvaluationBar = ({ evaluation, flipped = false, note = null }) => {
+  const known = evaluation !== undefined && evaluation !== null;
+  const whiteShare = known ? getWinChance(evaluation) : 50;
+  
+  return (
+    <div className="evaluation-bar-container">
+      <div className={`evaluation-bar ${flipped ? 'flipped' : ''}`} title={known ? formatEvaluation(evaluation) : ''}>
+        <div className="evaluation-bar-white" style={{ height: `${whiteShare}%` }} />
+      </div>
+      <div className="evaluation-score">{known ? formatEvaluation(evaluation) : '...'}</div>
+      {note && <div className="evaluation-note">{note}</div>}
+    </div>
+  );
+};
+
+export default EvaluationBar;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { getWinChance, formatEvaluation } from '../utils/chess';
+import '../styles/EvaluationGraph.css';
+
+const WIDTH = 300;
+const HEIGHT = 100;
+
+/**
+ * EvaluationGraph component plots the evaluation after every ply; clicking
+ * the graph shows the board at that ply
+ * @param {Object} props - Component props
+ * @param {Array} props.evaluations - Centipawns from White's point of view per ply (index 0 is the start), undefined where not known
+ * @param {number} props.currentPly - The ply shown on the board
+ * @param {Function} props.onSelectPly - Called with the clicked ply
+ */
+const EvaluationGraph = ({ evaluations, currentPly, onSelectPly }) => {
+  const lastPly = Math.max(evaluations.length - 1, 1);
+  const step = WIDTH / lastPly;
+  const x = (ply) => ply * step;
+  const y = (evaluation) => HEIGHT * (1 - getWinChance(evaluation) / 100);
+  
+  // Plies not evaluated yet are left out of the line
+  const points = evaluations
+    .map((evaluation, ply) => ({ ply, evaluation }))
+    .filter(({ evaluation }) => evaluation !== undefined && evaluation !== null);
+  const line = points.map(({ ply, evaluation }) => `${x(ply)},${y(evaluation)}`).join(' ');
+  const area = points.length > 0
+    ? `${x(points[0].ply)},${HEIGHT} ${line} ${x(points[points.length - 1].ply)},${HEIGHT}`
+    : '';
+  
+  return (
+    <div className="evaluation-graph">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+        <rect className="evaluation-graph-background" x="0" y="0" width={WIDTH} height={HEIGHT} />
+        {area && <polygon className="evaluation-graph-area" points={area} />}
+        <line className="evaluation-graph-middle" x1="0" y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2} />
+        {line && <polyline className="evaluation-graph-line" points={line} />}
+        {currentPly !== null && currentPly < evaluations.length && (
+          <line className="evaluation-graph-current" x1={x(currentPly)} y1="0" x2={x(currentPly)} y2={HEIGHT} />
+        )}
+        {evaluations.map((evaluation, ply) => (
+          <rect
+            key={ply}
+            className="evaluation-graph-hit"
+            x={x(ply) - step / 2}
+            y="0"
+            width={step}
+            height={HEIGHT}
+            onClick={() => onSelectPly(ply)}
+          >
+            <title>{`${ply}: ${evaluation === undefined ? '...' : formatEvaluation(evaluation)}`}</title>
+          </rect>
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+export default EvaluationGraph;
@@ -1,9 +1,11 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { onSnapshot, collection, query, orderBy } from 'firebase/firestore';
+import { db } from '../firebase';
 import { useAuth } from '../hooks/useAuth';
 import { useGame } from '../hooks/useGame';
 import ChessBoard from './ChessBoard';
-import { getPlayerColor, isPlayerTurn } from '../utils/chessUtils';
+import { getPlayerColor, isPlayerTurn } from '../utils/chess';
 
 /**
  * Game component that displays the current chess game.
@@ -26,6 +28,7 @@ const Game = () => {
   
   const [gameError, setGameError] = useState('');
   const [gameLoading, setGameLoading] = useState(false);
+  const [moves, setMoves] = useState([]);
   const navigate = useNavigate();
   
   // Listen to game updates
@@ -34,12 +37,22 @@ const Game = () => {
     return () => unsubscribe();
   }, [gameId, listenToGame]);
   
+  // Listen to the move list, stored in the game's moves subcollection
+  useEffect(() => {
+    const unsubscribe = onSnapshot(
+      query(collection(db, 'games', gameId, 'moves'), orderBy('ply')),
+      (snapshot) => setMoves(snapshot.docs.map(moveDoc => moveDoc.data())),
+      (error) => setGameError(error.message)
+    );
+    return () => unsubscribe();
+  }, [gameId]);
+  
   // Handle moving a piece
-  const handleMove = async (from, to, piece) => {
+  const handleMove = async (from, to, promotionPiece) => {
     try {
       setGameLoading(true);
       setGameError('');
-      await makeMove(gameId, from, to, piece);
+      await makeMove(gameId, from, to, promotionPiece);
     } catch (error) {
       setGameError(error.message);
     } finally {
@@ -271,6 +284,7 @@ const Game = () => {
                 onMove={handleMove}
                 userId={currentUser.uid}
                 game={currentGame}
+                lastMove={currentGame.lastMove}
               />
             </div>
             
@@ -284,7 +298,7 @@ const Game = () => {
       </div>
       
       {/* Move history section */}
-      {currentGame.moves && currentGame.moves.length > 0 && (
+      {moves.length > 0 && (
         <div className="bg-white rounded-lg shadow-md p-6 mt-6">
           <h2 className="text-xl font-bold mb-4">Move History</h2>
           <div className="max-h-60 overflow-y-auto">
@@ -300,9 +314,9 @@ const Game = () => {
                 </tr>
               </thead>
               <tbody>
-                {currentGame.moves.map((move, index) => {
+                {moves.map((move, index) => {
                   const playerInfo = 
-                    move.player === currentGame.whitePlayer.uid
+                    move.color === 'white'
                       ? currentGame.whitePlayer
                       : currentGame.blackPlayer;
                   
@@ -314,9 +328,9 @@ const Game = () => {
                       </td>
                       <td className="border px-4 py-2 text-center">{move.from}</td>
                       <td className="border px-4 py-2 text-center">{move.to}</td>
-                      <td className="border px-4 py-2 text-center">{move.piece?.type}</td>
+                      <td className="border px-4 py-2 text-center">{move.piece}</td>
                       <td className="border px-4 py-2 text-center">
-                        {move.capturedPiece ? move.capturedPiece.type : '-'}
+                        {move.captured || '-'}
                       </td>
                     </tr>
                   );
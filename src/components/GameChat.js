@@ -113,6 +113,42 @@ const GameChat = ({ gameId, game }) => {
         );
       }
       
+      if (message.type === 'takeback-request') {
+        const { player } = message;
+        return (
+          <div className="system-message">
+            <span className="player-name">{player}</span> 要求悔棋
+          </div>
+        );
+      }
+      
+      if (message.type === 'takeback-accepted') {
+        const { player } = message;
+        return (
+          <div className="system-message">
+            <span className="player-name">{player}</span> 同意了悔棋
+          </div>
+        );
+      }
+      
+      if (message.type === 'takeback-declined') {
+        const { player } = message;
+        return (
+          <div className="system-message">
+            <span className="player-name">{player}</span> 拒絕了悔棋
+          </div>
+        );
+      }
+      
+      if (message.type === 'takeback-expired') {
+        const { player } = message;
+        return (
+          <div className="system-message">
+            <span className="player-name">{player}</span> 的悔棋要求已失效
+          </div>
+        );
+      }
+      
       return <div className="system-message">{message.text}</div>;
     }
     
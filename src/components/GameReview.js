@@ -0,0 +1,95 @@
+import React from 'react';
+import { useGameReview } from '../hooks/useGameReview';
+import { REVIEW_SYMBOLS, formatEvaluation } from '../utils/chess';
+import '../styles/GameReview.css';
+
+const CLASSIFICATION_LABELS = {
+  inaccuracy: '不精確',
+  mistake: '錯着',
+  blunder: '漏着'
+};
+
+/**
+ * GameReview component shows the post-game review of a completed chess game:
+ * accuracy and error counts per player, and every flagged move with the
+ * engine's choice. Any viewer can start the review when none is stored yet.
+ * @param {Object} props - Component props
+ * @param {Object} props.game - Current game object
+ * @param {Array} props.moves - The game's moves
+ * @param {string} props.userId - The signed-in user's ID
+ */
+const GameReview = ({ game, moves, userId }) => {
+  const { review, progress, error, startReview } = useGameReview(game, moves, userId);
+  
+  if (!review) {
+    return (
+      <div className="game-review">
+        <h3>對局分析</h3>
+        {progress ? (
+          <div className="review-progress">
+            分析中... {progress.reviewed} / {progress.total}
+          </div>
+        ) : (
+          <button className="start-review-button" onClick={startReview} disabled={moves.length === 0}>
+            開始分析
+          </button>
+        )}
+        {error && <div className="review-error">{error}</div>}
+      </div>
+    );
+  }
+  
+  const flagged = review.plies.filter(ply => ply.classification);
+  
+  return (
+    <div className="game-review">
+      <h3>對局分析</h3>
+      
+      <table className="review-summary">
+        <thead>
+          <tr>
+            <th></th>
+            <th>準確度</th>
+            <th>{CLASSIFICATION_LABELS.inaccuracy}</th>
+            <th>{CLASSIFICATION_LABELS.mistake}</th>
+            <th>{CLASSIFICATION_LABELS.blunder}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {['white', 'black'].map(color => {
+            const summary = review.summary[color];
+            
+            return (
+              <tr key={color}>
+                <td className="review-player">{color === 'white' ? game.white : game.black}</td>
+                <td>{summary.accuracy === null ? '-' : `${summary.accuracy}%`}</td>
+                <td>{summary.inaccuracies}</td>
+                <td>{summary.mistakes}</td>
+                <td>{summary.blunders}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      
+      {flagged.length === 0 ? (
+        <div className="review-clean">沒有明顯的失誤</div>
+      ) : (
+        <ul className="review-moves">
+          {flagged.map(ply => (
+            <li key={ply.ply} className={`review-move ${ply.classification}`}>
+              <span className="review-move-played">
+                {ply.moveNumber}{ply.color === 'white' ? '.' : '...'} {ply.san}{REVIEW_SYMBOLS[ply.classification]}
+              </span>
+              <span className="review-move-label">{CLASSIFICATION_LABELS[ply.classification]}</span>
+              <span className="review-move-eval">{formatEvaluation(ply.evaluation)}</span>
+              {ply.bestMove && <span className="review-move-best">最佳：{ply.bestMove}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GameReview;
@@ -34,6 +34,11 @@ const Navbar = () => {
         
         <nav>
           <ul className="flex space-x-4">
+            <li>
+              <Link to="/analysis" className="text-gray-300 hover:text-white">
+                Analysis
+              </Link>
+            </li>
             {currentUser ? (
               <>
                 <li className="px-2">
@@ -10,19 +10,11 @@ import {
   where, 
   onSnapshot,
   updateDoc,
-  arrayUnion,
-  serverTimestamp,
-  Timestamp
+  serverTimestamp
 } from 'firebase/firestore';
 import { db } from '../services/firebase';
-import { 
-  initialBoardSetup, 
-  getPieceAtPosition, 
-  setPieceAtPosition,
-  checkGameOutcome,
-  wouldMoveResultInCheck,
-  isInCheck
-} from '../utils/chessUtils';
+import { ChessGame } from '../utils/chess';
+import { makeChessMove, resignChessGame } from '../services/GameService';
 
 // Create game context
 export const GameContext = createContext();
@@ -45,7 +37,7 @@ export const GameProvider = ({ children }) => {
       }
 
       // Create initial board state
-      const initialBoard = initialBoardSetup();
+      const chess = new ChessGame();
 
       // Create a new game document
       const gameRef = await addDoc(collection(db, 'games'), {
@@ -60,10 +52,12 @@ export const GameProvider = ({ children }) => {
         },
         status: 'pending',
         currentTurn: 'white',
-        board: initialBoard,
-        moves: [],
-        gameStates: [],  // Track game states for threefold repetition
-        halfMoveClock: 0,  // Track moves for fifty-move rule
+        board: chess.board(),
+        lastMove: null,
+        halfMoveClock: 0,
+        fullMoveNumber: 1,
+        ply: 0,  // Moves are stored in the games/{id}/moves subcollection
+        positionHashes: chess.positionHashes(),  // Zobrist hashes for repetition detection
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp()
       });
@@ -119,7 +113,7 @@ export const GameProvider = ({ children }) => {
   };
 
   // Make a move
-  const makeMove = async (gameId, from, to, piece) => {
+  const makeMove = async (gameId, from, to, promotionPiece = null) => {
     try {
       setLoading(true);
       setError('');
@@ -152,95 +146,8 @@ export const GameProvider = ({ children }) => {
         throw new Error('Not your turn');
       }
 
-      // Check if move would leave king in check
-      if (wouldMoveResultInCheck(gameData.board, from, to, gameData.currentTurn)) {
-        throw new Error('Move would leave your king in check');
-      }
-
-      // Get the captured piece (if any)
-      const capturedPiece = getPieceAtPosition(gameData.board, to);
-
-      // Create move record with client timestamp
-      const move = {
-        player: currentUser.uid,
-        from,
-        to,
-        piece,
-        capturedPiece: capturedPiece || null,
-        timestamp: Timestamp.now()
-      };
-
-      // Update the board using the new flat structure
-      let newBoard = [...gameData.board];
-      
-      // Handle special moves (castling, en passant, pawn promotion)
-      // TODO: Implement special moves logic
-      
-      // Regular move
-      newBoard = setPieceAtPosition(newBoard, from, null);
-      newBoard = setPieceAtPosition(newBoard, to, piece);
-
-      // Update piece's hasMoved property for rooks and kings (for castling)
-      if ((piece.type === 'king' || piece.type === 'rook') && !piece.hasMoved) {
-        const updatedPiece = { ...piece, hasMoved: true };
-        newBoard = setPieceAtPosition(newBoard, to, updatedPiece);
-      }
-
-      // Update half-move clock for fifty-move rule
-      let newHalfMoveClock = gameData.halfMoveClock || 0;
-      if (piece.type === 'pawn' || capturedPiece) {
-        newHalfMoveClock = 0;  // Reset on pawn move or capture
-      } else {
-        newHalfMoveClock++;  // Increment otherwise
-      }
-
-      // Record current game state for threefold repetition
-      const gameState = JSON.stringify(newBoard);
-      const gameStates = [...(gameData.gameStates || []), gameState];
-
-      // Check for game outcome
-      const nextTurn = gameData.currentTurn === 'white' ? 'black' : 'white';
-      const gameOutcome = checkGameOutcome(newBoard, nextTurn);
-      
-      // Prepare update data
-      const updateData = {
-        board: newBoard,
-        moves: arrayUnion(move),
-        currentTurn: nextTurn,
-        halfMoveClock: newHalfMoveClock,
-        gameStates: gameStates,
-        updatedAt: serverTimestamp()
-      };
-
-      // Add check status
-      if (isInCheck(newBoard, nextTurn)) {
-        updateData.inCheck = nextTurn;
-      } else {
-        updateData.inCheck = null;
-      }
-
-      // If game is over, update status and add winner information
-      if (gameOutcome) {
-        updateData.status = 'completed';
-        updateData.winner = gameOutcome.winner;
-        updateData.winReason = gameOutcome.reason;
-      }
-
-      // Check for draw conditions
-      if (newHalfMoveClock >= 100) {
-        // Fifty-move rule (100 half-moves = 50 full moves)
-        updateData.status = 'completed';
-        updateData.winner = 'draw';
-        updateData.winReason = 'Fifty-move rule';
-      } else if (gameStates.filter(state => state === gameState).length >= 3) {
-        // Threefold repetition
-        updateData.status = 'completed';
-        updateData.winner = 'draw';
-        updateData.winReason = 'Threefold repetition';
-      }
-
-      // Update game
-      await updateDoc(gameRef, updateData);
+      // Validated and stored by the makeMove function, like moves made from the game page
+      await makeChessMove(gameId, from, to, promotionPiece, null, gameData.ply || 0);
 
     } catch (error) {
       setError(error.message);
@@ -277,16 +184,8 @@ export const GameProvider = ({ children }) => {
         throw new Error('You are not a player in this game');
       }
 
-      // Determine winner (opponent of the resigning player)
-      const winner = isWhitePlayer ? 'black' : 'white';
-
-      // Update game
-      await updateDoc(gameRef, {
-        status: 'completed',
-        winner: winner,
-        winReason: `${isWhitePlayer ? 'White' : 'Black'} resigned`,
-        updatedAt: serverTimestamp()
-      });
+      // The resignGame function works out the winner from the signed-in user
+      await resignChessGame(gameId);
 
     } catch (error) {
       setError(error.message);
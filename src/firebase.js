@@ -1,4 +1,4 @@
 // Re-export firebase configuration from services/firebase.js
-import { auth, db } from './services/firebase';
+import { auth, db, functions } from './services/firebase';
 
-export { auth, db };
+export { auth, db, functions };
@@ -0,0 +1,83 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Pause before searching again after the computer's move was rejected
+const RETRY_DELAY_MS = 2000;
+
+/**
+ * Plays the computer's moves in a game against the computer.
+ * The search runs in a Web Worker; the chosen move is submitted through
+ * onMove like any other move, so it is validated and recorded the same way.
+ * Only the human player's browser runs the computer, once per ply.
+ * @param {Object} game - The game data
+ * @param {string} userId - The signed-in user's ID
+ * @param {Function} onMove - Called with (from, to, promotionPiece); resolves to false if the move was not made
+ * @returns {boolean} True while the computer is thinking
+ */
+export const useComputerPlayer = (game, userId, onMove) => {
+  const [thinking, setThinking] = useState(false);
+  const [retries, setRetries] = useState(0);
+  const workerRef = useRef(null);
+  const searchedPlyRef = useRef(null);
+  const retryTimerRef = useRef(null);
+  const onMoveRef = useRef(onMove);
+  onMoveRef.current = onMove;
+  const gameRef = useRef(game);
+  gameRef.current = game;
+  
+  const computer = game && game.computer;
+  const isOwner = computer && userId && (game.whitePlayer.uid === userId || game.blackPlayer.uid === userId);
+  const shouldMove = isOwner && game.status === 'active' && game.currentTurn === computer.color;
+  const ply = game ? game.ply || 0 : 0;
+  
+  // One worker for the lifetime of a computer game
+  useEffect(() => {
+    if (!isOwner) return;
+    
+    const worker = new Worker(new URL('../utils/chess/search.worker.js', import.meta.url));
+    workerRef.current = worker;
+    
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      clearTimeout(retryTimerRef.current);
+    };
+  }, [isOwner]);
+  
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!shouldMove || !worker || searchedPlyRef.current === ply) return;
+    
+    searchedPlyRef.current = ply;
+    setThinking(true);
+    
+    // Replies for an earlier ply (e.g. after a resync) are ignored
+    worker.onmessage = async (event) => {
+      const { id, move } = event.data;
+      if (id !== ply) return;
+      
+      setThinking(false);
+      if (!move) return;
+      
+      // A rejected move (e.g. a network error) is searched and sent again, unless
+      // the game has moved on in the meantime
+      const moved = await onMoveRef.current(move.from, move.to, move.promotionPiece);
+      if (moved === false) {
+        retryTimerRef.current = setTimeout(() => {
+          if (searchedPlyRef.current !== ply) return;
+          searchedPlyRef.current = null;
+          setRetries(count => count + 1);
+        }, RETRY_DELAY_MS);
+      }
+    };
+    
+    // The search starts once per ply, from the game as it is at that ply
+    const { board, currentTurn, lastMove, computer: { level } } = gameRef.current;
+    worker.postMessage({
+      id: ply,
+      position: { board, currentTurn, lastMove },
+      level
+    });
+  }, [shouldMove, ply, retries]);
+  
+  return thinking;
+};
@@ -0,0 +1,62 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Keyed by ply and hash, so a ply is evaluated again if its position changes
+const keyOf = (position, ply) => `${ply}:${position.hash}`;
+
+/**
+ * Evaluates a game's positions with the engine in a Web Worker, for the
+ * evaluation bar and graph. Results are kept by position key, so positions
+ * that were already evaluated are not searched again as the game goes on.
+ * @param {Array} positions - Positions after every ply, with their hash (see ChessGame.positions)
+ * @param {boolean} enabled - Whether the engine may run
+ * @param {number} limit - The last ply to evaluate
+ * @returns {Array} Evaluation per ply in centipawns from White's point of view, undefined until known
+ */
+export const useEngineEvaluations = (positions, enabled, limit) => {
+  const [results, setResults] = useState({});
+  const resultsRef = useRef(results);
+  const requestedRef = useRef(new Set());
+  const workerRef = useRef(null);
+  resultsRef.current = results;
+  
+  useEffect(() => {
+    if (!enabled) return;
+    
+    const worker = new Worker(new URL('../utils/chess/evaluation.worker.js', import.meta.url));
+    workerRef.current = worker;
+    
+    worker.onmessage = (event) => {
+      const { key, evaluation } = event.data;
+      setResults(current => ({ ...current, [key]: evaluation }));
+    };
+    
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      // Positions still queued are asked for again when the engine is back on
+      requestedRef.current = new Set(Object.keys(resultsRef.current));
+    };
+  }, [enabled]);
+  
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!enabled || !worker) return;
+    
+    // The latest position first, as that is what the bar shows
+    positions
+      .slice(0, limit + 1)
+      .map((position, ply) => ({ key: keyOf(position, ply), position }))
+      .reverse()
+      .forEach(({ key, position }) => {
+        if (requestedRef.current.has(key)) return;
+        
+        requestedRef.current.add(key);
+        worker.postMessage({
+          key,
+          position: { board: position.board, currentTurn: position.currentTurn, lastMove: position.lastMove }
+        });
+      });
+  }, [enabled, positions, limit]);
+  
+  return positions.map((position, ply) => results[keyOf(position, ply)]);
+};
@@ -0,0 +1,85 @@
+import { useEffect, useRef, useState } from 'react';
+import { saveGameReview } from '../services/GameService';
+
+/**
+ * Runs the post-game review of a completed chess game.
+ * The review is searched in a Web Worker. A player's (or the importer's) review
+ * is cached on the game document, so every viewer then gets the stored report;
+ * a spectator's review is only kept on their own page.
+ * @param {Object} game - The game data
+ * @param {Array} moves - The game's moves
+ * @param {string} userId - The signed-in user's ID
+ * @returns {Object} { review, progress, error, startReview }
+ */
+export const useGameReview = (game, moves, userId) => {
+  const [localReview, setLocalReview] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+  
+  // Stop a review that is still running when the page is left
+  useEffect(() => {
+    return () => {
+      if (workerRef.current) workerRef.current.terminate();
+    };
+  }, []);
+  
+  const startReview = () => {
+    if (!game || workerRef.current) return;
+    
+    const worker = new Worker(new URL('../utils/chess/review.worker.js', import.meta.url));
+    workerRef.current = worker;
+    setProgress({ reviewed: 0, total: moves.length });
+    setError(null);
+    
+    worker.onmessage = async (event) => {
+      const { progress: update, review, error: reviewError } = event.data;
+      
+      if (update) {
+        setProgress(update);
+        return;
+      }
+      
+      worker.terminate();
+      workerRef.current = null;
+      
+      try {
+        if (reviewError) throw new Error(reviewError);
+        
+        const canSave = userId && (
+          [game.whitePlayer?.uid, game.blackPlayer?.uid].includes(userId) || game.importedBy === userId
+        );
+        
+        if (canSave) {
+          // The game snapshot brings the stored review back
+          await saveGameReview(game.id, review);
+        } else {
+          setLocalReview(review);
+        }
+      } catch (err) {
+        console.error('Error reviewing game:', err);
+        setError('無法分析此對局');
+      } finally {
+        setProgress(null);
+      }
+    };
+    
+    // Only plain data can be sent to a worker
+    worker.postMessage({
+      id: game.id,
+      game: {
+        startFen: game.startFen || null,
+        variant: game.variant || null,
+        chess960Position: game.chess960Position ?? null
+      },
+      moves: moves.map(move => ({ from: move.from, to: move.to, promotionPiece: move.promotionPiece || null }))
+    });
+  };
+  
+  return {
+    review: game?.review || localReview,
+    progress,
+    error,
+    startReview
+  };
+};
@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useSearchParams, useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import ChessBoard from '../components/ChessBoard';
+import { getGame, getGameMoves } from '../services/GameService';
+import {
+  ROOT_ID,
+  createAnalysisTree,
+  getContinuation,
+  getGameAt,
+  addMove,
+  addLine,
+  promoteVariation,
+  deleteVariation,
+  setNodeAnnotations,
+  analysisToPgn,
+  EMPTY_ANNOTATIONS,
+  getGameVariant,
+  getPlayerColor
+} from '../utils/chess';
+import '../styles/Analysis.css';
+
+/**
+ * Analysis board: moves can be played freely for both sides from any point,
+ * building a tree of variations, with arrows and marked squares drawn at any
+ * move kept in the tree. Opened for a stored game at
+ * /analysis/:gameId, or for any position at /analysis?fen=...&variant=...
+ */
+const Analysis = () => {
+  const { gameId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  
+  const [game, setGame] = useState(null);
+  const [tree, setTree] = useState(null);
+  const [currentId, setCurrentId] = useState(ROOT_ID);
+  const [orientation, setOrientation] = useState('white');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  const fen = searchParams.get('fen');
+  const variant = searchParams.get('variant') || 'standard';
+  
+  // Load the game's moves as the main line, or start from the given position
+  useEffect(() => {
+    const loadAnalysis = async () => {
+      setLoading(true);
+      setError(null);
+      
+      try {
+        if (gameId) {
+          const [gameData, moves] = await Promise.all([getGame(gameId), getGameMoves(gameId)]);
+          const start = createAnalysisTree({ startFen: gameData.startFen, variant: getGameVariant(gameData).id });
+          const { tree: loaded, nodeId } = addLine(start, ROOT_ID, moves.map(move => ({
+            from: move.from,
+            to: move.to,
+            promotionPiece: move.promotionPiece,
+            drop: move.drop
+          })));
+          
+          setGame(gameData);
+          setTree(loaded);
+          setCurrentId(nodeId);
+          setOrientation(getPlayerColor(currentUser?.uid, gameData) || 'white');
+        } else {
+          const start = createAnalysisTree({ startFen: fen, variant });
+          
+          setGame(null);
+          setTree(start);
+          setCurrentId(ROOT_ID);
+          setOrientation(getGameAt(start, ROOT_ID).turn());
+        }
+      } catch (err) {
+        console.error('Error loading analysis:', err);
+        setError(gameId ? '無法載入遊戲' : '無效的 FEN 局面');
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    loadAnalysis();
+  }, [gameId, fen, variant, currentUser?.uid]);
+  
+  // The position at the selected move
+  const chess = useMemo(() => (tree ? getGameAt(tree, currentId) : null), [tree, currentId]);
+  
+  // Keyboard navigation: left/right along the line, up/down between variations
+  useEffect(() => {
+    if (!tree) return;
+    
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      
+      const node = tree.nodes[currentId];
+      const siblings = node.parentId ? tree.nodes[node.parentId].children : [ROOT_ID];
+      const index = siblings.indexOf(currentId);
+      let nextId = null;
+      
+      switch (e.key) {
+        case 'ArrowLeft':
+          nextId = node.parentId;
+          break;
+        case 'ArrowRight':
+          nextId = node.children[0];
+          break;
+        case 'ArrowUp':
+          nextId = siblings[index - 1];
+          break;
+        case 'ArrowDown':
+          nextId = siblings[index + 1];
+          break;
+        case 'Home':
+          nextId = ROOT_ID;
+          break;
+        case 'End':
+          nextId = getContinuation(tree, currentId).pop();
+          break;
+        default:
+          return;
+      }
+      
+      e.preventDefault();
+      if (nextId) setCurrentId(nextId);
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [tree, currentId]);
+  
+  // Play a move on the board from the selected position
+  const handleMove = (from, to, promotionPiece = null, drop = null) => {
+    try {
+      const result = addMove(tree, currentId, drop ? { to, drop } : { from, to, promotionPiece });
+      setTree(result.tree);
+      setCurrentId(result.nodeId);
+    } catch (err) {
+      console.error('Error making analysis move:', err);
+    }
+  };
+  
+  // Keep the arrows and marks drawn at the selected move
+  const handleAnnotationsChange = (annotations) => {
+    setTree(setNodeAnnotations(tree, currentId, annotations));
+  };
+  
+  // Make the selected variation the main line at its branch point
+  const handlePromote = () => {
+    setTree(promoteVariation(tree, currentId));
+  };
+  
+  // Delete the selected move and everything after it
+  const handleDelete = () => {
+    if (currentId === ROOT_ID) return;
+    
+    const parentId = tree.nodes[currentId].parentId;
+    setTree(deleteVariation(tree, currentId));
+    setCurrentId(parentId);
+  };
+  
+  // Download the tree as a PGN file with variations
+  const handleDownloadPgn = () => {
+    const blob = new Blob([analysisToPgn(tree, game || {})], { type: 'application/x-chess-pgn' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = game
+      ? `${game.white}-vs-${game.black}-analysis.pgn`.replace(/\s+/g, '_')
+      : 'analysis.pgn';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+  
+  // Render the moves after a node, with sidelines indented below the move they replace
+  const renderLine = (nodeId, color, moveNumber, needsNumber) => {
+    const [main, ...sidelines] = tree.nodes[nodeId].children;
+    
+    if (!main) return [];
+    
+    const number = color === 'white' ? `${moveNumber}.` : `${moveNumber}...`;
+    const nextColor = color === 'white' ? 'black' : 'white';
+    const nextNumber = color === 'black' ? moveNumber + 1 : moveNumber;
+    
+    const renderMove = (id, showNumber) => (
+      <span
+        key={id}
+        className={`analysis-move ${id === currentId ? 'selected' : ''}`}
+        onClick={() => setCurrentId(id)}
+      >
+        {showNumber && <span className="analysis-move-number">{number}</span>}
+        {tree.nodes[id].move.san}
+      </span>
+    );
+    
+    return [
+      renderMove(main, color === 'white' || needsNumber),
+      ...sidelines.map(id => (
+        <div key={`variation-${id}`} className="analysis-variation">
+          {renderMove(id, true)}
+          {renderLine(id, nextColor, nextNumber, false)}
+        </div>
+      )),
+      ...renderLine(main, nextColor, nextNumber, sidelines.length > 0)
+    ];
+  };
+  
+  // Loading state
+  if (loading) {
+    return <div className="loading">載入中...</div>;
+  }
+  
+  // Error state
+  if (error) {
+    return <div className="error">{error}</div>;
+  }
+  
+  const start = getGameAt(tree, ROOT_ID);
+  const outcome = chess.outcome();
+  const isMainLine = currentId === ROOT_ID || promoteVariation(tree, currentId) === tree;
+  
+  // A FEN cannot hold Crazyhouse pockets or Three-check counts, so those
+  // positions are not reopened from one
+  const canAnalyseFromFen = !chess.variant.initialState;
+  
+  return (
+    <div className="analysis-container">
+      <div className="analysis-header">
+        <button className="analysis-back-button" onClick={() => navigate(gameId ? `/chess/${gameId}` : '/games')}>
+          &larr; {gameId ? '返回對局' : '返回遊戲列表'}
+        </button>
+        <h2>
+          分析棋盤
+          {game && <span className="analysis-players"> {game.white} vs {game.black}</span>}
+        </h2>
+      </div>
+      
+      <div className="analysis-content">
+        <div className="analysis-board">
+          <ChessBoard
+            board={chess.board()}
+            currentTurn={chess.turn()}
+            onMove={handleMove}
+            userId={currentUser?.uid}
+            game={{ status: 'active', variant: tree.variant, variantState: chess.variantState() }}
+            lastMove={chess.lastMove()}
+            freeMove
+            orientation={orientation}
+            annotations={tree.nodes[currentId].annotations || EMPTY_ANNOTATIONS}
+            onAnnotationsChange={handleAnnotationsChange}
+          />
+          
+          <div className="analysis-navigation">
+            <button onClick={() => setCurrentId(ROOT_ID)} title="Home">|&lt;</button>
+            <button onClick={() => setCurrentId(tree.nodes[currentId].parentId || ROOT_ID)} title="←">&lt;</button>
+            <button onClick={() => setCurrentId(tree.nodes[currentId].children[0] || currentId)} title="→">&gt;</button>
+            <button onClick={() => setCurrentId(getContinuation(tree, currentId).pop() || currentId)} title="End">&gt;|</button>
+            <button onClick={() => setOrientation(orientation === 'white' ? 'black' : 'white')}>翻轉棋盤</button>
+          </div>
+          
+          {outcome && (
+            <div className="analysis-outcome">
+              {outcome.winner === 'draw' ? '和棋' : `${outcome.winner === 'white' ? '白方' : '黑方'}獲勝`} - {outcome.reason}
+            </div>
+          )}
+          
+          <div className="analysis-fen">
+            <label htmlFor="analysis-fen">FEN</label>
+            <input id="analysis-fen" type="text" value={chess.fen()} readOnly onFocus={(e) => e.target.select()} />
+            {canAnalyseFromFen && (
+              <Link to={`/analysis?fen=${encodeURIComponent(chess.fen())}&variant=${tree.variant}`}>從此局面分析</Link>
+            )}
+          </div>
+        </div>
+        
+        <div className="analysis-moves">
+          <div className="analysis-moves-header">
+            <h3>變化樹</h3>
+            <button className="analysis-button" onClick={handleDownloadPgn}>
+              下載 PGN
+            </button>
+          </div>
+          
+          <div className="analysis-tree">
+            {renderLine(ROOT_ID, start.turn(), start.fullMoveNumber(), true)}
+          </div>
+          
+          <div className="analysis-actions">
+            <button onClick={handlePromote} disabled={isMainLine}>提升變化</button>
+            <button onClick={handleDelete} disabled={currentId === ROOT_ID}>刪除此步之後</button>
+          </div>
+          
+          <div className="analysis-help">
+            ← → 前後移動，↑ ↓ 切換變化，Home / End 跳到開頭或結尾；右鍵拖曳畫箭頭、右鍵點選標記格子（Shift 紅、Alt 藍、Shift+Alt 黃），匯出 PGN 時一併保存
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Analysis;
@@ -1,15 +1,30 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { onSnapshot, doc, addDoc, collection, serverTimestamp } from 'firebase/firestore';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { onSnapshot, doc, addDoc, collection, query, orderBy, serverTimestamp } from 'firebase/firestore';
 import { db } from '../firebase';
 import { useAuth } from '../hooks/useAuth';
+import { useComputerPlayer } from '../hooks/useComputerPlayer';
+import { useEngineEvaluations } from '../hooks/useEngineEvaluations';
 import ChessBoard from '../components/ChessBoard';
 import GameChat from '../components/GameChat';
 import SpectatorsList from '../components/SpectatorsList';
-import { 
-  checkGameOutcome,
-  isInCheck,
-  positionToIndices,
+import ChessClock from '../components/ChessClock';
+import GameReview from '../components/GameReview';
+import EvaluationBar from '../components/EvaluationBar';
+import EvaluationGraph from '../components/EvaluationGraph';
+import {
+  ChessGame,
+  isThreefoldRepetition,
+  formatTimeControl,
+  getGameVariant,
+  getEvaluationLimit,
+  identifyOpening,
+  getCapturedPieces,
+  getMaterialBalance,
+  getPieceSymbol,
+  EMPTY_ANNOTATIONS,
+  REVIEW_SYMBOLS,
+  REVIEW_VARIANTS
 } from '../utils/chess';
 import { 
   makeChessMove,
@@ -17,10 +32,21 @@ import {
   offerDraw,
   acceptDraw,
   declineDraw,
-  completeGame
+  requestTakeback,
+  acceptTakeback,
+  declineTakeback,
+  shareAnnotations,
+  stopSharingAnnotations,
+  claimThreefoldRepetition,
+  claimTimeout,
+  getGame,
+  StaleStateError
 } from '../services/GameService';
 import '../styles/Game.css';
 
+// Extra wait before claiming a timeout again, so the server's clock has run out as well
+const FLAG_RETRY_MARGIN_MS = 500;
+
 const Game = () => {
   const { gameId } = useParams();
   const { currentUser } = useAuth();
@@ -30,9 +56,19 @@ const Game = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [moveHistory, setMoveHistory] = useState([]);
-  const [moveNotation, setMoveNotation] = useState([]);
-  const [boardPositions, setBoardPositions] = useState([]);
   const [showChat, setShowChat] = useState(false);
+  const [typedMove, setTypedMove] = useState('');
+  const [typedMoveError, setTypedMoveError] = useState('');
+  const [syncNotice, setSyncNotice] = useState('');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [showEvaluation, setShowEvaluation] = useState(true);
+  const [drawnAnnotations, setDrawnAnnotations] = useState(null);
+  const [sharingAnnotations, setSharingAnnotations] = useState(false);
+  const [playerAnnotations, setPlayerAnnotations] = useState([]);
+  const flagRetryRef = useRef(null);
+  
+  // Drop a pending timeout claim when leaving the game
+  useEffect(() => () => clearTimeout(flagRetryRef.current), []);
   
   // Subscribe to game updates
   useEffect(() => {
@@ -45,21 +81,6 @@ const Game = () => {
           const gameData = { id: doc.id, ...doc.data() };
           setGame(gameData);
           setLoading(false);
-          
-          // Set move history
-          if (gameData.moves) {
-            setMoveHistory(gameData.moves);
-          }
-          
-          // Set move notation
-          if (gameData.notation) {
-            setMoveNotation(gameData.notation);
-          }
-          
-          // Set board positions history
-          if (gameData.boardPositions) {
-            setBoardPositions(gameData.boardPositions);
-          }
         } else {
           setError('找不到遊戲');
           setLoading(false);
@@ -75,122 +96,232 @@ const Game = () => {
     return () => unsubscribe();
   }, [gameId]);
   
-  // Handle player move
-  const handleMove = async (from, to, piece, newBoard, moveInfo) => {
-    if (!game || !currentUser) return;
+  // Subscribe to the move list, which is stored apart from the game document
+  useEffect(() => {
+    if (!gameId) return;
+    
+    const unsubscribe = onSnapshot(
+      query(collection(db, 'games', gameId, 'moves'), orderBy('ply')),
+      (snapshot) => {
+        setMoveHistory(snapshot.docs.map(moveDoc => moveDoc.data()));
+      },
+      (err) => {
+        console.error('Error getting moves:', err);
+      }
+    );
+    
+    return () => unsubscribe();
+  }, [gameId]);
+  
+  // Arrows and marks shared by the players, shown to spectators
+  useEffect(() => {
+    if (!gameId) return;
+    
+    const unsubscribe = onSnapshot(
+      collection(db, 'games', gameId, 'annotations'),
+      (snapshot) => {
+        setPlayerAnnotations(snapshot.docs.map(annotationDoc => ({ uid: annotationDoc.id, ...annotationDoc.data() })));
+      },
+      (err) => {
+        console.error('Error getting shared annotations:', err);
+      }
+    );
+    
+    return () => unsubscribe();
+  }, [gameId]);
+  
+  // A player sharing their annotations sends every change made on the live board
+  useEffect(() => {
+    if (!sharingAnnotations || !drawnAnnotations || drawnAnnotations.viewPly !== null || !currentUser) return;
+    
+    const share = async () => {
+      try {
+        await shareAnnotations(gameId, currentUser.uid, drawnAnnotations.annotations, drawnAnnotations.ply);
+      } catch (err) {
+        console.error('Error sharing annotations:', err);
+      }
+    };
+    
+    share();
+  }, [gameId, currentUser, sharingAnnotations, drawnAnnotations]);
+  
+  // Position after every ply, for the evaluation graph and for looking back at earlier moves
+  const positions = useMemo(() => {
+    if (!game) return [];
     
     try {
-      // Create a move object
-      const move = {
-        from,
-        to,
-        piece: { type: piece.type, color: piece.color },
-        timestamp: new Date().toISOString(),
-        playerId: currentUser.uid,
-        ...moveInfo
-      };
-      
-      // Get the last move position
-      const lastPosition = boardPositions.length > 0 
-        ? boardPositions[boardPositions.length - 1] 
-        : { board: game.board, enPassantTarget: null };
-      
-      // Create a new position object
-      const newPosition = {
-        board: newBoard,
-        enPassantTarget: piece.type === 'pawn' && Math.abs(positionToIndices(from)[0] - positionToIndices(to)[0]) === 2 
-          ? to 
-          : null
-      };
-      
-      // Check for game outcome
-      const nextTurn = game.currentTurn === 'white' ? 'black' : 'white';
-      const outcome = checkGameOutcome(
-        newBoard, 
-        nextTurn, 
-        move, 
-        moveHistory, 
-        boardPositions
-      );
+      return ChessGame.fromGame({ ...game, moves: moveHistory }).positions();
+    } catch (err) {
+      console.error('Error replaying moves:', err);
+      return [];
+    }
+  }, [game, moveHistory]);
+  
+  // An earlier ply shown read-only, from ?ply=N; the live board otherwise
+  const plyParam = searchParams.get('ply');
+  const viewPly = /^\d+$/.test(plyParam || '') && Number(plyParam) < positions.length - 1 ? Number(plyParam) : null;
+  
+  // Show the position after a ply; the latest ply is the live board
+  const showPly = useCallback((ply) => {
+    const livePly = positions.length - 1;
+    
+    if (ply < 0 || livePly < 0) return;
+    
+    // Stepping through the moves replaces the URL rather than adding to the history
+    setSearchParams(ply >= livePly ? {} : { ply: String(ply) }, { replace: true });
+  }, [positions.length, setSearchParams]);
+  
+  // Arrow keys step through the moves, Home / End jump to the start or the live position
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
       
-      // Generate algebraic notation for the move
-      const notation = generateMoveNotation(from, to, piece, moveInfo, newBoard, nextTurn);
+      const current = viewPly ?? positions.length - 1;
       
-      // Add system message to the chat
-      await addSystemMessage('move', {
-        player: piece.color === 'white' ? game.white : game.black,
-        move: notation
-      });
+      switch (e.key) {
+        case 'ArrowLeft':
+          showPly(current - 1);
+          break;
+        case 'ArrowRight':
+          showPly(current + 1);
+          break;
+        case 'Home':
+          showPly(0);
+          break;
+        case 'End':
+          showPly(positions.length - 1);
+          break;
+        default:
+          return;
+      }
       
-      // Update Firebase with the move
-      await makeChessMove(gameId, from, to, piece, newBoard, moveInfo);
+      e.preventDefault();
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [viewPly, positions.length, showPly]);
+  
+  // Engine evaluations, within what fair play allows this viewer (see getEvaluationLimit);
+  // a stored review already has them
+  const evaluationLimit = game ? getEvaluationLimit(game, currentUser?.uid) : null;
+  const reviewEvaluations = game?.review
+    ? [game.review.evaluation, ...game.review.plies.map(ply => ply.evaluation)]
+    : null;
+  const engineEvaluations = useEngineEvaluations(
+    positions,
+    showEvaluation && evaluationLimit !== null && !reviewEvaluations,
+    evaluationLimit ?? 0
+  );
+  const evaluations = reviewEvaluations || engineEvaluations;
+  
+  // Handle player move; resolves to false if the move was not made
+  const handleMove = async (from, to, promotionPiece = null, drop = null) => {
+    if (!game || !currentUser) return false;
+    
+    setSyncNotice('');
+    
+    // The makeMove function clears a pending takeback request
+    const pendingTakeback = game.takebackRequest;
+    
+    try {
+      // The makeMove function validates the move and works out the outcome
+      const { move, outcome } = await makeChessMove(gameId, from, to, promotionPiece, drop, game.ply || 0);
       
-      // If there's a game outcome, update game status
-      if (outcome) {
-        // Add game result message to chat
-        await addSystemMessage('game-result', {
-          result: outcome.winner === 'draw' ? '和棋' : `${outcome.winner === 'white' ? game.white : game.black} 獲勝`,
-          reason: outcome.reason
+      // No move is stored when the player's time had already run out
+      if (move) {
+        // Add system message to the chat
+        await addSystemMessage('move', {
+          player: move.color === 'white' ? game.white : game.black,
+          move: move.san
         });
         
-        await completeGame(gameId, outcome.winner, outcome.reason);
+        // Moving on instead of answering lets the opponent's request expire
+        if (pendingTakeback && pendingTakeback.by !== move.color) {
+          await addSystemMessage('takeback-expired', {
+            player: pendingTakeback.by === 'white' ? game.white : game.black
+          });
+        }
       }
       
+      if (outcome) {
+        await addResultMessage(outcome);
+      }
+      
+      return true;
     } catch (err) {
+      // The game moved on (second tab, double click): show the latest position instead
+      if (err instanceof StaleStateError) {
+        await resyncGame();
+        return false;
+      }
+      
       console.error('Error making move:', err);
       setError('無法更新遊戲');
+      return false;
     }
   };
   
-  // Generate algebraic notation for a move
-  const generateMoveNotation = (from, to, piece, moveInfo, board, nextTurn) => {
-    const pieceSymbols = {
-      king: 'K',
-      queen: 'Q',
-      rook: 'R',
-      bishop: 'B',
-      knight: 'N',
-      pawn: ''
-    };
-    
-    // Special moves
-    if (moveInfo.isCastling) {
-      return moveInfo.castlingDirection === 'kingside' ? 'O-O' : 'O-O-O';
+  // In a game against the computer, its moves are sent like the player's own
+  const computerThinking = useComputerPlayer(game, currentUser?.uid, handleMove);
+  
+  // Reload the game after a move was rejected as stale
+  const resyncGame = async () => {
+    try {
+      setGame(await getGame(gameId));
+      setSyncNotice('棋局已更新，已同步到最新局面，請重新走棋');
+    } catch (err) {
+      console.error('Error resyncing game:', err);
+      setError('無法載入遊戲');
     }
+  };
+  
+  // Handle a move typed in algebraic notation
+  const handleTypedMove = async (e) => {
+    e.preventDefault();
     
-    let notation = '';
-    
-    // Add piece symbol
-    notation += pieceSymbols[piece.type];
-    
-    // Add from position if needed for disambiguation
-    // (simplified here, would need more logic for full disambiguation)
+    if (!game || !typedMove.trim()) return;
     
-    // Add capture symbol
-    if (moveInfo.capturedPiece || moveInfo.isEnPassant) {
-      // If pawn makes a capture, include the file it moved from
-      if (piece.type === 'pawn') {
-        notation += from.charAt(0);
-      }
-      notation += 'x';
+    let parsed;
+    try {
+      parsed = ChessGame.fromPosition(game).move(typedMove);
+    } catch (err) {
+      setTypedMoveError('無效的着法');
+      return;
     }
     
-    // Add destination square
-    notation += to;
+    setTypedMove('');
+    setTypedMoveError('');
+    await handleMove(parsed.from, parsed.to, parsed.promotionPiece, parsed.drop);
+  };
+  
+  // Add game result message to chat
+  const addResultMessage = async (outcome) => {
+    await addSystemMessage('game-result', {
+      result: outcome.winner === 'draw' ? '和棋' : `${outcome.winner === 'white' ? game.white : game.black} 獲勝`,
+      reason: outcome.reason
+    });
+  };
+  
+  // End the game when a clock reaches zero; the server checks the time itself
+  const handleFlag = async () => {
+    if (!game || !currentUser || game.status !== 'active') return;
     
-    // Add promotion piece
-    if (moveInfo.isPromotion) {
-      notation += '=' + pieceSymbols[moveInfo.promotionPiece].toUpperCase();
-    }
+    const isPlayerInGame = game.whitePlayer.uid === currentUser.uid || game.blackPlayer.uid === currentUser.uid;
+    if (!isPlayerInGame) return;
     
-    // Add check or checkmate symbol
-    if (isInCheck(board, nextTurn)) {
-      // Check for checkmate
-      const hasMoves = moveInfo.isCheckmate ? false : true;
-      notation += hasMoves ? '+' : '#';
+    try {
+      await addResultMessage(await claimTimeout(gameId));
+    } catch (err) {
+      // Our clock may run ahead of the server's: the server says how much time the
+      // same side still has, so claim again once that has run out too
+      if (err.details && err.details.currentTurn === game.currentTurn) {
+        flagRetryRef.current = setTimeout(handleFlag, err.details.remainingMs + FLAG_RETRY_MARGIN_MS);
+        return;
+      }
+      
+      console.error('Error claiming timeout:', err);
     }
-    
-    return notation;
   };
   
   // Add system message to chat
@@ -218,7 +349,6 @@ const Game = () => {
     if (!isWhitePlayer && !isBlackPlayer) return;
     
     try {
-      const resigningColor = isWhitePlayer ? 'white' : 'black';
       const resigningPlayer = isWhitePlayer ? game.white : game.black;
       
       // Add system message for resignation
@@ -226,7 +356,7 @@ const Game = () => {
         player: resigningPlayer
       });
       
-      await resignChessGame(gameId, resigningColor);
+      await resignChessGame(gameId);
     } catch (err) {
       console.error('Error resigning game:', err);
       setError('無法投降');
@@ -257,14 +387,11 @@ const Game = () => {
         await acceptDraw(gameId);
       } else {
         // Otherwise, offer a draw
-        const offeringColor = isWhitePlayer ? 'white' : 'black';
-        
-        // Add system message for draw offer
         await addSystemMessage('draw-offer', {
           player: isWhitePlayer ? game.white : game.black
         });
         
-        await offerDraw(gameId, offeringColor);
+        await offerDraw(gameId);
       }
     } catch (err) {
       console.error('Error with draw offer:', err);
@@ -291,6 +418,115 @@ const Game = () => {
     }
   };
   
+  // Ask the opponent to take back the player's last move
+  const handleTakebackRequest = async () => {
+    if (!game || !currentUser) return;
+    
+    // Make sure the user is a player in this game
+    const isWhitePlayer = game.whitePlayer.uid === currentUser.uid;
+    const isBlackPlayer = game.blackPlayer.uid === currentUser.uid;
+    
+    if (!isWhitePlayer && !isBlackPlayer) return;
+    
+    try {
+      // The function refuses a request with no move to take back, so the message waits for it
+      await requestTakeback(gameId);
+      
+      await addSystemMessage('takeback-request', {
+        player: isWhitePlayer ? game.white : game.black
+      });
+    } catch (err) {
+      console.error('Error requesting takeback:', err);
+      setError('無法提出悔棋要求');
+    }
+  };
+  
+  // Accept or decline the opponent's takeback request
+  const handleTakebackResponse = async (accept) => {
+    if (!game || !currentUser) return;
+    
+    const respondingPlayer = game.whitePlayer.uid === currentUser.uid ? game.white : game.black;
+    
+    try {
+      if (accept) {
+        // The request may have expired in the meantime, so the message waits for the function
+        await acceptTakeback(gameId);
+        
+        await addSystemMessage('takeback-accepted', {
+          player: respondingPlayer
+        });
+      } else {
+        await addSystemMessage('takeback-declined', {
+          player: respondingPlayer
+        });
+        
+        await declineTakeback(gameId);
+      }
+    } catch (err) {
+      console.error('Error responding to takeback:', err);
+      
+      if (err.code === 'functions/failed-precondition') {
+        setSyncNotice('悔棋要求已失效');
+        return;
+      }
+      
+      setError('無法處理悔棋要求');
+    }
+  };
+  
+  // Claim a draw when the current position has occurred three times
+  const handleClaimRepetition = async () => {
+    if (!game || !currentUser) return;
+    
+    try {
+      await claimThreefoldRepetition(gameId);
+      
+      await addSystemMessage('game-result', {
+        result: '和棋',
+        reason: 'Threefold repetition'
+      });
+    } catch (err) {
+      console.error('Error claiming threefold repetition:', err);
+      setError('無法要求三次重複和棋');
+    }
+  };
+  
+  // Download the game as a PGN file
+  const handleDownloadPgn = () => {
+    if (!game) return;
+    
+    const blob = new Blob([ChessGame.fromGame({ ...game, moves: moveHistory }).pgn(game)], { type: 'application/x-chess-pgn' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = `${game.white}-vs-${game.black}-${gameId}.pgn`.replace(/\s+/g, '_');
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+  
+  // Arrows and marks belong to the position they were drawn on
+  const handleAnnotationsChange = (annotations) => {
+    setDrawnAnnotations({ ply: game.ply || 0, viewPly, annotations });
+  };
+  
+  // Start or stop sharing the player's arrows and marks with spectators
+  const handleToggleShareAnnotations = async () => {
+    if (!currentUser) return;
+    
+    setSharingAnnotations(!sharingAnnotations);
+    
+    if (sharingAnnotations) {
+      try {
+        await stopSharingAnnotations(gameId, currentUser.uid);
+      } catch (err) {
+        console.error('Error stopping annotation sharing:', err);
+      }
+    }
+  };
+  
   // Toggle chat visibility on mobile
   const toggleChat = () => {
     setShowChat(!showChat);
@@ -321,6 +557,67 @@ const Game = () => {
   const isBlackPlayer = currentUser && game.blackPlayer.uid === currentUser.uid;
   const isPlayer = isWhitePlayer || isBlackPlayer;
   const isSpectator = currentUser && !isPlayer;
+  const variant = getGameVariant(game);
+  
+  // The board shows an earlier ply while one is picked in the move list or on the graph
+  const livePly = positions.length - 1;
+  const shownPosition = viewPly !== null ? positions[viewPly] : null;
+  const shownPly = shownPosition ? viewPly : livePly;
+  const shownMove = shownPosition && viewPly > 0 ? moveHistory[viewPly - 1] : null;
+  const shownMoveLabel = shownMove
+    ? `${positions[viewPly - 1].fullMoveNumber}${shownMove.color === 'white' ? '.' : '...'} ${shownMove.san}`
+    : null;
+  const evaluationVisible = showEvaluation && evaluationLimit !== null;
+  const evaluatedPly = Math.min(shownPly, evaluationLimit ?? -1);
+  const isDelayed = evaluationVisible && evaluationLimit < livePly;
+  
+  // The user's own arrows and marks, cleared once the position changes; spectators
+  // also see what the players share for the live position
+  const boardAnnotations = drawnAnnotations && drawnAnnotations.ply === (game.ply || 0) && drawnAnnotations.viewPly === viewPly
+    ? drawnAnnotations.annotations
+    : EMPTY_ANNOTATIONS;
+  const sharedAnnotations = isSpectator && !shownPosition
+    ? playerAnnotations.filter(shared =>
+      [game.whitePlayer.uid, game.blackPlayer.uid].includes(shared.uid) && shared.ply === (game.ply || 0)
+    )
+    : [];
+  
+  // Pieces each side has captured and who is ahead in material, for the shown position.
+  // In Crazyhouse the captured pieces are in the pockets on the board instead.
+  const shownBoard = shownPosition ? shownPosition.board : game.board;
+  const capturedPieces = positions.length > 0 && !game.variantState?.pockets
+    ? getCapturedPieces(positions[0].board, shownBoard)
+    : null;
+  const materialBalance = capturedPieces ? getMaterialBalance(shownBoard) : 0;
+  
+  // Moves paired by number (1. e4 e5); a game starting with Black begins "1... e5"
+  const movePairs = [];
+  moveHistory.forEach((move, index) => {
+    if (move.color === 'white' || movePairs.length === 0) {
+      movePairs.push({ number: positions[index]?.fullMoveNumber ?? movePairs.length + 1, white: null, black: null });
+    }
+    movePairs[movePairs.length - 1][move.color] = index;
+  });
+  
+  // Render one move of the move list; clicking it shows the position after it
+  const renderNotationMove = (index) => {
+    const move = moveHistory[index];
+    const classification = game.review?.plies[index]?.classification;
+    
+    return (
+      <span
+        className={`notation-item ${classification ? `review-${classification}` : ''} ${index + 1 === shownPly ? 'current' : ''}`}
+        onClick={() => showPly(index + 1)}
+      >
+        <span className="move-notation">
+          {move.san}{classification && REVIEW_SYMBOLS[classification]}
+        </span>
+      </span>
+    );
+  };
+  
+  // Games from before openings were stored are identified from their moves
+  const opening = game.opening || identifyOpening(moveHistory.map(move => move.hash));
   
   // Check if there's a draw offer and if it's to the current player
   const hasDrawOffer = game.drawOfferBy && (
@@ -328,6 +625,15 @@ const Game = () => {
     (isBlackPlayer && game.drawOfferBy === 'white')
   );
   
+  // Takebacks: the player may ask once they have moved, and answer the opponent's request
+  const playerColor = isWhitePlayer ? 'white' : 'black';
+  const hasTakebackRequest = game.takebackRequest && isPlayer && game.takebackRequest.by !== playerColor;
+  const requestedTakeback = game.takebackRequest && isPlayer && game.takebackRequest.by === playerColor;
+  const canRequestTakeback = (game.ply || 0) >= (game.currentTurn === playerColor ? 2 : 1);
+  
+  // Threefold repetition can be claimed but does not end the game by itself
+  const canClaimRepetition = isThreefoldRepetition(game.positionHashes || []);
+  
   // Determine if the current player offered a draw
   const offeredDraw = game.drawOfferBy && (
     (isWhitePlayer && game.drawOfferBy === 'white') ||
@@ -343,7 +649,9 @@ const Game = () => {
         <h2>{game.white} vs {game.black}</h2>
         {game.status === 'completed' && (
           <div className="game-result">
-            {game.winner === 'draw' ? (
+            {!game.winner ? (
+              <span>結果未定</span>
+            ) : game.winner === 'draw' ? (
               <span>和棋 - {game.winReason}</span>
             ) : (
               <span>{game.winner === 'white' ? game.white : game.black} 獲勝 - {game.winReason}</span>
@@ -364,24 +672,58 @@ const Game = () => {
             <div className="player-name">
               {game.white}
               {isWhitePlayer && <span className="you-indicator">(你)</span>}
+              {materialBalance > 0 && <span className="material-advantage">+{materialBalance}</span>}
             </div>
-            <div className="player-pieces">
-              ♙♘♗♖♕♔
-            </div>
+            {capturedPieces && (
+              <div className="captured-pieces">
+                {capturedPieces.black.map((type, index) => (
+                  <span key={index}>{getPieceSymbol(type, 'black')}</span>
+                ))}
+              </div>
+            )}
+            {game.clock && (
+              <ChessClock
+                clock={game.clock}
+                color="white"
+                currentTurn={game.currentTurn}
+                running={game.status === 'active'}
+                onFlag={handleFlag}
+              />
+            )}
           </div>
           
           <div className="game-status">
+            {variant.id !== 'standard' && (
+              <div className="variant-label">
+                {variant.name}
+                {Number.isInteger(game.chess960Position) && ` #${game.chess960Position}`}
+              </div>
+            )}
+            
+            {game.variantState?.checks && (
+              <div className="check-count">
+                將軍次數：白 {game.variantState.checks.white} / 黑 {game.variantState.checks.black}
+              </div>
+            )}
+            
+            {game.timeControl && (
+              <div className="time-control">{formatTimeControl(game.timeControl)}</div>
+            )}
+            
             {game.status === 'active' ? (
               <div className="current-turn">
                 {game.currentTurn === 'white' ? game.white : game.black} 的回合
                 {((isWhitePlayer && game.currentTurn === 'white') || 
                   (isBlackPlayer && game.currentTurn === 'black')) && 
                   <span className="your-turn"> (你的回合)</span>}
+                {computerThinking && <span className="computer-thinking"> 電腦思考中...</span>}
               </div>
             ) : (
               <div className="game-over">遊戲結束</div>
             )}
             
+            {syncNotice && <div className="sync-notice">{syncNotice}</div>}
+            
             {game.status === 'active' && isPlayer && (
               <div className="game-actions">
                 <button 
@@ -392,7 +734,7 @@ const Game = () => {
                   投降
                 </button>
                 
-                {hasDrawOffer ? (
+                {game.computer ? null : hasDrawOffer ? (
                   <div className="draw-offer-actions">
                     <div className="draw-offer-message">
                       對手提出和棋要求
@@ -413,6 +755,39 @@ const Game = () => {
                     {offeredDraw ? '已提出和棋' : '提出和棋'}
                   </button>
                 )}
+                
+                {game.computer ? null : hasTakebackRequest ? (
+                  <div className="takeback-request-actions">
+                    <div className="draw-offer-message">
+                      對手要求悔棋
+                    </div>
+                    <button className="accept-draw-button" onClick={() => handleTakebackResponse(true)}>
+                      同意
+                    </button>
+                    <button className="decline-draw-button" onClick={() => handleTakebackResponse(false)}>
+                      拒絕
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    className="request-takeback-button"
+                    onClick={handleTakebackRequest}
+                    disabled={requestedTakeback || !canRequestTakeback}
+                  >
+                    {requestedTakeback ? '已要求悔棋' : '悔棋'}
+                  </button>
+                )}
+                
+                {canClaimRepetition && (
+                  <button className="claim-draw-button" onClick={handleClaimRepetition}>
+                    要求三次重複和棋
+                  </button>
+                )}
+                
+                <label className="share-annotations">
+                  <input type="checkbox" checked={sharingAnnotations} onChange={handleToggleShareAnnotations} />
+                  與觀眾分享棋盤標註
+                </label>
               </div>
             )}
           </div>
@@ -421,10 +796,24 @@ const Game = () => {
             <div className="player-name">
               {game.black}
               {isBlackPlayer && <span className="you-indicator">(你)</span>}
+              {materialBalance < 0 && <span className="material-advantage">+{-materialBalance}</span>}
             </div>
-            <div className="player-pieces">
-              ♟♞♝♜♛♚
-            </div>
+            {capturedPieces && (
+              <div className="captured-pieces">
+                {capturedPieces.white.map((type, index) => (
+                  <span key={index}>{getPieceSymbol(type, 'white')}</span>
+                ))}
+              </div>
+            )}
+            {game.clock && (
+              <ChessClock
+                clock={game.clock}
+                color="black"
+                currentTurn={game.currentTurn}
+                running={game.status === 'active'}
+                onFlag={handleFlag}
+              />
+            )}
           </div>
         </div>
         
@@ -432,29 +821,123 @@ const Game = () => {
           <div className="left-column">
             <SpectatorsList gameId={gameId} game={game} />
           
+            {shownPosition && (
+              <div className={`replay-banner ${game.status === 'active' ? 'live' : ''}`}>
+                <span>
+                  {game.status === 'active' && '對局進行中 — '}
+                  正在查看{shownMoveLabel ? ` ${shownMoveLabel} 之後的局面` : '開始局面'}（唯讀）
+                </span>
+                <button className="return-live-button" onClick={() => showPly(livePly)}>
+                  {game.status === 'active' ? '回到即時局面' : '回到最後局面'}
+                </button>
+              </div>
+            )}
+            
             <div className="board-with-notation">
-              <ChessBoard 
-                board={game.board} 
-                currentTurn={game.currentTurn}
-                onMove={handleMove}
-                userId={currentUser?.uid}
-                game={game}
-                lastMove={game.lastMove}
-                moveHistory={moveHistory}
-              />
+              <div className="board-with-evaluation">
+                {evaluationVisible && (
+                  <EvaluationBar
+                    evaluation={evaluatedPly >= 0 ? evaluations[evaluatedPly] : undefined}
+                    flipped={!!isBlackPlayer}
+                    note={isDelayed && evaluatedPly < shownPly ? `延遲 ${livePly - evaluationLimit} 步` : null}
+                  />
+                )}
+                <ChessBoard 
+                  board={shownPosition ? shownPosition.board : game.board} 
+                  currentTurn={shownPosition ? shownPosition.currentTurn : game.currentTurn}
+                  onMove={handleMove}
+                  userId={currentUser?.uid}
+                  game={shownPosition ? { ...game, variantState: shownPosition.variantState } : game}
+                  lastMove={shownPosition ? shownPosition.lastMove : game.lastMove}
+                  moveHistory={moveHistory}
+                  readOnly={!!shownPosition}
+                  annotations={boardAnnotations}
+                  onAnnotationsChange={handleAnnotationsChange}
+                  sharedAnnotations={sharedAnnotations}
+                />
+              </div>
               
               <div className="move-history">
-                <h3>着法記錄</h3>
+                <div className="move-history-header">
+                  <h3>着法記錄</h3>
+                  {game.status === 'completed' && (
+                    <button className="download-pgn-button" onClick={() => navigate(`/analysis/${gameId}`)}>
+                      分析
+                    </button>
+                  )}
+                  <button className="download-pgn-button" onClick={handleDownloadPgn}>
+                    下載 PGN
+                  </button>
+                </div>
+                {opening && (
+                  <div className="opening-name">
+                    <span className="opening-eco">{opening.eco}</span> {opening.name}
+                  </div>
+                )}
+                {game.status === 'active' && isPlayer && (
+                  <form className="typed-move-form" onSubmit={handleTypedMove}>
+                    <input
+                      type="text"
+                      value={typedMove}
+                      onChange={(e) => {
+                        setTypedMove(e.target.value);
+                        setTypedMoveError('');
+                      }}
+                      placeholder="輸入着法，例如 Nf3"
+                      disabled={game.currentTurn !== (isWhitePlayer ? 'white' : 'black')}
+                    />
+                    <button type="submit" disabled={!typedMove.trim()}>
+                      走棋
+                    </button>
+                    {typedMoveError && <div className="typed-move-error">{typedMoveError}</div>}
+                  </form>
+                )}
                 <div className="notation-list">
-                  {moveNotation.map((notation, index) => (
-                    <div key={index} className="notation-item">
-                      {index % 2 === 0 && <span className="move-number">{Math.floor(index / 2) + 1}.</span>}
-                      <span className="move-notation">{notation}</span>
+                  {movePairs.map(pair => (
+                    <div key={pair.number} className="notation-pair">
+                      <span className="move-number">{pair.number}.</span>
+                      {pair.white !== null ? renderNotationMove(pair.white) : <span className="notation-item">...</span>}
+                      {pair.black !== null && renderNotationMove(pair.black)}
                     </div>
                   ))}
                 </div>
+                <div className="replay-controls">
+                  <button onClick={() => showPly(0)} disabled={shownPly === 0} title="Home">|&lt;</button>
+                  <button onClick={() => showPly(shownPly - 1)} disabled={shownPly === 0} title="←">&lt;</button>
+                  <button onClick={() => showPly(shownPly + 1)} disabled={!shownPosition} title="→">&gt;</button>
+                  <button onClick={() => showPly(livePly)} disabled={!shownPosition} title="End">&gt;|</button>
+                </div>
               </div>
             </div>
+            
+            {evaluationLimit !== null ? (
+              <div className="evaluation-panel">
+                <div className="evaluation-panel-header">
+                  <h3>引擎評估</h3>
+                  <button className="toggle-evaluation-button" onClick={() => setShowEvaluation(!showEvaluation)}>
+                    {showEvaluation ? '隱藏' : '顯示'}
+                  </button>
+                </div>
+                {evaluationVisible && (
+                  <EvaluationGraph
+                    evaluations={evaluations.slice(0, evaluationLimit + 1)}
+                    currentPly={shownPly}
+                    onSelectPly={showPly}
+                  />
+                )}
+                {isDelayed && (
+                  <div className="evaluation-delay-note">
+                    對局進行中，觀眾的評估延遲 {livePly - evaluationLimit} 步
+                  </div>
+                )}
+              </div>
+            ) : isPlayer && game.status === 'active' && REVIEW_VARIANTS.includes(variant.id) && (
+              <div className="evaluation-panel evaluation-off">對局進行中，引擎評估已關閉</div>
+            )}
+            
+            {game.status === 'completed' && REVIEW_VARIANTS.includes(variant.id) && (
+              <GameReview game={game} moves={moveHistory} userId={currentUser?.uid} />
+            )}
           </div>
           
           <div className={`right-column ${showChat ? 'show' : ''}`}>
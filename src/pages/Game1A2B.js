@@ -11,7 +11,7 @@ import {
   generateHint, 
   calculateScore 
 } from '../utils/1a2b';
-import { make1A2BGuess } from '../services/GameService';
+import { make1A2BGuess, getGame, StaleStateError } from '../services/GameService';
 import '../styles/Game1A2B.css';
 
 const Game1A2B = () => {
@@ -49,7 +49,7 @@ const Game1A2B = () => {
           
           // Generate hint
           if (gameData.guesses && gameData.guesses.length > 0) {
-            const newHint = generateHint(gameData.guesses, gameData.secretNumber);
+            const newHint = generateHint(gameData.guesses);
             setHint(newHint);
           } else {
             setHint('猜一個4位數字，每個數字都不相同');
@@ -84,8 +84,8 @@ const Game1A2B = () => {
     setGuessError('');
     
     try {
-      // Make the guess
-      const result = await make1A2BGuess(gameId, guess, currentUser.uid);
+      // The make1A2BGuess function scores the guess, against the number of guesses we have seen
+      const result = await make1A2BGuess(gameId, guess, (game.guesses || []).length);
       
       // Add system message to chat
       await addSystemMessage('guess', {
@@ -111,11 +111,28 @@ const Game1A2B = () => {
       // Clear guess input
       setGuess('');
     } catch (err) {
+      // Another guess got in first: reload the game and keep the input for a retry
+      if (err instanceof StaleStateError) {
+        await resyncGame();
+        setGuessError('遊戲狀態已更新，請確認後再猜');
+        return;
+      }
+      
       console.error('Error making guess:', err);
       setGuessError(err.message);
     }
   };
   
+  // Reload the game after a guess was rejected as stale
+  const resyncGame = async () => {
+    try {
+      setGame(await getGame(gameId));
+    } catch (err) {
+      console.error('Error resyncing game:', err);
+      setError('無法載入遊戲');
+    }
+  };
+  
   // Add system message to chat
   const addSystemMessage = async (type, data) => {
     try {
@@ -1,7 +1,18 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
-import { createGame } from '../services/GameService';
+import { createGame, importPgnGame } from '../services/GameService';
+import {
+  ChessGame,
+  TIME_CONTROLS,
+  createTimeControl,
+  COMPUTER_LEVELS,
+  CHESS960_POSITION_COUNT,
+  randomChess960Position,
+  VARIANTS,
+  REVIEW_VARIANTS,
+  DEFAULT_SPECTATOR_DELAY
+} from '../utils/chess';
 import '../styles/GameSelection.css';
 
 /**
@@ -12,9 +23,22 @@ const GameSelection = () => {
   const navigate = useNavigate();
   
   const [selectedGame, setSelectedGame] = useState('chess');
+  const [opponentType, setOpponentType] = useState('human');
   const [opponentEmail, setOpponentEmail] = useState('');
+  const [computerLevel, setComputerLevel] = useState('3');
+  const [playerColor, setPlayerColor] = useState('white');
+  const [startFen, setStartFen] = useState('');
+  const [chessVariant, setChessVariant] = useState('standard');
+  const [chess960Number, setChess960Number] = useState('');
+  const [timeControlId, setTimeControlId] = useState('none');
+  const [customMinutes, setCustomMinutes] = useState('5');
+  const [customIncrement, setCustomIncrement] = useState('3');
+  const [spectatorDelay, setSpectatorDelay] = useState(DEFAULT_SPECTATOR_DELAY);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [pgnText, setPgnText] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState('');
   
   // Available game types
   const gameTypes = [
@@ -32,6 +56,25 @@ const GameSelection = () => {
     }
   ];
   
+  // Colors the player can choose against the computer
+  const colorChoices = [
+    { id: 'white', name: '執白' },
+    { id: 'black', name: '執黑' },
+    { id: 'random', name: '隨機' }
+  ];
+  
+  // Plies the spectators' engine evaluation lags behind the game
+  const spectatorDelays = [0, 2, 4, 10];
+  
+  // Only chess can be played against the computer
+  const vsComputer = selectedGame === 'chess' && opponentType === 'computer';
+  
+  // The computer only knows the standard rules, which Chess960 shares
+  const computerVariants = ['standard', 'chess960'];
+  const variantChoices = Object.values(VARIANTS).filter(variant =>
+    !vsComputer || computerVariants.includes(variant.id)
+  );
+  
   const handleSelectGame = (gameId) => {
     setSelectedGame(gameId);
   };
@@ -44,11 +87,61 @@ const GameSelection = () => {
       return;
     }
     
-    if (!opponentEmail || !opponentEmail.includes('@')) {
+    if (!vsComputer && (!opponentEmail || !opponentEmail.includes('@'))) {
       setError('請輸入有效的對手郵箱');
       return;
     }
     
+    if (vsComputer && !computerVariants.includes(chessVariant)) {
+      setError('電腦只能下標準規則或 Chess960');
+      return;
+    }
+    
+    // Validate the optional starting position
+    if (selectedGame === 'chess' && chessVariant !== 'chess960' && startFen.trim()) {
+      try {
+        new ChessGame(startFen, { variant: chessVariant });
+      } catch (err) {
+        setError('起始局面 FEN 格式錯誤或不是合法局面');
+        return;
+      }
+    }
+    
+    // Build the time control ('none' means an untimed game)
+    let timeControl = null;
+    if (selectedGame === 'chess' && timeControlId !== 'none') {
+      try {
+        timeControl = timeControlId === 'custom'
+          ? createTimeControl(Number(customMinutes), Number(customIncrement))
+          : createTimeControl(TIME_CONTROLS[timeControlId].minutes, TIME_CONTROLS[timeControlId].increment);
+      } catch (err) {
+        setError('請輸入有效的時間設定（1-180 分鐘，每步加 0-60 秒）');
+        return;
+      }
+    }
+    
+    // Chess960 uses the chosen position number, or a random one
+    let chess960Position;
+    if (selectedGame === 'chess' && chessVariant === 'chess960') {
+      chess960Position = chess960Number.trim() ? Number(chess960Number) : randomChess960Position();
+      
+      if (!Number.isInteger(chess960Position) || chess960Position < 0 || chess960Position >= CHESS960_POSITION_COUNT) {
+        setError('Chess960 局面編號必須是 0-959 的整數');
+        return;
+      }
+    }
+    
+    const chessOptions = {};
+    if (chessVariant !== 'chess960' && startFen.trim()) chessOptions.startFen = startFen.trim();
+    if (chess960Position !== undefined) chessOptions.chess960Position = chess960Position;
+    if (!computerVariants.includes(chessVariant)) chessOptions.variant = chessVariant;
+    if (timeControl) chessOptions.timeControl = timeControl;
+    if (REVIEW_VARIANTS.includes(chessVariant)) chessOptions.spectatorDelay = spectatorDelay;
+    if (vsComputer) {
+      const color = playerColor === 'random' ? (Math.random() < 0.5 ? 'white' : 'black') : playerColor;
+      chessOptions.computer = { color: color === 'white' ? 'black' : 'white', level: Number(computerLevel) };
+    }
+    
     try {
       setLoading(true);
       setError('');
@@ -64,7 +157,8 @@ const GameSelection = () => {
           email: opponentEmail,
           displayName: '玩家2'
         },
-        selectedGame
+        selectedGame,
+        selectedGame === 'chess' ? chessOptions : {}
       );
       
       // Navigate to the created game
@@ -77,6 +171,38 @@ const GameSelection = () => {
     }
   };
   
+  const handleImportPgn = async (e) => {
+    e.preventDefault();
+    
+    if (!currentUser) {
+      setImportError('請先登入');
+      return;
+    }
+    
+    if (!pgnText.trim()) {
+      setImportError('請貼上 PGN 內容');
+      return;
+    }
+    
+    try {
+      setImporting(true);
+      setImportError('');
+      
+      const gameId = await importPgnGame(pgnText, {
+        uid: currentUser.uid,
+        displayName: currentUser.displayName || '玩家1'
+      });
+      
+      // Open the imported game for review
+      navigate(`/chess/${gameId}`);
+    } catch (err) {
+      console.error('Error importing PGN:', err);
+      setImportError(`匯入失敗: ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+  
   const handleCancel = () => {
     navigate('/games');
   };
@@ -102,19 +228,199 @@ const GameSelection = () => {
       </div>
       
       <div className="create-game-form">
-        <h3>邀請對手</h3>
+        <h3>{vsComputer ? '與電腦對弈' : '邀請對手'}</h3>
         <form onSubmit={handleCreateGame}>
-          <div className="form-group">
-            <label htmlFor="opponent-email">對手郵箱</label>
-            <input
-              id="opponent-email"
-              type="email"
-              value={opponentEmail}
-              onChange={(e) => setOpponentEmail(e.target.value)}
-              placeholder="輸入對手的郵箱地址"
-              required
-            />
-          </div>
+          {selectedGame === 'chess' && (
+            <div className="form-group">
+              <label>對手</label>
+              <div className="option-buttons">
+                <button
+                  type="button"
+                  className={`option-button ${opponentType === 'human' ? 'selected' : ''}`}
+                  onClick={() => setOpponentType('human')}
+                >
+                  邀請玩家
+                </button>
+                <button
+                  type="button"
+                  className={`option-button ${opponentType === 'computer' ? 'selected' : ''}`}
+                  onClick={() => {
+                    setOpponentType('computer');
+                    if (!computerVariants.includes(chessVariant)) setChessVariant('standard');
+                  }}
+                >
+                  電腦
+                </button>
+              </div>
+            </div>
+          )}
+          
+          {vsComputer ? (
+            <>
+              <div className="form-group">
+                <label>電腦等級</label>
+                <div className="option-buttons">
+                  {Object.entries(COMPUTER_LEVELS).map(([level, settings]) => (
+                    <button
+                      key={level}
+                      type="button"
+                      className={`option-button ${computerLevel === level ? 'selected' : ''}`}
+                      onClick={() => setComputerLevel(level)}
+                    >
+                      {level} {settings.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              
+              <div className="form-group">
+                <label>我的顏色</label>
+                <div className="option-buttons">
+                  {colorChoices.map(choice => (
+                    <button
+                      key={choice.id}
+                      type="button"
+                      className={`option-button ${playerColor === choice.id ? 'selected' : ''}`}
+                      onClick={() => setPlayerColor(choice.id)}
+                    >
+                      {choice.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </>
+          ) : (
+            <div className="form-group">
+              <label htmlFor="opponent-email">對手郵箱</label>
+              <input
+                id="opponent-email"
+                type="email"
+                value={opponentEmail}
+                onChange={(e) => setOpponentEmail(e.target.value)}
+                placeholder="輸入對手的郵箱地址"
+                required
+              />
+            </div>
+          )}
+          
+          {selectedGame === 'chess' && (
+            <div className="form-group">
+              <label>變體</label>
+              <div className="option-buttons">
+                {variantChoices.map(variant => (
+                  <button
+                    key={variant.id}
+                    type="button"
+                    className={`option-button ${chessVariant === variant.id ? 'selected' : ''}`}
+                    onClick={() => setChessVariant(variant.id)}
+                  >
+                    {variant.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          
+          {selectedGame === 'chess' && chessVariant !== 'chess960' && (
+            <div className="form-group">
+              <label htmlFor="start-fen">起始局面 (FEN，選填)</label>
+              <input
+                id="start-fen"
+                type="text"
+                value={startFen}
+                onChange={(e) => setStartFen(e.target.value)}
+                placeholder="留空則使用標準開局"
+              />
+            </div>
+          )}
+          
+          {selectedGame === 'chess' && chessVariant === 'chess960' && (
+            <div className="form-group">
+              <label htmlFor="chess960-number">Chess960 局面編號 (0-959，選填)</label>
+              <input
+                id="chess960-number"
+                type="number"
+                min="0"
+                max={CHESS960_POSITION_COUNT - 1}
+                value={chess960Number}
+                onChange={(e) => setChess960Number(e.target.value)}
+                placeholder="留空則隨機抽取"
+              />
+            </div>
+          )}
+          
+          {selectedGame === 'chess' && (
+            <div className="form-group">
+              <label>時間控制</label>
+              <div className="option-buttons">
+                <button
+                  type="button"
+                  className={`option-button ${timeControlId === 'none' ? 'selected' : ''}`}
+                  onClick={() => setTimeControlId('none')}
+                >
+                  不限時
+                </button>
+                {Object.entries(TIME_CONTROLS).map(([id, preset]) => (
+                  <button
+                    key={id}
+                    type="button"
+                    className={`option-button ${timeControlId === id ? 'selected' : ''}`}
+                    onClick={() => setTimeControlId(id)}
+                  >
+                    {preset.name} {preset.minutes}+{preset.increment}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  className={`option-button ${timeControlId === 'custom' ? 'selected' : ''}`}
+                  onClick={() => setTimeControlId('custom')}
+                >
+                  自訂
+                </button>
+              </div>
+              
+              {timeControlId === 'custom' && (
+                <div className="custom-time-control">
+                  <label htmlFor="custom-minutes">每方分鐘數</label>
+                  <input
+                    id="custom-minutes"
+                    type="number"
+                    min="1"
+                    max="180"
+                    value={customMinutes}
+                    onChange={(e) => setCustomMinutes(e.target.value)}
+                  />
+                  <label htmlFor="custom-increment">每步加秒</label>
+                  <input
+                    id="custom-increment"
+                    type="number"
+                    min="0"
+                    max="60"
+                    value={customIncrement}
+                    onChange={(e) => setCustomIncrement(e.target.value)}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+          
+          {selectedGame === 'chess' && REVIEW_VARIANTS.includes(chessVariant) && (
+            <div className="form-group">
+              <label>觀眾引擎評估延遲</label>
+              <div className="option-buttons">
+                {spectatorDelays.map(delay => (
+                  <button
+                    key={delay}
+                    type="button"
+                    className={`option-button ${spectatorDelay === delay ? 'selected' : ''}`}
+                    onClick={() => setSpectatorDelay(delay)}
+                  >
+                    {delay === 0 ? '不延遲' : `${delay} 步`}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
           
           {error && <div className="error-message">{error}</div>}
           
@@ -137,6 +443,36 @@ const GameSelection = () => {
           </div>
         </form>
       </div>
+      
+      {selectedGame === 'chess' && (
+        <div className="create-game-form pgn-import-form">
+          <h3>匯入 PGN 棋譜</h3>
+          <form onSubmit={handleImportPgn}>
+            <div className="form-group">
+              <label htmlFor="pgn-text">PGN 內容</label>
+              <textarea
+                id="pgn-text"
+                value={pgnText}
+                onChange={(e) => setPgnText(e.target.value)}
+                placeholder={'[White "..."]\n[Black "..."]\n\n1. e4 e5 2. Nf3 ...'}
+                rows={8}
+              />
+            </div>
+            
+            {importError && <div className="error-message">{importError}</div>}
+            
+            <div className="form-actions">
+              <button 
+                type="submit" 
+                className="create-button"
+                disabled={importing}
+              >
+                {importing ? '匯入中...' : '匯入棋譜'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
     </div>
   );
 };
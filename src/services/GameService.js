@@ -1,30 +1,98 @@
 /**
  * Game service for handling Firebase operations related to games
  */
-import { db } from '../firebase';
+import { db, functions } from '../firebase';
 import { 
   collection, 
   doc, 
   addDoc, 
+  setDoc, 
   updateDoc, 
+  deleteDoc, 
   getDoc, 
   getDocs, 
   query, 
   where, 
   orderBy,
+  writeBatch,
   serverTimestamp 
 } from 'firebase/firestore';
-import { initialBoardSetup } from '../utils/chess';
-import { generateNumberFor1A2B } from '../utils/1a2b';
+import { httpsCallable } from 'firebase/functions';
+import {
+  ChessGame,
+  pgnToGame,
+  getPositionFields,
+  getMoveRecord,
+  getMoveId,
+  createClock,
+  COMPUTER_LEVELS,
+  getChess960Fen,
+  identifyOpening,
+  DEFAULT_SPECTATOR_DELAY
+} from '../utils/chess';
+
+// Firestore allows at most 500 writes in one batch
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Error thrown when a move or guess was made against an outdated game state,
+ * for example from a second tab or a double click. The caller should reload
+ * the game instead of treating it as a failure.
+ */
+export class StaleStateError extends Error {
+  constructor(message = 'Game state has changed') {
+    super(message);
+    this.name = 'StaleStateError';
+    this.code = 'stale-state';
+  }
+}
+
+/**
+ * Builds the document stored in games/{id}/moves for one ply.
+ * @param {ChessGame} chess - The game, after the move was played
+ * @param {Object} move - The move record returned by ChessGame.move
+ * @param {number} ply - The ply number, starting at 1
+ * @returns {Object} The move document
+ */
+const createMoveDoc = (chess, move, ply) => ({
+  ...getMoveRecord(chess, move, ply),
+  createdAt: serverTimestamp()
+});
+
+/**
+ * Gets the reference of a move document.
+ * @param {string} gameId - Game ID
+ * @param {number} ply - The ply number
+ * @returns {Object} Document reference
+ */
+const getMoveRef = (gameId, ply) => doc(db, 'games', gameId, 'moves', getMoveId(ply));
+
+/**
+ * Calls a Cloud Function and returns its result.
+ * @param {string} name - Function name
+ * @param {Object} data - Request data
+ * @returns {Promise<*>} The data returned by the function
+ */
+const callFunction = async (name, data) => {
+  const result = await httpsCallable(functions, name)(data);
+  return result.data;
+};
 
 /**
  * Create a new game with specified players and game type
  * @param {Object} player1 - First player data (uid, displayName)
  * @param {Object} player2 - Second player data (uid, displayName)
  * @param {string} gameType - Type of game ('chess' or '1a2b')
+ * @param {Object} options - Game-specific options
+ * @param {string} options.startFen - Starting position for chess games (defaults to the standard setup)
+ * @param {number} options.chess960Position - Start a Chess960 game from this position number (0-959) instead
+ * @param {string} options.variant - Chess variant ID, e.g. 'kingOfTheHill' (defaults to standard chess)
+ * @param {Object} options.timeControl - Chess time control { initialMs, incrementMs } (untimed if omitted)
+ * @param {Object} options.computer - Play chess against the computer: { color, level } (player2 is ignored)
+ * @param {number} options.spectatorDelay - Plies the spectators' engine evaluation lags behind a chess game
  * @returns {Promise<string>} The new game ID
  */
-export const createGame = async (player1, player2, gameType = 'chess') => {
+export const createGame = async (player1, player2, gameType = 'chess', options = {}) => {
   try {
     // Create initial game data based on game type
     let gameData = {
@@ -45,8 +113,57 @@ export const createGame = async (player1, player2, gameType = 'chess') => {
       updatedAt: serverTimestamp()
     };
     
+    // A Chess960 game starts from its numbered position
+    const startFen = options.chess960Position !== undefined
+      ? getChess960Fen(options.chess960Position)
+      : options.startFen;
+    const variant = options.chess960Position !== undefined ? 'chess960' : options.variant || 'standard';
+    
     // Add game-specific data
-    if (gameType === 'chess') {
+    if (gameType === 'chess' && options.computer) {
+      // Throws on a malformed FEN or unknown variant before anything is written
+      const chess = new ChessGame(startFen, { variant });
+      const { color, level } = options.computer;
+      
+      if (!['white', 'black'].includes(color) || !COMPUTER_LEVELS[level]) {
+        throw new Error(`Invalid computer opponent ${color} ${level}`);
+      }
+      
+      // The search only knows the standard rules
+      if (!['standard', 'chess960'].includes(variant)) {
+        throw new Error(`The computer cannot play ${variant}`);
+      }
+      
+      const human = { uid: player1.uid, displayName: player1.displayName };
+      const computer = { uid: null, displayName: `電腦 (等級 ${level})` };
+      const whitePlayer = color === 'white' ? computer : human;
+      const blackPlayer = color === 'white' ? human : computer;
+      
+      gameData = {
+        ...gameData,
+        player2: computer,
+        status: 'active', // Nobody needs to join
+        white: whitePlayer.displayName,
+        black: blackPlayer.displayName,
+        whitePlayer,
+        blackPlayer,
+        computer: { color, level }, // Moves are chosen in the player's browser and sent through makeMove
+        startFen: chess.startFen,
+        variant,
+        chess960Position: options.chess960Position ?? null,
+        ...getPositionFields(chess),
+        ply: 0,
+        opening: null,
+        timeControl: options.timeControl || null,
+        clock: createClock(options.timeControl),
+        spectatorDelay: options.spectatorDelay ?? DEFAULT_SPECTATOR_DELAY,
+        drawOfferBy: null,
+        takebackRequest: null
+      };
+    } else if (gameType === 'chess') {
+      // Throws on a malformed FEN or unknown variant before anything is written
+      const chess = new ChessGame(startFen, { variant });
+      
       gameData = {
         ...gameData,
         white: player1.displayName,
@@ -59,20 +176,22 @@ export const createGame = async (player1, player2, gameType = 'chess') => {
           uid: null, // Will be filled when player2 joins
           displayName: player2.displayName
         },
-        board: initialBoardSetup(),
-        currentTurn: 'white',
+        startFen: chess.startFen,
+        variant,
+        chess960Position: options.chess960Position ?? null,
+        ...getPositionFields(chess),
+        ply: 0, // Number of moves in games/{id}/moves
+        opening: null, // { eco, name }, set by the makeMove function
+        timeControl: options.timeControl || null,
+        clock: createClock(options.timeControl), // Advanced by the makeMove function
+        spectatorDelay: options.spectatorDelay ?? DEFAULT_SPECTATOR_DELAY, // Fair play for the engine evaluation
         drawOfferBy: null, // 'white', 'black'
-        moves: [],
-        notation: [],
-        boardPositions: [
-          { board: initialBoardSetup(), enPassantTarget: null }
-        ],
-        lastMove: null
+        takebackRequest: null // { by, ply }, cleared by the makeMove function on every move
       };
     } else if (gameType === '1a2b') {
       gameData = {
         ...gameData,
-        secretNumber: generateNumberFor1A2B(), // Generate a 4-digit secret number
+        // The secret number is drawn by the make1A2BGuess function and kept out of this document
         currentTurn: 'player2', // Player 1 creates the game, Player 2 guesses first
         guesses: [],
         maxGuesses: 10, // Maximum number of guesses allowed
@@ -89,6 +208,65 @@ export const createGame = async (player1, player2, gameType = 'chess') => {
   }
 };
 
+/**
+ * Import a finished chess game from PGN so it can be reviewed
+ * @param {string} pgn - PGN text
+ * @param {Object} importer - The importing user (uid, displayName)
+ * @returns {Promise<string>} The new game ID
+ */
+export const importPgnGame = async (pgn, importer) => {
+  try {
+    // Throws on malformed PGN or illegal moves before anything is written;
+    // the move documents are built from the position after each ply
+    const moveDocs = [];
+    const imported = pgnToGame(pgn, {
+      onMove: (chess, move, ply) => moveDocs.push(createMoveDoc(chess, move, ply))
+    });
+    const { chess } = imported;
+    const white = imported.tags.White || '?';
+    const black = imported.tags.Black || '?';
+    
+    const gameRef = doc(collection(db, 'games'));
+    const gameData = {
+      gameType: 'chess',
+      imported: true,
+      importedBy: importer.uid,
+      pgnTags: imported.tags,
+      status: 'completed',
+      winner: imported.winner,
+      winReason: imported.winReason,
+      white,
+      black,
+      whitePlayer: { uid: null, displayName: white },
+      blackPlayer: { uid: null, displayName: black },
+      startFen: imported.startFen,
+      variant: imported.variant,
+      ...getPositionFields(chess),
+      ply: moveDocs.length,
+      opening: identifyOpening(chess.positionHashes()),
+      drawOfferBy: null,
+      takebackRequest: null,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    };
+    
+    // The rules only accept moves written in the same batch as their game
+    if (moveDocs.length + 1 > MAX_BATCH_WRITES) {
+      throw new Error(`Game too long to import (${moveDocs.length} plies)`);
+    }
+    
+    const batch = writeBatch(db);
+    batch.set(gameRef, gameData);
+    moveDocs.forEach(moveDoc => batch.set(getMoveRef(gameRef.id, moveDoc.ply), moveDoc));
+    await batch.commit();
+    
+    return gameRef.id;
+  } catch (error) {
+    console.error('Error importing PGN:', error);
+    throw error;
+  }
+};
+
 /**
  * Get a game by ID
  * @param {string} gameId - The game ID
@@ -109,6 +287,21 @@ export const getGame = async (gameId) => {
   }
 };
 
+/**
+ * Get the moves of a chess game in order
+ * @param {string} gameId - The game ID
+ * @returns {Promise<Array>} Move documents, first ply first
+ */
+export const getGameMoves = async (gameId) => {
+  try {
+    const snapshot = await getDocs(query(collection(db, 'games', gameId, 'moves'), orderBy('ply')));
+    return snapshot.docs.map(moveDoc => moveDoc.data());
+  } catch (error) {
+    console.error('Error getting game moves:', error);
+    throw error;
+  }
+};
+
 /**
  * Get active games for a user
  * @param {string} userId - User ID
@@ -328,180 +521,68 @@ export const joinGame = async (gameId, player) => {
 
 /**
  * Make a chess move
+ * The makeMove Cloud Function validates the move with the shared engine and
+ * is the only writer of the board, the turn and the result.
  * @param {string} gameId - Game ID
- * @param {string} from - Starting position
+ * @param {string} from - Starting position (null for a drop)
  * @param {string} to - Ending position
- * @param {Object} piece - The piece being moved
- * @param {Array} newBoard - New board state after the move
- * @param {Object} moveInfo - Additional information about the move
- * @returns {Promise<void>}
+ * @param {string} promotionPiece - The piece to promote to (if pawn promotion)
+ * @param {string} drop - The piece type dropped from the pocket (Crazyhouse)
+ * @param {number} expectedPly - The ply of the position the move was made in
+ * @returns {Promise<Object>} The stored move and the game outcome (null if the game continues)
+ * @throws {StaleStateError} If another move was made since expectedPly
  */
-export const makeChessMove = async (gameId, from, to, piece, newBoard, moveInfo) => {
+export const makeChessMove = async (gameId, from, to, promotionPiece = null, drop = null, expectedPly) => {
   try {
-    // Get the current game state
-    const gameDoc = await getDoc(doc(db, 'games', gameId));
-    
-    if (!gameDoc.exists()) {
-      throw new Error('Game not found');
-    }
-    
-    const game = gameDoc.data();
-    
-    if (game.gameType !== 'chess') {
-      throw new Error('Not a chess game');
-    }
+    return await callFunction('makeMove', { gameId, from, to, promotion: promotionPiece, drop, expectedPly });
+  } catch (error) {
+    console.error('Error making chess move:', error);
     
-    if (game.status !== 'active') {
-      throw new Error('Game not active');
+    // The function rejects moves made against a position that has moved on with
+    // 'aborted'; anything else, such as a move out of turn, is a real error
+    if (error.code === 'functions/aborted') {
+      throw new StaleStateError(error.message);
     }
     
-    // Create move object
-    const move = {
-      from,
-      to,
-      piece: { type: piece.type, color: piece.color },
-      timestamp: new Date().toISOString(),
-      ...moveInfo
-    };
-    
-    // Create new position object
-    const newPosition = {
-      board: newBoard,
-      enPassantTarget: piece.type === 'pawn' && Math.abs(from[1] - to[1]) === 2 ? to : null
-    };
-    
-    // Update game
-    const nextTurn = game.currentTurn === 'white' ? 'black' : 'white';
-    
-    await updateDoc(doc(db, 'games', gameId), {
-      board: newBoard,
-      currentTurn: nextTurn,
-      lastMove: move,
-      moves: [...game.moves, move],
-      boardPositions: [...(game.boardPositions || []), newPosition],
-      updatedAt: serverTimestamp()
-    });
-  } catch (error) {
-    console.error('Error making chess move:', error);
     throw error;
   }
 };
 
 /**
  * Make a guess in a 1A2B game
+ * The make1A2BGuess function scores the guess against the secret number,
+ * which clients cannot read until the game is over.
  * @param {string} gameId - Game ID
  * @param {string} guess - The 4-digit guess
- * @param {string} playerId - ID of the player making the guess
+ * @param {number} expectedGuessCount - Number of guesses the client has seen
  * @returns {Promise<Object>} Result of the guess with A and B counts
+ * @throws {StaleStateError} If another guess was made since expectedGuessCount
  */
-export const make1A2BGuess = async (gameId, guess, playerId) => {
+export const make1A2BGuess = async (gameId, guess, expectedGuessCount) => {
   try {
-    // Get the current game state
-    const gameDoc = await getDoc(doc(db, 'games', gameId));
-    
-    if (!gameDoc.exists()) {
-      throw new Error('Game not found');
-    }
-    
-    const game = gameDoc.data();
-    
-    if (game.gameType !== '1a2b') {
-      throw new Error('Not a 1A2B game');
-    }
-    
-    if (game.status !== 'active') {
-      throw new Error('Game not active');
-    }
-    
-    // Check if it's the player's turn
-    const isPlayer1 = game.player1.uid === playerId;
-    const isPlayer2 = game.player2.uid === playerId;
-    const isPlayersTurn = 
-      (isPlayer1 && game.currentTurn === 'player1') || 
-      (isPlayer2 && game.currentTurn === 'player2');
-    
-    if (!isPlayersTurn) {
-      throw new Error('Not your turn');
-    }
-    
-    // Validate guess format (4 unique digits)
-    if (!/^\d{4}$/.test(guess) || new Set(guess).size !== 4) {
-      throw new Error('Invalid guess. Must be 4 unique digits.');
-    }
-    
-    // Calculate A and B
-    const secretNumber = game.secretNumber;
-    let a = 0; // Correct digit and position
-    let b = 0; // Correct digit but wrong position
-    
-    for (let i = 0; i < 4; i++) {
-      if (guess[i] === secretNumber[i]) {
-        a++;
-      } else if (secretNumber.includes(guess[i])) {
-        b++;
-      }
-    }
-    
-    // Create guess result
-    const guessResult = {
-      guess,
-      a,
-      b,
-      player: isPlayer1 ? 'player1' : 'player2',
-      playerName: isPlayer1 ? game.player1.displayName : game.player2.displayName,
-      timestamp: new Date().toISOString()
-    };
-    
-    // Check for win (4A0B)
-    const isWin = a === 4;
-    const remainingGuesses = game.remainingGuesses - 1;
-    const isGameOver = isWin || remainingGuesses === 0;
-    
-    // Update game state
-    const updates = {
-      guesses: [...(game.guesses || []), guessResult],
-      remainingGuesses,
-      currentTurn: game.currentTurn === 'player1' ? 'player2' : 'player1',
-      updatedAt: serverTimestamp()
-    };
+    return await callFunction('make1A2BGuess', { gameId, guess, expectedGuessCount });
+  } catch (error) {
+    console.error('Error making 1A2B guess:', error);
     
-    if (isGameOver) {
-      updates.status = 'completed';
-      
-      if (isWin) {
-        updates.winner = isPlayer1 ? 'player1' : 'player2';
-        updates.winReason = 'Guessed the number';
-      } else {
-        updates.winner = 'draw';
-        updates.winReason = 'Ran out of guesses';
-      }
+    // The function rejects guesses made against a game that has moved on with
+    // 'aborted'; anything else, such as a guess out of turn, is a real error
+    if (error.code === 'functions/aborted') {
+      throw new StaleStateError(error.message);
     }
     
-    await updateDoc(doc(db, 'games', gameId), updates);
-    
-    return { a, b, isWin, isGameOver };
-  } catch (error) {
-    console.error('Error making 1A2B guess:', error);
     throw error;
   }
 };
 
 /**
  * Resign a chess game
+ * The resigning side is taken from the signed-in user by the resignGame function.
  * @param {string} gameId - Game ID
- * @param {string} resigningColor - Color of the player resigning ('white' or 'black')
  * @returns {Promise<void>}
  */
-export const resignChessGame = async (gameId, resigningColor) => {
+export const resignChessGame = async (gameId) => {
   try {
-    const winner = resigningColor === 'white' ? 'black' : 'white';
-    
-    await updateDoc(doc(db, 'games', gameId), {
-      status: 'completed',
-      winner,
-      winReason: 'Resignation',
-      updatedAt: serverTimestamp()
-    });
+    await callFunction('resignGame', { gameId });
   } catch (error) {
     console.error('Error resigning chess game:', error);
     throw error;
@@ -510,16 +591,13 @@ export const resignChessGame = async (gameId, resigningColor) => {
 
 /**
  * Offer a draw in a chess game
+ * The offering side is taken from the signed-in user by the offerDraw function.
  * @param {string} gameId - Game ID
- * @param {string} offeringColor - Color of the player offering the draw ('white' or 'black')
  * @returns {Promise<void>}
  */
-export const offerDraw = async (gameId, offeringColor) => {
+export const offerDraw = async (gameId) => {
   try {
-    await updateDoc(doc(db, 'games', gameId), {
-      drawOfferBy: offeringColor,
-      updatedAt: serverTimestamp()
-    });
+    await callFunction('offerDraw', { gameId });
   } catch (error) {
     console.error('Error offering draw:', error);
     throw error;
@@ -528,18 +606,13 @@ export const offerDraw = async (gameId, offeringColor) => {
 
 /**
  * Accept a draw offer in a chess game
+ * The acceptDraw function checks that the opponent made the offer.
  * @param {string} gameId - Game ID
  * @returns {Promise<void>}
  */
 export const acceptDraw = async (gameId) => {
   try {
-    await updateDoc(doc(db, 'games', gameId), {
-      status: 'completed',
-      winner: 'draw',
-      winReason: 'Agreement',
-      drawOfferBy: null,
-      updatedAt: serverTimestamp()
-    });
+    await callFunction('acceptDraw', { gameId });
   } catch (error) {
     console.error('Error accepting draw:', error);
     throw error;
@@ -548,38 +621,150 @@ export const acceptDraw = async (gameId) => {
 
 /**
  * Decline a draw offer in a chess game
+ * The declineDraw function checks that the opponent made the offer.
  * @param {string} gameId - Game ID
  * @returns {Promise<void>}
  */
 export const declineDraw = async (gameId) => {
   try {
-    await updateDoc(doc(db, 'games', gameId), {
-      drawOfferBy: null,
+    await callFunction('declineDraw', { gameId });
+  } catch (error) {
+    console.error('Error declining draw:', error);
+    throw error;
+  }
+};
+
+/**
+ * Ask the opponent to take back the last move in a chess game
+ * The requestTakeback function takes the requesting side from the signed-in
+ * user and ties the request to the current ply, so it cannot outlive its position.
+ * @param {string} gameId - Game ID
+ * @returns {Promise<void>}
+ */
+export const requestTakeback = async (gameId) => {
+  try {
+    await callFunction('requestTakeback', { gameId });
+  } catch (error) {
+    console.error('Error requesting takeback:', error);
+    throw error;
+  }
+};
+
+/**
+ * Accept a takeback request in a chess game
+ * The acceptTakeback function checks the request and replays the remaining moves.
+ * @param {string} gameId - Game ID
+ * @returns {Promise<number>} The number of plies taken back
+ */
+export const acceptTakeback = async (gameId) => {
+  try {
+    const { plies } = await callFunction('acceptTakeback', { gameId });
+    return plies;
+  } catch (error) {
+    console.error('Error accepting takeback:', error);
+    throw error;
+  }
+};
+
+/**
+ * Decline a takeback request in a chess game
+ * The declineTakeback function checks that the opponent made the request.
+ * @param {string} gameId - Game ID
+ * @returns {Promise<void>}
+ */
+export const declineTakeback = async (gameId) => {
+  try {
+    await callFunction('declineTakeback', { gameId });
+  } catch (error) {
+    console.error('Error declining takeback:', error);
+    throw error;
+  }
+};
+
+/**
+ * Share a player's board arrows and marks with the spectators of a chess game
+ * @param {string} gameId - Game ID
+ * @param {string} userId - The sharing player's user ID
+ * @param {Object} annotations - { arrows, marks }
+ * @param {number} ply - The ply they were drawn at, so spectators skip them once the game moves on
+ * @returns {Promise<void>}
+ */
+export const shareAnnotations = async (gameId, userId, annotations, ply) => {
+  try {
+    await setDoc(doc(db, 'games', gameId, 'annotations', userId), {
+      arrows: annotations.arrows,
+      marks: annotations.marks,
+      ply,
       updatedAt: serverTimestamp()
     });
   } catch (error) {
-    console.error('Error declining draw:', error);
+    console.error('Error sharing annotations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stop sharing a player's board arrows and marks
+ * @param {string} gameId - Game ID
+ * @param {string} userId - The player's user ID
+ * @returns {Promise<void>}
+ */
+export const stopSharingAnnotations = async (gameId, userId) => {
+  try {
+    await deleteDoc(doc(db, 'games', gameId, 'annotations', userId));
+  } catch (error) {
+    console.error('Error removing shared annotations:', error);
     throw error;
   }
 };
 
 /**
- * Complete a game with an outcome
+ * Claim a draw by threefold repetition in a chess game
+ * The claimThreefoldRepetition function checks the claim against the stored
+ * position hashes, not against the client's view of the game.
  * @param {string} gameId - Game ID
- * @param {string} winner - Winner ('white', 'black', 'player1', 'player2', or 'draw')
- * @param {string} reason - Reason for game completion
  * @returns {Promise<void>}
  */
-export const completeGame = async (gameId, winner, reason) => {
+export const claimThreefoldRepetition = async (gameId) => {
+  try {
+    await callFunction('claimThreefoldRepetition', { gameId });
+  } catch (error) {
+    console.error('Error claiming threefold repetition:', error);
+    throw error;
+  }
+};
+
+/**
+ * End a timed chess game whose side to move has run out of time
+ * The claimTimeout function checks the clock against the server's time.
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object>} The game outcome
+ */
+export const claimTimeout = async (gameId) => {
+  try {
+    const { outcome } = await callFunction('claimTimeout', { gameId });
+    return outcome;
+  } catch (error) {
+    console.error('Error claiming timeout:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cache a post-game review on a completed chess game, so every viewer sees
+ * the same report without searching the game again
+ * @param {string} gameId - Game ID
+ * @param {Object} review - The review (see reviewGame)
+ * @returns {Promise<void>}
+ */
+export const saveGameReview = async (gameId, review) => {
   try {
     await updateDoc(doc(db, 'games', gameId), {
-      status: 'completed',
-      winner,
-      winReason: reason,
+      review: { ...review, createdAt: serverTimestamp() },
       updatedAt: serverTimestamp()
     });
   } catch (error) {
-    console.error('Error completing game:', error);
+    console.error('Error saving game review:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
@@ -82,11 +82,11 @@ export const isValidGuess = (guess) => {
 
 /**
  * Generates a hint based on remaining guesses and history
+ * Only the guess results are used; the secret number is not known to clients.
  * @param {Array} guessHistory - Previous guesses with their results
- * @param {string} target - The target number
  * @returns {string} A hint for the player
  */
-export const generateHint = (guessHistory, target) => {
+export const generateHint = (guessHistory) => {
   if (!guessHistory || guessHistory.length === 0) {
     return '猜一個4位數字，每個數字都不相同';
   }
@@ -0,0 +1,280 @@
+/**
+ * Variation tree for the analysis board.
+ * Every node is one move; the first child of a node is the main line and the
+ * others are sidelines. Nodes are kept in a flat map by ID and every change
+ * returns a new tree, so React state can hold the tree directly. A node may
+ * also hold the arrows and marked squares drawn at its position.
+ */
+
+import { ChessGame } from './game';
+import { fenToBoard } from './fen';
+import { getPgnTags, formatPgn } from './pgn';
+import { hasAnnotations, annotationsToComment } from './annotations';
+
+export const ROOT_ID = 'root';
+
+/**
+ * Creates an empty tree.
+ * @param {Object} options - Tree options
+ * @param {string} options.startFen - Starting position (defaults to the standard setup)
+ * @param {string} options.variant - Variant ID
+ * @returns {Object} { startFen, variant, nextId, nodes }
+ * @throws {Error} If the FEN string is malformed or the variant is unknown
+ */
+export const createAnalysisTree = ({ startFen = null, variant = 'standard' } = {}) => {
+  // Fails early on a bad position rather than on the first move
+  new ChessGame(startFen, { variant });
+
+  return {
+    startFen: startFen || null,
+    variant: variant || 'standard',
+    nextId: 1,
+    nodes: {
+      [ROOT_ID]: { id: ROOT_ID, parentId: null, move: null, children: [] }
+    }
+  };
+};
+
+/**
+ * Gets the nodes from the root down to a node.
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - The last node
+ * @returns {Array} Node IDs in move order, without the root
+ */
+export const getLine = (tree, nodeId) => {
+  const line = [];
+
+  for (let id = nodeId; id !== ROOT_ID; id = tree.nodes[id].parentId) {
+    line.unshift(id);
+  }
+
+  return line;
+};
+
+/**
+ * Follows the main line from a node to its end.
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - The node to start from
+ * @returns {Array} Node IDs after the node, in move order
+ */
+export const getContinuation = (tree, nodeId) => {
+  const line = [];
+
+  for (let id = tree.nodes[nodeId].children[0]; id; id = tree.nodes[id].children[0]) {
+    line.push(id);
+  }
+
+  return line;
+};
+
+/**
+ * Replays the moves leading to a node.
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - The node
+ * @returns {ChessGame} The game at the node's position
+ */
+export const getGameAt = (tree, nodeId) => {
+  const chess = new ChessGame(tree.startFen, { variant: tree.variant });
+  getLine(tree, nodeId).forEach(id => chess.move(tree.nodes[id].move));
+  return chess;
+};
+
+/**
+ * Adds a move that was played after a node. A move that is already there is
+ * reused, otherwise it becomes a new sideline (or the main line if it is the first).
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - The node the move was played from
+ * @param {Object} record - The move record returned by ChessGame.move
+ * @returns {Object} { tree, nodeId } with the node of the move
+ */
+const attachMove = (tree, nodeId, record) => {
+  const parent = tree.nodes[nodeId];
+  const stored = {
+    from: record.from,
+    to: record.to,
+    promotionPiece: record.promotionPiece || null,
+    drop: record.drop || null,
+    san: record.san
+  };
+
+  const existing = parent.children.find(id => tree.nodes[id].move.san === stored.san);
+  if (existing) {
+    return { tree, nodeId: existing };
+  }
+
+  const id = String(tree.nextId);
+
+  return {
+    tree: {
+      ...tree,
+      nextId: tree.nextId + 1,
+      nodes: {
+        ...tree.nodes,
+        [nodeId]: { ...parent, children: [...parent.children, id] },
+        [id]: { id, parentId: nodeId, move: stored, children: [] }
+      }
+    },
+    nodeId: id
+  };
+};
+
+/**
+ * Plays a move after a node (see attachMove).
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - The node to play from
+ * @param {string|Object} move - A move in SAN, { from, to, promotionPiece } or { to, drop }
+ * @returns {Object} { tree, nodeId } with the node of the move
+ * @throws {Error} If the move is illegal
+ */
+export const addMove = (tree, nodeId, move) => {
+  return attachMove(tree, nodeId, getGameAt(tree, nodeId).move(move));
+};
+
+/**
+ * Plays a sequence of moves after a node, e.g. the moves of a stored game.
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - The node to play from
+ * @param {Array} moves - Moves as accepted by addMove
+ * @returns {Object} { tree, nodeId } with the node of the last move
+ * @throws {Error} If a move is illegal
+ */
+export const addLine = (tree, nodeId, moves) => {
+  const chess = getGameAt(tree, nodeId);
+
+  return moves.reduce(
+    (state, move) => attachMove(state.tree, state.nodeId, chess.move(move)),
+    { tree, nodeId }
+  );
+};
+
+/**
+ * Promotes the variation containing a node one level: at the nearest point
+ * where it branches off, it becomes the main line.
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - A node in the variation
+ * @returns {Object} The new tree (the same tree if the node is on the main line)
+ */
+export const promoteVariation = (tree, nodeId) => {
+  for (let id = nodeId; id !== ROOT_ID; id = tree.nodes[id].parentId) {
+    const parent = tree.nodes[tree.nodes[id].parentId];
+
+    if (parent.children[0] !== id) {
+      const children = [id, ...parent.children.filter(childId => childId !== id)];
+      return { ...tree, nodes: { ...tree.nodes, [parent.id]: { ...parent, children } } };
+    }
+  }
+
+  return tree;
+};
+
+/**
+ * Deletes a node and every move after it.
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - The node to delete
+ * @returns {Object} The new tree
+ * @throws {Error} If the node is the root
+ */
+export const deleteVariation = (tree, nodeId) => {
+  if (nodeId === ROOT_ID) {
+    throw new Error('Cannot delete the starting position');
+  }
+
+  const nodes = { ...tree.nodes };
+  const parent = nodes[nodes[nodeId].parentId];
+  const pending = [nodeId];
+
+  while (pending.length > 0) {
+    const id = pending.pop();
+    pending.push(...nodes[id].children);
+    delete nodes[id];
+  }
+
+  nodes[parent.id] = { ...parent, children: parent.children.filter(id => id !== nodeId) };
+
+  return { ...tree, nodes };
+};
+
+/**
+ * Sets the arrows and marked squares drawn at a node.
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - The node
+ * @param {Object} annotations - { arrows, marks }
+ * @returns {Object} The new tree
+ */
+export const setNodeAnnotations = (tree, nodeId, annotations) => {
+  const node = tree.nodes[nodeId];
+
+  return {
+    ...tree,
+    nodes: {
+      ...tree.nodes,
+      [nodeId]: { ...node, annotations: hasAnnotations(annotations) ? annotations : null }
+    }
+  };
+};
+
+/**
+ * Adds a node's annotations as a PGN comment with [%csl] and [%cal] commands.
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - The node
+ * @param {Array} tokens - Tokens written so far, added to in place
+ * @returns {boolean} True if a comment was added, after which a black move needs its number
+ */
+const addAnnotationTokens = (tree, nodeId, tokens) => {
+  const { annotations } = tree.nodes[nodeId];
+
+  if (!hasAnnotations(annotations)) return false;
+
+  tokens.push(`{${annotationsToComment(annotations)}}`);
+  return true;
+};
+
+/**
+ * Gets the movetext tokens for the moves after a node, sidelines in parentheses.
+ * @param {Object} tree - The tree
+ * @param {string} nodeId - The node whose continuations are written
+ * @param {string} color - The side to move at the node
+ * @param {number} moveNumber - The full move number at the node
+ * @param {boolean} needsNumber - Whether a black move needs its number ("3...")
+ * @param {Array} tokens - Tokens written so far, added to in place
+ */
+const addVariationTokens = (tree, nodeId, color, moveNumber, needsNumber, tokens) => {
+  const [main, ...sidelines] = tree.nodes[nodeId].children;
+
+  if (!main) return;
+
+  const number = color === 'white' ? `${moveNumber}.` : `${moveNumber}...`;
+  const nextColor = color === 'white' ? 'black' : 'white';
+  const nextNumber = color === 'black' ? moveNumber + 1 : moveNumber;
+
+  if (color === 'white' || needsNumber) tokens.push(number);
+  tokens.push(tree.nodes[main].move.san);
+  const mainCommented = addAnnotationTokens(tree, main, tokens);
+
+  sidelines.forEach(id => {
+    tokens.push(`(${number}`, tree.nodes[id].move.san);
+    const commented = addAnnotationTokens(tree, id, tokens);
+    addVariationTokens(tree, id, nextColor, nextNumber, commented, tokens);
+    tokens[tokens.length - 1] += ')';
+  });
+
+  // After a sideline or a comment the main line starts again with a move number
+  addVariationTokens(tree, main, nextColor, nextNumber, sidelines.length > 0 || mainCommented, tokens);
+};
+
+/**
+ * Serializes the tree to PGN, with sidelines as variations and annotations as comments.
+ * @param {Object} tree - The tree
+ * @param {Object} game - Stored game data for the header (players, result, dates)
+ * @returns {string} PGN text
+ */
+export const analysisToPgn = (tree, game = {}) => {
+  const start = tree.startFen ? fenToBoard(tree.startFen) : { currentTurn: 'white', fullMoveNumber: 1 };
+  const tokens = [];
+
+  // Annotations of the starting position come before the first move
+  addAnnotationTokens(tree, ROOT_ID, tokens);
+  addVariationTokens(tree, ROOT_ID, start.currentTurn, start.fullMoveNumber, true, tokens);
+
+  return formatPgn(getPgnTags({ ...game, startFen: tree.startFen, variant: tree.variant }), tokens);
+};
@@ -0,0 +1,88 @@
+/**
+ * Variation tree for the analysis board.
+ */
+
+import {
+  ROOT_ID,
+  createAnalysisTree,
+  addMove,
+  addLine,
+  getLine,
+  getContinuation,
+  getGameAt,
+  promoteVariation,
+  deleteVariation,
+  setNodeAnnotations,
+  analysisToPgn
+} from './analysis';
+
+/**
+ * Builds 1. e4 e5 (1... c5 2. Nf3) 2. Nf3 (2. Bc4) Nc6.
+ * @returns {Object} { tree, ids } with the node ID of each move by SAN path
+ */
+const buildTree = () => {
+  let state = addLine(createAnalysisTree(), ROOT_ID, ['e4', 'e5', 'Nf3', 'Nc6']);
+  const [e4, e5] = getLine(state.tree, state.nodeId);
+
+  state = addLine(state.tree, e4, ['c5', 'Nf3']);
+  const sicilian = state.nodeId;
+  state = addLine(state.tree, e5, ['Bc4']);
+
+  return { tree: state.tree, ids: { e4, e5, sicilian, bishop: state.nodeId } };
+};
+
+describe('analysis tree', () => {
+  test('moves branch into sidelines and replaying an existing move reuses it', () => {
+    const { tree, ids } = buildTree();
+    const again = addMove(tree, ids.e4, 'e5');
+
+    expect(again.tree).toBe(tree);
+    expect(again.nodeId).toBe(ids.e5);
+    expect(tree.nodes[ids.e4].children).toHaveLength(2);
+    expect(getContinuation(tree, ROOT_ID).map(id => tree.nodes[id].move.san)).toEqual(['e4', 'e5', 'Nf3', 'Nc6']);
+    expect(getGameAt(tree, ids.sicilian).fen()).toBe('rnbqkbnr/pp1ppppp/8/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2');
+  });
+
+  test('illegal moves are rejected', () => {
+    expect(() => addMove(createAnalysisTree(), ROOT_ID, 'e5')).toThrow();
+    expect(() => createAnalysisTree({ startFen: 'not a fen' })).toThrow();
+  });
+
+  test('PGN has the sidelines as variations', () => {
+    const { tree } = buildTree();
+    const movetext = analysisToPgn(tree).split('\n\n')[1].trim();
+
+    expect(movetext).toBe('1. e4 e5 (1... c5 2. Nf3) 2. Nf3 (2. Bc4) 2... Nc6 *');
+  });
+
+  test('annotations are exported as [%csl] and [%cal] comments', () => {
+    const { tree, ids } = buildTree();
+    let annotated = setNodeAnnotations(tree, ids.e4, {
+      arrows: [{ from: 'g1', to: 'f3', color: 'G' }],
+      marks: [{ square: 'd5', color: 'R' }]
+    });
+    annotated = setNodeAnnotations(annotated, ids.sicilian, { arrows: [], marks: [{ square: 'f3', color: 'B' }] });
+
+    expect(analysisToPgn(annotated).split('\n\n')[1].replace(/\s+/g, ' ').trim()).toBe(
+      '1. e4 {[%csl Rd5][%cal Gg1f3]} 1... e5 (1... c5 2. Nf3 {[%csl Bf3]}) 2. Nf3 (2. Bc4) 2... Nc6 *'
+    );
+    expect(setNodeAnnotations(annotated, ids.e4, { arrows: [], marks: [] }).nodes[ids.e4].annotations).toBeNull();
+  });
+
+  test('a variation can be promoted to the main line', () => {
+    const { tree, ids } = buildTree();
+    const promoted = promoteVariation(tree, ids.sicilian);
+
+    expect(promoted.nodes[ids.e4].children[0]).toBe(tree.nodes[ids.sicilian].parentId);
+    expect(promoteVariation(promoted, ids.sicilian)).toBe(promoted);
+  });
+
+  test('deleting a variation removes every move after it', () => {
+    const { tree, ids } = buildTree();
+    const pruned = deleteVariation(tree, ids.e5);
+
+    expect(pruned.nodes[ids.e4].children).toHaveLength(1);
+    expect(pruned.nodes[ids.bishop]).toBeUndefined();
+    expect(() => deleteVariation(tree, ROOT_ID)).toThrow();
+  });
+});
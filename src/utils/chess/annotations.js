@@ -0,0 +1,72 @@
+/**
+ * Board annotations: arrows and marked squares drawn on the board. Colors
+ * use the codes of the PGN comment commands [%cal] (arrows) and [%csl]
+ * (squares), so annotations can be written to PGN as they are.
+ */
+
+// Green, red, yellow and blue
+export const ANNOTATION_COLORS = ['G', 'R', 'Y', 'B'];
+
+export const EMPTY_ANNOTATIONS = { arrows: [], marks: [] };
+
+/**
+ * Checks whether there is anything to draw.
+ * @param {Object} annotations - { arrows, marks }, or null
+ * @returns {boolean} True if there is at least one arrow or mark
+ */
+export const hasAnnotations = (annotations) => {
+  return !!annotations && (annotations.arrows.length > 0 || annotations.marks.length > 0);
+};
+
+/**
+ * Adds an arrow, or removes it when the same arrow is drawn again.
+ * An arrow drawn again in another color is recolored.
+ * @param {Object} annotations - { arrows, marks }
+ * @param {Object} arrow - { from, to, color }
+ * @returns {Object} The new annotations
+ */
+export const toggleArrow = (annotations, arrow) => {
+  const existing = annotations.arrows.find(({ from, to }) => from === arrow.from && to === arrow.to);
+  const arrows = annotations.arrows.filter(candidate => candidate !== existing);
+
+  return {
+    ...annotations,
+    arrows: existing && existing.color === arrow.color ? arrows : [...arrows, arrow]
+  };
+};
+
+/**
+ * Marks a square, or removes the mark when it is made again.
+ * A mark made again in another color is recolored.
+ * @param {Object} annotations - { arrows, marks }
+ * @param {Object} mark - { square, color }
+ * @returns {Object} The new annotations
+ */
+export const toggleMark = (annotations, mark) => {
+  const existing = annotations.marks.find(({ square }) => square === mark.square);
+  const marks = annotations.marks.filter(candidate => candidate !== existing);
+
+  return {
+    ...annotations,
+    marks: existing && existing.color === mark.color ? marks : [...marks, mark]
+  };
+};
+
+/**
+ * Writes annotations as the commands of a PGN comment.
+ * @param {Object} annotations - { arrows, marks }
+ * @returns {string} e.g. "[%csl Gd4,Re5][%cal Ge2e4]", or '' when there are none
+ */
+export const annotationsToComment = ({ arrows, marks }) => {
+  const commands = [];
+
+  if (marks.length > 0) {
+    commands.push(`[%csl ${marks.map(({ square, color }) => `${color}${square}`).join(',')}]`);
+  }
+
+  if (arrows.length > 0) {
+    commands.push(`[%cal ${arrows.map(({ from, to, color }) => `${color}${from}${to}`).join(',')}]`);
+  }
+
+  return commands.join('');
+};
@@ -0,0 +1,38 @@
+/**
+ * Board arrows and marks, and their PGN commands.
+ */
+
+import {
+  EMPTY_ANNOTATIONS,
+  hasAnnotations,
+  toggleArrow,
+  toggleMark,
+  annotationsToComment
+} from './annotations';
+
+describe('annotations', () => {
+  test('drawing an arrow or mark again removes it, in another color recolors it', () => {
+    let annotations = toggleArrow(EMPTY_ANNOTATIONS, { from: 'e2', to: 'e4', color: 'G' });
+    annotations = toggleArrow(annotations, { from: 'e2', to: 'e4', color: 'R' });
+    annotations = toggleMark(annotations, { square: 'd5', color: 'B' });
+
+    expect(annotations).toEqual({
+      arrows: [{ from: 'e2', to: 'e4', color: 'R' }],
+      marks: [{ square: 'd5', color: 'B' }]
+    });
+
+    annotations = toggleArrow(annotations, { from: 'e2', to: 'e4', color: 'R' });
+    annotations = toggleMark(annotations, { square: 'd5', color: 'B' });
+
+    expect(hasAnnotations(annotations)).toBe(false);
+  });
+
+  test('annotations are written as [%csl] and [%cal] commands', () => {
+    let annotations = toggleMark(EMPTY_ANNOTATIONS, { square: 'd4', color: 'G' });
+    annotations = toggleMark(annotations, { square: 'e5', color: 'R' });
+    annotations = toggleArrow(annotations, { from: 'g1', to: 'f3', color: 'Y' });
+
+    expect(annotationsToComment(annotations)).toBe('[%csl Gd4,Re5][%cal Yg1f3]');
+    expect(annotationsToComment(EMPTY_ANNOTATIONS)).toBe('');
+  });
+});
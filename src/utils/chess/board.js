@@ -4,13 +4,18 @@
 
 import { indicesToPosition } from './utils';
 
+// Back rank pieces from the a-file to the h-file in the standard setup
+export const STANDARD_BACK_RANK = ['rook', 'knight', 'bishop', 'queen', 'king', 'bishop', 'knight', 'rook'];
+
 /**
  * Creates and returns the initial chess board setup.
  * Board is represented as a flat array where each cell contains position and piece information.
  * Each piece is an object with type and color properties.
+ * @param {Array} backRank - Piece types from the a-file to the h-file, the same for both sides
+ *   (defaults to the standard setup; see chess960.js for the others)
  * @returns {Array} Array of 64 positions with pieces
  */
-export const initialBoardSetup = () => {
+export const initialBoardSetup = (backRank = STANDARD_BACK_RANK) => {
   // Create flat board representation
   const board = [];
   
@@ -27,20 +32,11 @@ export const initialBoardSetup = () => {
         piece = { type: 'pawn', color: 'white' };
       }
       
-      // Add back rank pieces
+      // Add back rank pieces; kings and rooks track hasMoved for castling
       if (row === 0 || row === 7) {
         const color = row === 0 ? 'black' : 'white';
-        if (col === 0 || col === 7) {
-          piece = { type: 'rook', color, hasMoved: false };
-        } else if (col === 1 || col === 6) {
-          piece = { type: 'knight', color };
-        } else if (col === 2 || col === 5) {
-          piece = { type: 'bishop', color };
-        } else if (col === 3) {
-          piece = { type: 'queen', color };
-        } else if (col === 4) {
-          piece = { type: 'king', color, hasMoved: false };
-        }
+        const type = backRank[col];
+        piece = type === 'king' || type === 'rook' ? { type, color, hasMoved: false } : { type, color };
       }
       
       board.push({
@@ -0,0 +1,95 @@
+/**
+ * Chess960 (Fischer Random) starting positions.
+ * The 960 positions are numbered 0-959 with Scharnagl's scheme, in which 518
+ * is the standard setup, so a position number is all that is needed to set
+ * up the same game again.
+ */
+
+export const CHESS960_POSITION_COUNT = 960;
+
+// Position number of the standard setup
+export const STANDARD_CHESS960_POSITION = 518;
+
+// Squares (among the five left free) taken by the two knights, by Scharnagl's knight code
+const KNIGHT_PLACEMENTS = [
+  [0, 1], [0, 2], [0, 3], [0, 4],
+  [1, 2], [1, 3], [1, 4],
+  [2, 3], [2, 4],
+  [3, 4]
+];
+
+const PIECE_LETTERS = {
+  king: 'k',
+  queen: 'q',
+  rook: 'r',
+  bishop: 'b',
+  knight: 'n'
+};
+
+/**
+ * Gets the empty columns of a back rank being filled.
+ * @param {Array} backRank - Piece types by column, null where empty
+ * @returns {Array} Empty column indices from the a-file up
+ */
+const getEmptyColumns = (backRank) => {
+  return backRank.reduce((columns, type, col) => (type ? columns : [...columns, col]), []);
+};
+
+/**
+ * Gets the back rank of a Chess960 starting position.
+ * The bishops go on opposite colors, the queen and knights on free squares,
+ * and the king between the two rooks on the three squares left.
+ * @param {number} number - Position number, 0 to 959
+ * @returns {Array} Piece types from the a-file to the h-file
+ * @throws {Error} If the number is out of range
+ */
+export const getChess960BackRank = (number) => {
+  if (!Number.isInteger(number) || number < 0 || number >= CHESS960_POSITION_COUNT) {
+    throw new Error(`Invalid Chess960 position ${number}`);
+  }
+
+  const backRank = Array(8).fill(null);
+  let code = number;
+
+  // Light-squared bishop on b, d, f or h, then dark-squared bishop on a, c, e or g
+  backRank[(code % 4) * 2 + 1] = 'bishop';
+  code = Math.floor(code / 4);
+  backRank[(code % 4) * 2] = 'bishop';
+  code = Math.floor(code / 4);
+
+  backRank[getEmptyColumns(backRank)[code % 6]] = 'queen';
+  code = Math.floor(code / 6);
+
+  const knightColumns = getEmptyColumns(backRank);
+  KNIGHT_PLACEMENTS[code].forEach(index => {
+    backRank[knightColumns[index]] = 'knight';
+  });
+
+  const [queensideRook, king, kingsideRook] = getEmptyColumns(backRank);
+  backRank[queensideRook] = 'rook';
+  backRank[king] = 'king';
+  backRank[kingsideRook] = 'rook';
+
+  return backRank;
+};
+
+/**
+ * Gets the FEN of a Chess960 starting position.
+ * The castling field is X-FEN ("KQkq"), which is also valid standard FEN.
+ * @param {number} number - Position number, 0 to 959
+ * @returns {string} FEN string
+ * @throws {Error} If the number is out of range
+ */
+export const getChess960Fen = (number) => {
+  const pieces = getChess960BackRank(number).map(type => PIECE_LETTERS[type]).join('');
+  return `${pieces}/pppppppp/8/8/8/8/PPPPPPPP/${pieces.toUpperCase()} w KQkq - 0 1`;
+};
+
+/**
+ * Draws a random Chess960 position number.
+ * @param {Function} random - Random number source returning [0, 1) (for tests)
+ * @returns {number} Position number, 0 to 959
+ */
+export const randomChess960Position = (random = Math.random) => {
+  return Math.floor(random() * CHESS960_POSITION_COUNT);
+};
@@ -0,0 +1,76 @@
+/**
+ * Chess960 starting positions, castling and X-FEN/Shredder-FEN.
+ */
+
+import { getChess960BackRank, getChess960Fen, randomChess960Position } from './chess960';
+import { STARTING_FEN, fenToBoard, boardToFen } from './fen';
+import { ChessGame } from './game';
+
+describe('chess960 positions', () => {
+  test('position 518 is the standard setup', () => {
+    expect(getChess960Fen(518)).toBe(STARTING_FEN);
+  });
+
+  test('known positions match the Scharnagl numbering', () => {
+    expect(getChess960BackRank(0).join(' ')).toBe('bishop bishop queen knight knight rook king rook');
+    expect(getChess960BackRank(959).join(' ')).toBe('rook king rook knight knight queen bishop bishop');
+  });
+
+  test('all 960 positions are distinct and legal', () => {
+    const backRanks = new Set();
+
+    for (let number = 0; number < 960; number++) {
+      const backRank = getChess960BackRank(number);
+      const bishops = backRank.flatMap((type, col) => (type === 'bishop' ? [col] : []));
+      const rooks = backRank.flatMap((type, col) => (type === 'rook' ? [col] : []));
+      const king = backRank.indexOf('king');
+
+      expect(bishops[0] % 2).not.toBe(bishops[1] % 2);
+      expect(rooks[0] < king && king < rooks[1]).toBe(true);
+      backRanks.add(backRank.join());
+    }
+
+    expect(backRanks.size).toBe(960);
+    expect(() => getChess960BackRank(960)).toThrow();
+  });
+
+  test('a seeded random source gives the same position', () => {
+    expect(randomChess960Position(() => 0.5)).toBe(480);
+    expect(getChess960Fen(randomChess960Position(() => 0.5))).toBe(getChess960Fen(480));
+  });
+});
+
+describe('chess960 castling', () => {
+  // White: king b1, rooks a1 and c1
+  const fen = 'rkrnnbbq/pppppppp/8/8/8/8/PPPPPPPP/RKRNNBBQ w KQkq - 0 1';
+
+  test('castling is written as the king moving onto its rook', () => {
+    const chess = new ChessGame('rk4r1/pppppppp/8/8/8/8/PPPPPPPP/RKR5 w KQkq - 0 1');
+    const record = chess.move({ from: 'b1', to: 'c1' });
+
+    expect(record.san).toBe('O-O');
+    expect(record.capturedPiece).toBe(null);
+    expect(chess.fen()).toBe('rk4r1/pppppppp/8/8/8/8/PPPPPPPP/R4RK1 b kq - 1 1');
+
+    // Black's king only moves one square, onto c8
+    expect(chess.move('O-O-O').to).toBe('a8');
+    expect(chess.fen()).toBe('2kr2r1/pppppppp/8/8/8/8/PPPPPPPP/R4RK1 w - - 2 2');
+  });
+
+  test('castling needs the squares between king, rook and their targets empty', () => {
+    const chess = new ChessGame(fen);
+    expect(chess.legalMoves('b1')).toEqual([]);
+  });
+
+  test('castling rights are written as X-FEN or Shredder-FEN', () => {
+    const { board } = fenToBoard('1r2k1r1/8/8/8/8/8/8/R3K2R w AHbg - 0 1');
+
+    expect(boardToFen(board)).toBe('1r2k1r1/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    expect(boardToFen(board, { shredder: true })).toBe('1r2k1r1/8/8/8/8/8/8/R3K2R w HAgb - 0 1');
+  });
+
+  test('a file is used when another rook stands outside the castling rook', () => {
+    const { board } = fenToBoard('4k3/8/8/8/8/8/8/4K1RR w G - 0 1');
+    expect(boardToFen(board)).toBe('4k3/8/8/8/8/8/8/4K1RR w G - 0 1');
+  });
+});
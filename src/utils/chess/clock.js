@@ -0,0 +1,128 @@
+/**
+ * Chess clocks.
+ * A clock stores each side's remaining time in milliseconds and when the
+ * current turn started. Only the makeMove function advances it, using the
+ * server's time; clients use the same functions to count down on screen.
+ */
+
+import { hasInsufficientMatingMaterial } from './rules';
+
+// Preset time controls: minutes per side plus seconds added per move
+export const TIME_CONTROLS = {
+  bullet: { name: '子彈棋', minutes: 1, increment: 0 },
+  blitz: { name: '快棋', minutes: 3, increment: 2 },
+  rapid: { name: '快速棋', minutes: 10, increment: 5 }
+};
+
+/**
+ * Creates a time control.
+ * @param {number} minutes - Starting time for each side, in minutes
+ * @param {number} increment - Time added after each move, in seconds
+ * @returns {Object} { initialMs, incrementMs }
+ * @throws {Error} If the values are out of range
+ */
+export const createTimeControl = (minutes, increment = 0) => {
+  if (!(minutes > 0) || minutes > 180 || !(increment >= 0) || increment > 60) {
+    throw new Error(`Invalid time control ${minutes}+${increment}`);
+  }
+
+  return { initialMs: Math.round(minutes * 60000), incrementMs: Math.round(increment * 1000) };
+};
+
+/**
+ * Formats a time control the usual way, e.g. "3+2".
+ * @param {Object} timeControl - { initialMs, incrementMs }
+ * @returns {string} Minutes and increment seconds
+ */
+export const formatTimeControl = (timeControl) => {
+  return `${timeControl.initialMs / 60000}+${timeControl.incrementMs / 1000}`;
+};
+
+/**
+ * Creates a clock for a new game. It starts running after White's first move.
+ * @param {Object} timeControl - { initialMs, incrementMs }, or null for untimed games
+ * @returns {Object|null} { whiteMs, blackMs, turnStartedAt }
+ */
+export const createClock = (timeControl) => {
+  if (!timeControl) return null;
+
+  return { whiteMs: timeControl.initialMs, blackMs: timeControl.initialMs, turnStartedAt: null };
+};
+
+/**
+ * Gets a side's remaining time at a given moment.
+ * @param {Object} clock - The game clock
+ * @param {string} color - The side to read
+ * @param {string} currentTurn - The side to move, whose time is running
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Remaining time in milliseconds, never below zero
+ */
+export const getRemainingTime = (clock, color, currentTurn, now) => {
+  const stored = clock[`${color}Ms`];
+
+  if (color !== currentTurn || clock.turnStartedAt === null) {
+    return stored;
+  }
+
+  // Elapsed time is never negative, even if the caller's clock is behind the server's
+  return Math.max(0, stored - Math.max(0, now - clock.turnStartedAt));
+};
+
+/**
+ * Checks whether the side to move has run out of time.
+ * @param {Object} clock - The game clock
+ * @param {string} currentTurn - The side to move
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the side to move has flagged
+ */
+export const hasFlagged = (clock, currentTurn, now) => {
+  return getRemainingTime(clock, currentTurn, currentTurn, now) === 0;
+};
+
+/**
+ * Stops the mover's time, adds the increment and starts the opponent's time.
+ * The first move of the game is free and earns no increment.
+ * @param {Object} clock - The game clock
+ * @param {Object} timeControl - { initialMs, incrementMs }
+ * @param {string} color - The side that just moved
+ * @param {number} now - Time of the move in milliseconds
+ * @returns {Object} The new clock
+ */
+export const pressClock = (clock, timeControl, color, now) => {
+  const remaining = getRemainingTime(clock, color, color, now);
+  const increment = clock.turnStartedAt === null ? 0 : timeControl.incrementMs;
+
+  return { ...clock, [`${color}Ms`]: remaining + increment, turnStartedAt: now };
+};
+
+/**
+ * Stops the clock when the game ends, keeping the time each side had left.
+ * @param {Object} clock - The game clock
+ * @param {string} currentTurn - The side to move, whose time is running
+ * @param {number} now - Time the game ended in milliseconds
+ * @returns {Object} The stopped clock
+ */
+export const stopClock = (clock, currentTurn, now) => {
+  return {
+    ...clock,
+    [`${currentTurn}Ms`]: getRemainingTime(clock, currentTurn, currentTurn, now),
+    turnStartedAt: null
+  };
+};
+
+/**
+ * Gets the result when a side runs out of time. The opponent only wins if
+ * they could still checkmate; otherwise the game is drawn.
+ * @param {Array} board - The board array
+ * @param {string} flaggedColor - The side whose time ran out
+ * @returns {Object} { winner, reason }
+ */
+export const getTimeoutOutcome = (board, flaggedColor) => {
+  const opponent = flaggedColor === 'white' ? 'black' : 'white';
+
+  if (hasInsufficientMatingMaterial(board, opponent)) {
+    return { winner: 'draw', reason: 'Timeout vs insufficient material' };
+  }
+
+  return { winner: opponent, reason: 'Timeout' };
+};
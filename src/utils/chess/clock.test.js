@@ -0,0 +1,63 @@
+/**
+ * Chess clocks and flag-fall results.
+ */
+
+import {
+  createTimeControl,
+  createClock,
+  getRemainingTime,
+  hasFlagged,
+  pressClock,
+  stopClock,
+  getTimeoutOutcome
+} from './clock';
+import { fenToBoard } from './fen';
+
+const blitz = createTimeControl(3, 2);
+
+describe('clock', () => {
+  test('the first move is free and starts the opponent\'s time', () => {
+    const clock = pressClock(createClock(blitz), blitz, 'white', 1000);
+
+    expect(clock).toEqual({ whiteMs: 180000, blackMs: 180000, turnStartedAt: 1000 });
+    expect(getRemainingTime(clock, 'black', 'black', 6000)).toBe(175000);
+    expect(getRemainingTime(clock, 'white', 'black', 6000)).toBe(180000);
+  });
+
+  test('moves deduct the time used and add the increment', () => {
+    let clock = pressClock(createClock(blitz), blitz, 'white', 0);
+    clock = pressClock(clock, blitz, 'black', 10000);
+
+    expect(clock.blackMs).toBe(172000);
+    expect(clock.turnStartedAt).toBe(10000);
+  });
+
+  test('the flag falls when the side to move runs out of time', () => {
+    const clock = { whiteMs: 5000, blackMs: 60000, turnStartedAt: 0 };
+
+    expect(hasFlagged(clock, 'white', 4999)).toBe(false);
+    expect(hasFlagged(clock, 'white', 5000)).toBe(true);
+    expect(stopClock(clock, 'white', 9000)).toEqual({ whiteMs: 0, blackMs: 60000, turnStartedAt: null });
+  });
+
+  test('invalid time controls are rejected', () => {
+    expect(() => createTimeControl(0, 0)).toThrow();
+    expect(() => createTimeControl(5, -1)).toThrow();
+  });
+});
+
+describe('timeout outcome', () => {
+  test('the opponent wins when they have mating material', () => {
+    const { board } = fenToBoard('4k3/8/8/8/8/8/4R3/4K3 w - - 0 1');
+    expect(getTimeoutOutcome(board, 'black')).toEqual({ winner: 'white', reason: 'Timeout' });
+  });
+
+  test('timeout vs insufficient material is a draw', () => {
+    // Black has only a knight left, so cannot win on time
+    const { board } = fenToBoard('4k3/8/8/2n5/8/8/4R3/4K3 w - - 0 1');
+    expect(getTimeoutOutcome(board, 'white')).toEqual({
+      winner: 'draw',
+      reason: 'Timeout vs insufficient material'
+    });
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Web Worker that evaluates positions for the evaluation bar and graph,
+ * one message at a time, off the main thread.
+ * Receives { key, position } and replies with { key, evaluation }.
+ */
+
+import { evaluatePosition } from './review';
+
+onmessage = (event) => {
+  const { key, position } = event.data;
+
+  postMessage({ key, evaluation: evaluatePosition(position) });
+};
@@ -0,0 +1,324 @@
+/**
+ * FEN (Forsyth-Edwards Notation) import and export
+ *
+ * The castling field may also be written as X-FEN or Shredder-FEN for
+ * Chess960, where the castling rooks need not start in the corners.
+ */
+
+import { indicesToPosition, positionToIndices } from './utils';
+import { getPieceAtPosition, findKingPosition } from './board';
+import { findCastlingRook } from './rules';
+
+export const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const PIECE_LETTERS = {
+  king: 'k',
+  queen: 'q',
+  rook: 'r',
+  bishop: 'b',
+  knight: 'n',
+  pawn: 'p'
+};
+
+const LETTER_PIECES = {
+  k: 'king',
+  q: 'queen',
+  r: 'rook',
+  b: 'bishop',
+  n: 'knight',
+  p: 'pawn'
+};
+
+const FILES = 'abcdefgh';
+
+/**
+ * Finds the outermost rook of a color on one side of a square of its back rank.
+ * @param {Array} board - The board array
+ * @param {string} position - The square to search from (the king's)
+ * @param {string} direction - 'kingside' or 'queenside'
+ * @param {string} color - The rook's color
+ * @returns {string|null} Position of the rook, or null if there is none
+ */
+const findOutermostRook = (board, position, direction, color) => {
+  const [row, fromCol] = positionToIndices(position);
+  const step = direction === 'kingside' ? -1 : 1;
+
+  for (let col = direction === 'kingside' ? 7 : 0; col !== fromCol; col += step) {
+    const piece = getPieceAtPosition(board, indicesToPosition(row, col));
+
+    if (piece && piece.type === 'rook' && piece.color === color) {
+      return indicesToPosition(row, col);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Derives the FEN castling field from the hasMoved flags on kings and rooks.
+ * By default the field is X-FEN: "K" and "Q" (or "k" and "q") when the castling
+ * rook is the outermost rook on its side, which covers every standard position,
+ * and the rook's file otherwise. Shredder-FEN always uses the files.
+ * @param {Array} board - The board array
+ * @param {Object} options - Output options
+ * @param {boolean} options.shredder - Write Shredder-FEN, e.g. "HAha"
+ * @returns {string} Castling availability, e.g. "KQkq" or "-"
+ */
+export const getCastlingRights = (board, { shredder = false } = {}) => {
+  let rights = '';
+
+  for (const color of ['white', 'black']) {
+    const kingPosition = findKingPosition(board, color);
+    const king = kingPosition && getPieceAtPosition(board, kingPosition);
+    const backRank = color === 'white' ? '1' : '8';
+
+    if (!king || king.hasMoved || kingPosition[1] !== backRank) continue;
+
+    for (const direction of ['kingside', 'queenside']) {
+      const rook = findCastlingRook(board, kingPosition, direction);
+      if (!rook) continue;
+
+      const letter = !shredder && rook === findOutermostRook(board, kingPosition, direction, color)
+        ? (direction === 'kingside' ? 'k' : 'q')
+        : rook[0];
+
+      rights += color === 'white' ? letter.toUpperCase() : letter;
+    }
+  }
+
+  return rights || '-';
+};
+
+/**
+ * Gets the en passant target square created by the last move, if any.
+ * @param {Array} board - The board array
+ * @param {Object} lastMove - The last move made
+ * @returns {string|null} The square passed over by a two-square pawn push, or null
+ */
+export const getEnPassantTarget = (board, lastMove) => {
+  if (!lastMove || !lastMove.from || !lastMove.to) return null;
+
+  const piece = getPieceAtPosition(board, lastMove.to);
+  if (!piece || piece.type !== 'pawn') return null;
+
+  const [fromRow, fromCol] = positionToIndices(lastMove.from);
+  const [toRow, toCol] = positionToIndices(lastMove.to);
+
+  if (fromCol !== toCol || Math.abs(fromRow - toRow) !== 2) return null;
+
+  return indicesToPosition((fromRow + toRow) / 2, toCol);
+};
+
+/**
+ * Converts a board and game state to a FEN string.
+ * @param {Array} board - The board array
+ * @param {Object} state - Game state
+ * @param {string} state.currentTurn - Side to move ('white' or 'black')
+ * @param {Object} state.lastMove - The last move made (for the en passant field)
+ * @param {number} state.halfMoveClock - Half-moves since the last capture or pawn move
+ * @param {number} state.fullMoveNumber - Full move number, starting at 1
+ * @param {boolean} state.shredder - Write the castling field as Shredder-FEN
+ * @returns {string} FEN string
+ */
+export const boardToFen = (board, {
+  currentTurn = 'white',
+  lastMove = null,
+  halfMoveClock = 0,
+  fullMoveNumber = 1,
+  shredder = false
+} = {}) => {
+  const ranks = [];
+
+  for (let row = 0; row < 8; row++) {
+    let rank = '';
+    let emptySquares = 0;
+
+    for (let col = 0; col < 8; col++) {
+      const piece = getPieceAtPosition(board, indicesToPosition(row, col));
+
+      if (!piece) {
+        emptySquares++;
+        continue;
+      }
+
+      if (emptySquares > 0) {
+        rank += emptySquares;
+        emptySquares = 0;
+      }
+
+      const letter = PIECE_LETTERS[piece.type];
+      rank += piece.color === 'white' ? letter.toUpperCase() : letter;
+    }
+
+    if (emptySquares > 0) {
+      rank += emptySquares;
+    }
+
+    ranks.push(rank);
+  }
+
+  return [
+    ranks.join('/'),
+    currentTurn === 'black' ? 'b' : 'w',
+    getCastlingRights(board, { shredder }),
+    getEnPassantTarget(board, lastMove) || '-',
+    halfMoveClock,
+    fullMoveNumber
+  ].join(' ');
+};
+
+/**
+ * Parses a FEN string into a board and game state.
+ * Kings and rooks get hasMoved flags that reproduce the castling field, and
+ * the en passant field is turned into the two-square pawn push that created it,
+ * since that is how the move generator detects en passant.
+ * @param {string} fen - FEN string
+ * @returns {Object} { board, currentTurn, lastMove, halfMoveClock, fullMoveNumber }
+ * @throws {Error} If the FEN string is malformed
+ */
+export const fenToBoard = (fen) => {
+  if (typeof fen !== 'string') {
+    throw new Error('Invalid FEN: expected a string');
+  }
+
+  const fields = fen.trim().split(/\s+/);
+  const [placement, turn = 'w', castling = '-', enPassant = '-', halfMove = '0', fullMove = '1'] = fields;
+  const ranks = placement.split('/');
+
+  if (ranks.length !== 8) {
+    throw new Error(`Invalid FEN: expected 8 ranks, got ${ranks.length}`);
+  }
+
+  if (turn !== 'w' && turn !== 'b') {
+    throw new Error(`Invalid FEN: unknown side to move "${turn}"`);
+  }
+
+  if (!/^(-|[KQA-H]{1,2}[kqa-h]{0,2}|[kqa-h]{1,2})$/.test(castling)) {
+    throw new Error(`Invalid FEN: bad castling field "${castling}"`);
+  }
+
+  if (!/^(-|[a-h][36])$/.test(enPassant)) {
+    throw new Error(`Invalid FEN: bad en passant field "${enPassant}"`);
+  }
+
+  const board = [];
+
+  ranks.forEach((rank, row) => {
+    let col = 0;
+
+    for (const char of rank) {
+      if (/[1-8]/.test(char)) {
+        for (let i = 0; i < parseInt(char); i++) {
+          board.push({ position: indicesToPosition(row, col), piece: null });
+          col++;
+        }
+        continue;
+      }
+
+      const type = LETTER_PIECES[char.toLowerCase()];
+
+      if (!type || col > 7) {
+        throw new Error(`Invalid FEN: bad rank "${rank}"`);
+      }
+
+      if (type === 'pawn' && (row === 0 || row === 7)) {
+        throw new Error(`Invalid FEN: pawn on the back rank "${rank}"`);
+      }
+
+      const piece = { type, color: char === char.toUpperCase() ? 'white' : 'black' };
+
+      // Kings and rooks track hasMoved for castling; fixed up below
+      if (type === 'king' || type === 'rook') {
+        piece.hasMoved = true;
+      }
+
+      board.push({ position: indicesToPosition(row, col), piece });
+      col++;
+    }
+
+    if (col !== 8) {
+      throw new Error(`Invalid FEN: rank "${rank}" does not have 8 squares`);
+    }
+  });
+
+  // Both kings must be on the board for the position to be playable
+  const kingCount = { white: 0, black: 0 };
+  board.forEach(cell => {
+    if (cell.piece && cell.piece.type === 'king') {
+      kingCount[cell.piece.color]++;
+    }
+  });
+
+  if (kingCount.white !== 1 || kingCount.black !== 1) {
+    throw new Error('Invalid FEN: each side must have exactly one king');
+  }
+
+  // Restore hasMoved flags from the castling rights
+  const castlingSides = new Set();
+
+  for (const right of castling === '-' ? [] : castling) {
+    const color = right === right.toUpperCase() ? 'white' : 'black';
+    const letter = right.toLowerCase();
+    const king = findKingPosition(board, color);
+    const backRank = color === 'white' ? '1' : '8';
+    let direction;
+    let rook = null;
+
+    if (king[1] === backRank) {
+      if (letter === 'k' || letter === 'q') {
+        // X-FEN: the outermost rook on that side
+        direction = letter === 'k' ? 'kingside' : 'queenside';
+        rook = findOutermostRook(board, king, direction, color);
+      } else {
+        // Shredder-FEN or X-FEN: the file of the castling rook
+        direction = FILES.indexOf(letter) > FILES.indexOf(king[0]) ? 'kingside' : 'queenside';
+        const piece = getPieceAtPosition(board, letter + backRank);
+        rook = piece && piece.type === 'rook' && piece.color === color ? letter + backRank : null;
+      }
+    }
+
+    if (!rook || castlingSides.has(color + direction)) {
+      throw new Error(`Invalid FEN: castling right "${right}" without king and rook on their home squares`);
+    }
+
+    castlingSides.add(color + direction);
+    board.find(cell => cell.position === king).piece.hasMoved = false;
+    board.find(cell => cell.position === rook).piece.hasMoved = false;
+  }
+
+  const currentTurn = turn === 'w' ? 'white' : 'black';
+
+  // Recreate the pawn push that allowed en passant
+  let lastMove = null;
+  if (enPassant !== '-') {
+    const [row, col] = positionToIndices(enPassant);
+    const direction = currentTurn === 'white' ? 1 : -1; // Towards the pawn that just moved
+    const to = indicesToPosition(row + direction, col);
+    const pawn = getPieceAtPosition(board, to);
+
+    if (!pawn || pawn.type !== 'pawn' || pawn.color === currentTurn) {
+      throw new Error(`Invalid FEN: no pawn to capture en passant on ${enPassant}`);
+    }
+
+    lastMove = {
+      from: indicesToPosition(row - direction, col),
+      to,
+      piece: { type: 'pawn', color: pawn.color }
+    };
+  }
+
+  const halfMoveClock = parseInt(halfMove, 10);
+  const fullMoveNumber = parseInt(fullMove, 10);
+
+  if (isNaN(halfMoveClock) || halfMoveClock < 0 || isNaN(fullMoveNumber) || fullMoveNumber < 1) {
+    throw new Error('Invalid FEN: bad move counters');
+  }
+
+  return {
+    board,
+    currentTurn,
+    lastMove,
+    halfMoveClock,
+    fullMoveNumber
+  };
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * FEN parsing and serialization, including the X-FEN and Shredder-FEN
+ * castling fields.
+ */
+
+import { STARTING_FEN, fenToBoard, boardToFen } from './fen';
+import { initialBoardSetup, getPieceAtPosition } from './board';
+import { ChessGame } from './game';
+
+const roundTrip = (fen, options = {}) => {
+  const { board, ...state } = fenToBoard(fen);
+  return boardToFen(board, { ...state, ...options });
+};
+
+describe('FEN round-trip', () => {
+  test('the starting position matches the initial board', () => {
+    expect(boardToFen(initialBoardSetup())).toBe(STARTING_FEN);
+    expect(roundTrip(STARTING_FEN)).toBe(STARTING_FEN);
+  });
+
+  test.each([
+    ['en passant for White', 'rnbqkb1r/ppp1pppp/5n2/3pP3/8/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 3'],
+    ['en passant for Black', 'rnbqkbnr/ppp1pppp/8/8/3pP3/5N2/PPPP1PPP/RNBQKB1R b KQkq e3 0 3'],
+    ['partial castling rights', 'r3k2r/8/8/8/8/8/8/R3K2R w Kq - 12 40'],
+    ['no castling rights', 'r3k2r/8/8/8/8/8/8/R3K2R b - - 99 120'],
+    ['promoted pieces', '1Q2k3/8/8/8/8/8/8/4K2n w - - 0 60']
+  ])('%s', (name, fen) => {
+    expect(roundTrip(fen)).toBe(fen);
+  });
+
+  test('X-FEN keeps K and Q for the outermost rooks and files for inner ones', () => {
+    // White castles with the e1 rook although h1 also has one
+    const fen = 'rk2r2r/8/8/8/8/8/8/RK2R2R w EQeq - 0 1';
+
+    expect(roundTrip(fen)).toBe(fen);
+    expect(roundTrip(fen, { shredder: true })).toBe('rk2r2r/8/8/8/8/8/8/RK2R2R w EAea - 0 1');
+  });
+
+  test('Shredder-FEN reads back to the same position as X-FEN', () => {
+    const xFen = 'bqnbrkrn/pppppppp/8/8/8/8/PPPPPPPP/BQNBRKRN w KQkq - 0 1';
+    const shredderFen = 'bqnbrkrn/pppppppp/8/8/8/8/PPPPPPPP/BQNBRKRN w GEge - 0 1';
+
+    expect(fenToBoard(shredderFen).board).toEqual(fenToBoard(xFen).board);
+    expect(roundTrip(shredderFen)).toBe(xFen);
+    expect(roundTrip(xFen, { shredder: true })).toBe(shredderFen);
+  });
+
+  test('a played game writes the same FEN it reads', () => {
+    const chess = new ChessGame();
+    ['e4', 'c5', 'Nf3', 'd6', 'Bb5+', 'Nd7', 'O-O', 'a6', 'Bxd7+', 'Bxd7'].forEach(san => chess.move(san));
+
+    expect(new ChessGame(chess.fen()).fen()).toBe(chess.fen());
+  });
+});
+
+describe('FEN parsing', () => {
+  test('castling rights become hasMoved flags on kings and rooks', () => {
+    const { board } = fenToBoard('r3k2r/8/8/8/8/8/8/R3K2R w Kq - 0 1');
+
+    expect(getPieceAtPosition(board, 'e1').hasMoved).toBe(false);
+    expect(getPieceAtPosition(board, 'h1').hasMoved).toBe(false);
+    expect(getPieceAtPosition(board, 'a1').hasMoved).toBe(true);
+    expect(getPieceAtPosition(board, 'a8').hasMoved).toBe(false);
+    expect(getPieceAtPosition(board, 'h8').hasMoved).toBe(true);
+  });
+
+  test('the en passant square becomes the pawn push that created it', () => {
+    const { lastMove } = fenToBoard('rnbqkb1r/ppp1pppp/5n2/3pP3/8/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 3');
+    expect(lastMove).toMatchObject({ from: 'd7', to: 'd5' });
+  });
+
+  test('missing counters default to the start of the game', () => {
+    const { currentTurn, halfMoveClock, fullMoveNumber } = fenToBoard('4k3/8/8/8/8/8/8/4K3 b');
+
+    expect(currentTurn).toBe('black');
+    expect(halfMoveClock).toBe(0);
+    expect(fullMoveNumber).toBe(1);
+  });
+
+  test.each([
+    ['too few ranks', '4k3/8/8/8/8/8/4K3 w - - 0 1'],
+    ['an unknown side to move', '4k3/8/8/8/8/8/8/4K3 x - - 0 1'],
+    ['a rank with too many squares', '4k4/8/8/8/8/8/8/4K3 w - - 0 1'],
+    ['a missing king', '8/8/8/8/8/8/8/4K3 w - - 0 1'],
+    ['a castling right without its rook', '4k3/8/8/8/8/8/8/4K3 w K - 0 1'],
+    ['an en passant square without a pawn', '4k3/8/8/8/8/8/8/4K3 w - d6 0 1'],
+    ['a pawn on the first rank', '4k3/8/8/8/8/8/8/P3K3 w - - 0 1'],
+    ['a pawn on the eighth rank', 'p3k3/8/8/8/8/8/8/4K3 w - - 0 1']
+  ])('rejects %s', (name, fen) => {
+    expect(() => fenToBoard(fen)).toThrow(/Invalid FEN/);
+  });
+
+  test('a game cannot start with the side not to move in check', () => {
+    expect(() => new ChessGame('4k3/8/8/8/8/8/8/4R1K1 w - - 0 1')).toThrow('the side not to move is in check');
+    expect(new ChessGame('4k3/8/8/8/8/8/8/4R1K1 b - - 0 1').isCheck()).toBe(true);
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * Stateful chess game built on the rule functions in this package.
+ * This is the one place where moves are validated and applied, so the UI,
+ * the game context and the game service all agree on the rules.
+ */
+
+import { initialBoardSetup, getPieceAtPosition } from './board';
+import { checkGameOutcome, isThreefoldRepetition } from './rules';
+import { boardToFen, fenToBoard } from './fen';
+import { computeHash, updateHash } from './zobrist';
+import { moveToSan, dropToSan, parseSan } from './san';
+import { gameToPgn } from './pgn';
+import {
+  getVariant,
+  getGameVariant,
+  getVariantLegalMoves,
+  applyVariantMove,
+  applyVariantDrop,
+  isVariantInCheck,
+  getInitialVariantState,
+  updateVariantState
+} from './variants';
+
+export class ChessGame {
+  // Position after every ply, starting with the initial one
+  #states;
+
+  // Move records, one per ply
+  #moves;
+
+  // Hashes of positions before the first known state (see fromPosition)
+  #earlierHashes = [];
+
+  /**
+   * Creates a game from a starting position.
+   * @param {string} startFen - FEN of the starting position (defaults to the standard setup)
+   * @param {Object} options - Game options
+   * @param {string} options.variant - Variant ID (see variants/index.js)
+   * @throws {Error} If the FEN string is malformed or not a legal position, or the variant is unknown
+   */
+  constructor(startFen = null, { variant = 'standard' } = {}) {
+    this.startFen = startFen || null;
+    this.variant = getVariant(variant);
+
+    const start = startFen
+      ? fenToBoard(startFen)
+      : { board: initialBoardSetup(), currentTurn: 'white', lastMove: null, halfMoveClock: 0, fullMoveNumber: 1 };
+
+    // The side that just moved cannot have left its king in check; whether it did
+    // depends on the variant (touching kings are never in check in Atomic)
+    const movedColor = start.currentTurn === 'white' ? 'black' : 'white';
+    if (isVariantInCheck(this.variant, start.board, movedColor)) {
+      throw new Error('Invalid FEN: the side not to move is in check');
+    }
+
+    this.#states = [{
+      ...start,
+      variantState: getInitialVariantState(this.variant),
+      hash: computeHash(start.board, start.currentTurn, start.lastMove)
+    }];
+    this.#moves = [];
+  }
+
+  /**
+   * Rebuilds a game from a stored game document by replaying its moves.
+   * @param {Object} game - Game data with startFen, variant and moves
+   * @returns {ChessGame} The game at its latest position
+   * @throws {Error} If a stored move is illegal
+   */
+  static fromGame(game) {
+    const chess = new ChessGame(game.startFen, { variant: getGameVariant(game).id });
+
+    (game.moves || []).forEach(move => {
+      chess.move({ from: move.from, to: move.to, promotionPiece: move.promotionPiece, drop: move.drop });
+    });
+
+    return chess;
+  }
+
+  /**
+   * Creates a game at a stored position without replaying its moves.
+   * The draw rules still work when the half-move clock and the hashes of
+   * earlier positions are given, as they are on a game document.
+   * @param {Object} position - { board, currentTurn, lastMove, halfMoveClock, fullMoveNumber, positionHashes, variant, variantState }
+   * @returns {ChessGame} The game at that position
+   * @throws {Error} If the variant is unknown
+   */
+  static fromPosition({
+    board,
+    currentTurn = 'white',
+    lastMove = null,
+    halfMoveClock = 0,
+    fullMoveNumber = 1,
+    positionHashes = [],
+    variant = 'standard',
+    variantState = null
+  }) {
+    const chess = new ChessGame(null, { variant });
+    chess.#states = [{
+      board,
+      currentTurn,
+      lastMove,
+      halfMoveClock,
+      fullMoveNumber,
+      variantState: variantState || getInitialVariantState(chess.variant),
+      hash: computeHash(board, currentTurn, lastMove)
+    }];
+    // The last stored hash is the current position itself
+    chess.#earlierHashes = positionHashes.slice(0, -1);
+    return chess;
+  }
+
+  /**
+   * Gets the current position.
+   * @returns {Object} { board, currentTurn, lastMove, halfMoveClock, fullMoveNumber, variantState, hash }
+   */
+  #current() {
+    return this.#states[this.#states.length - 1];
+  }
+
+  /**
+   * Gets the current board.
+   * @returns {Array} The board array
+   */
+  board() {
+    return this.#current().board;
+  }
+
+  /**
+   * Gets the side to move.
+   * @returns {string} 'white' or 'black'
+   */
+  turn() {
+    return this.#current().currentTurn;
+  }
+
+  /**
+   * Gets the last move played (or the pawn push implied by the starting FEN).
+   * @returns {Object|null} The last move
+   */
+  lastMove() {
+    return this.#current().lastMove;
+  }
+
+  /**
+   * Gets the number of half-moves since the last capture or pawn move.
+   * @returns {number} The half-move clock
+   */
+  halfMoveClock() {
+    return this.#current().halfMoveClock;
+  }
+
+  /**
+   * Gets the full move number, which starts at 1 and increases after black moves.
+   * @returns {number} The full move number
+   */
+  fullMoveNumber() {
+    return this.#current().fullMoveNumber;
+  }
+
+  /**
+   * Gets the extra state kept by the variant, e.g. the checks given in Three-check.
+   * @returns {Object|null} The variant state, or null if the variant keeps none
+   */
+  variantState() {
+    return this.#current().variantState;
+  }
+
+  /**
+   * Checks whether the side to move is in check.
+   * @returns {boolean} True if in check
+   */
+  isCheck() {
+    return isVariantInCheck(this.variant, this.board(), this.turn());
+  }
+
+  /**
+   * Lists the legal moves in the current position.
+   * @param {string} square - Only return moves starting on this square
+   * @returns {Array} Array of { from, to, promotionPiece } objects, plus drop for drops
+   */
+  legalMoves(square = null) {
+    const moves = getVariantLegalMoves(this.variant, this.board(), this.turn(), this.lastMove(), this.variantState());
+    return square ? moves.filter(move => move.from === square) : moves;
+  }
+
+  /**
+   * Plays a move.
+   * @param {string|Object} move - A move in SAN, { from, to, promotionPiece }, or { to, drop } for a drop
+   * @returns {Object} The move record, with its SAN
+   * @throws {Error} If the move is invalid or illegal
+   */
+  move(move) {
+    const { board, currentTurn, lastMove, halfMoveClock, fullMoveNumber, variantState, hash } = this.#current();
+    const { from = null, to, promotionPiece = null, drop = null } = typeof move === 'string'
+      ? parseSan(board, move, currentTurn, lastMove, this.variant, variantState)
+      : move;
+
+    const legalMove = drop
+      ? this.legalMoves().find(candidate => candidate.drop === drop && candidate.to === to)
+      : this.legalMoves(from).find(candidate =>
+        candidate.to === to &&
+        (!candidate.promotionPiece || candidate.promotionPiece === (promotionPiece || 'queen'))
+      );
+
+    if (!legalMove) {
+      throw new Error(`Illegal move ${drop ? `${drop}@${to}` : `${from}-${to}`}`);
+    }
+
+    const piece = drop ? { type: drop, color: currentTurn } : getPieceAtPosition(board, from);
+    const san = drop
+      ? dropToSan(board, piece, to, this.variant, variantState)
+      : moveToSan(board, from, to, lastMove, legalMove.promotionPiece, this.variant, variantState);
+    const { board: newBoard, moveInfo } = drop
+      ? applyVariantDrop(this.variant, board, piece, to)
+      : applyVariantMove(this.variant, board, from, to, lastMove, legalMove.promotionPiece || 'queen');
+    const nextTurn = currentTurn === 'white' ? 'black' : 'white';
+
+    moveInfo.isCheck = isVariantInCheck(this.variant, newBoard, nextTurn);
+
+    const record = {
+      ...moveInfo,
+      from,
+      to,
+      piece: { type: piece.type, color: piece.color },
+      san
+    };
+    const nextVariantState = updateVariantState(this.variant, variantState, record);
+
+    record.isCheckmate = record.isCheck &&
+      getVariantLegalMoves(this.variant, newBoard, nextTurn, record, nextVariantState).length === 0;
+
+    // A drop, like a capture, changes the pockets for good
+    const resetsClock = piece.type === 'pawn' || !!moveInfo.capturedPiece || !!drop;
+
+    this.#states.push({
+      board: newBoard,
+      currentTurn: nextTurn,
+      lastMove: record,
+      halfMoveClock: resetsClock ? 0 : halfMoveClock + 1,
+      fullMoveNumber: currentTurn === 'black' ? fullMoveNumber + 1 : fullMoveNumber,
+      variantState: nextVariantState,
+      hash: updateHash(
+        hash,
+        { board, currentTurn, lastMove },
+        { board: newBoard, currentTurn: nextTurn, lastMove: record }
+      )
+    });
+    this.#moves.push(record);
+
+    return record;
+  }
+
+  /**
+   * Takes back the last move.
+   * @returns {Object|null} The move that was taken back, or null at the start
+   */
+  undo() {
+    if (this.#moves.length === 0) return null;
+
+    this.#states.pop();
+    return this.#moves.pop();
+  }
+
+  /**
+   * Gets the moves played so far.
+   * @returns {Array} Move records in order
+   */
+  history() {
+    return [...this.#moves];
+  }
+
+  /**
+   * Gets the position after every ply, e.g. to show earlier moves.
+   * @returns {Array} { board, currentTurn, lastMove, halfMoveClock, fullMoveNumber, variantState, hash }
+   *   in order, starting with the initial position
+   */
+  positions() {
+    return [...this.#states];
+  }
+
+  /**
+   * Gets the Zobrist hash of the current position.
+   * @returns {string} The hash as a hex string
+   */
+  hash() {
+    return this.#current().hash;
+  }
+
+  /**
+   * Gets the Zobrist hash of every position reached, one per ply.
+   * @returns {Array} Hashes in order, the current position last
+   */
+  positionHashes() {
+    return [...this.#earlierHashes, ...this.#states.map(state => state.hash)];
+  }
+
+  /**
+   * Gets the hashes of the positions that can still repeat: a capture or
+   * pawn move is irreversible, so nothing before it can occur again.
+   * @returns {Array} Hashes since the last capture or pawn move, the current position last
+   */
+  repeatablePositionHashes() {
+    return this.positionHashes().slice(-(this.halfMoveClock() + 1));
+  }
+
+  /**
+   * Checks whether a player may claim a draw by threefold repetition.
+   * @returns {boolean} True if the current position has occurred three times
+   */
+  canClaimThreefoldRepetition() {
+    return isThreefoldRepetition(this.positionHashes());
+  }
+
+  /**
+   * Determines whether the game is over.
+   * Threefold repetition is not included because it has to be claimed.
+   * @returns {Object|null} { winner, reason } or null if the game continues
+   */
+  outcome() {
+    return checkGameOutcome(
+      this.board(),
+      this.turn(),
+      this.lastMove(),
+      this.halfMoveClock(),
+      this.positionHashes(),
+      this.variant,
+      this.variantState()
+    );
+  }
+
+  /**
+   * Gets the FEN of the current position.
+   * @returns {string} FEN string
+   */
+  fen() {
+    const { board, currentTurn, lastMove, halfMoveClock, fullMoveNumber } = this.#current();
+    return boardToFen(board, { currentTurn, lastMove, halfMoveClock, fullMoveNumber });
+  }
+
+  /**
+   * Serializes the game to PGN.
+   * @param {Object} game - Stored game data for the header (players, result, dates)
+   * @returns {string} PGN text
+   */
+  pgn(game = {}) {
+    return gameToPgn({ ...game, startFen: this.startFen, variant: this.variant.id, moves: this.#moves });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * The ChessGame engine: playing and taking back moves, rebuilding stored
+ * games, game outcomes and the PGN round-trip.
+ */
+
+import { ChessGame } from './game';
+import { pgnToGame } from './pgn';
+import { STARTING_FEN } from './fen';
+
+const playMoves = (sanMoves, startFen = null) => {
+  const chess = new ChessGame(startFen);
+  sanMoves.forEach(san => chess.move(san));
+  return chess;
+};
+
+describe('ChessGame moves', () => {
+  test('moves can be given as SAN or as squares', () => {
+    const chess = new ChessGame();
+
+    expect(chess.move('e4').san).toBe('e4');
+    expect(chess.move({ from: 'e7', to: 'e5' }).san).toBe('e5');
+    expect(chess.fen()).toBe('rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2');
+  });
+
+  test('an illegal move throws and leaves the position unchanged', () => {
+    const chess = playMoves(['e4']);
+    const fen = chess.fen();
+
+    expect(() => chess.move({ from: 'e2', to: 'e4' })).toThrow('Illegal move');
+    expect(() => chess.move('Ke2')).toThrow();
+    expect(chess.fen()).toBe(fen);
+    expect(chess.history()).toHaveLength(1);
+  });
+
+  test('a pawn promotes to a queen unless told otherwise', () => {
+    const queen = new ChessGame('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1');
+    const knight = new ChessGame('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1');
+
+    expect(queen.move({ from: 'b7', to: 'b8' }).san).toBe('b8=Q+');
+    expect(knight.move({ from: 'b7', to: 'b8', promotionPiece: 'knight' }).san).toBe('b8=N');
+  });
+
+  test('undo restores the previous position and hash', () => {
+    const chess = playMoves(['e4', 'e5', 'Nf3']);
+    const fen = chess.fen();
+    const hash = chess.hash();
+
+    chess.move('Nc6');
+    expect(chess.undo().san).toBe('Nc6');
+    expect(chess.fen()).toBe(fen);
+    expect(chess.hash()).toBe(hash);
+
+    const empty = new ChessGame();
+    expect(empty.undo()).toBe(null);
+    expect(empty.fen()).toBe(STARTING_FEN);
+  });
+});
+
+describe('ChessGame stored games', () => {
+  test('fromGame replays the stored moves', () => {
+    const played = playMoves(['d4', 'd5', 'c4', 'dxc4', 'e4']);
+    const rebuilt = ChessGame.fromGame({ startFen: null, moves: played.history() });
+
+    expect(rebuilt.fen()).toBe(played.fen());
+    expect(rebuilt.positionHashes()).toEqual(played.positionHashes());
+  });
+
+  test('fromPosition keeps the repetition history of the game document', () => {
+    const played = playMoves(['Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1']);
+    const stored = ChessGame.fromPosition({
+      board: played.board(),
+      currentTurn: played.turn(),
+      lastMove: played.lastMove(),
+      halfMoveClock: played.halfMoveClock(),
+      fullMoveNumber: played.fullMoveNumber(),
+      positionHashes: played.positionHashes()
+    });
+
+    expect(stored.canClaimThreefoldRepetition()).toBe(false);
+    stored.move('Ng8');
+    expect(stored.canClaimThreefoldRepetition()).toBe(true);
+  });
+});
+
+describe('ChessGame outcome', () => {
+  test('checkmate', () => {
+    expect(playMoves(['f3', 'e5', 'g4', 'Qh4#']).outcome()).toEqual({ winner: 'black', reason: 'Checkmate' });
+  });
+
+  test('stalemate', () => {
+    const chess = new ChessGame('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1');
+    expect(chess.outcome()).toEqual({ winner: 'draw', reason: 'Stalemate' });
+  });
+
+  test('insufficient material', () => {
+    const chess = playMoves(['Kxb2'], '4k3/8/8/8/8/8/1n6/K7 w - - 0 1');
+    expect(chess.outcome()).toEqual({ winner: 'draw', reason: 'Insufficient material' });
+  });
+
+  test('fifty-move rule', () => {
+    const chess = playMoves(['Rb1'], '4k3/8/8/8/8/8/8/R3K3 w - - 99 80');
+    expect(chess.outcome()).toEqual({ winner: 'draw', reason: 'Fifty-move rule' });
+  });
+
+  test('a game in progress has no outcome', () => {
+    expect(playMoves(['e4', 'e5']).outcome()).toBe(null);
+  });
+});
+
+describe('ChessGame PGN', () => {
+  test('an exported game imports and replays to the same position', () => {
+    const startFen = 'r3k2r/pppq1ppp/2np1n2/2b1p3/2B1P3/2NP1N2/PPPQ1PPP/R3K2R w KQkq - 4 8';
+    const chess = playMoves(['O-O-O', 'O-O', 'Qg5', 'Nd4', 'Nxd4', 'Bxd4'], startFen);
+    const imported = pgnToGame(chess.pgn({ status: 'active' }));
+    const replayed = ChessGame.fromGame(imported);
+
+    expect(imported.notation).toEqual(chess.history().map(move => move.san));
+    expect(replayed.fen()).toBe(chess.fen());
+    expect(replayed.positionHashes()).toEqual(chess.positionHashes());
+  });
+});
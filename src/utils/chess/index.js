@@ -7,12 +7,161 @@
 
 // Board related
 export {
+  STANDARD_BACK_RANK,
   initialBoardSetup,
   getPieceAtPosition,
   setPieceAtPosition,
   findKingPosition
 } from './board';
 
+// FEN import/export
+export {
+  STARTING_FEN,
+  boardToFen,
+  fenToBoard,
+  getCastlingRights,
+  getEnPassantTarget
+} from './fen';
+
+// Chess960 starting positions
+export {
+  CHESS960_POSITION_COUNT,
+  STANDARD_CHESS960_POSITION,
+  getChess960BackRank,
+  getChess960Fen,
+  randomChess960Position
+} from './chess960';
+
+// Variant rules
+export {
+  VARIANTS,
+  getVariant,
+  getGameVariant,
+  getVariantByPgnName,
+  DROP_PIECES
+} from './variants';
+
+// Standard algebraic notation
+export {
+  moveToSan,
+  parseSan
+} from './san';
+
+// PGN import/export
+export {
+  getPgnResult,
+  getPgnTags,
+  gameToPgn,
+  parsePgn,
+  pgnToGame
+} from './pgn';
+
+// Position hashing
+export {
+  computeHash,
+  updateHash,
+  getEnPassantFile
+} from './zobrist';
+
+// Stateful game
+export { ChessGame } from './game';
+
+// Analysis board
+export {
+  ROOT_ID,
+  createAnalysisTree,
+  getLine,
+  getContinuation,
+  getGameAt,
+  addMove,
+  addLine,
+  promoteVariation,
+  deleteVariation,
+  setNodeAnnotations,
+  analysisToPgn
+} from './analysis';
+
+// Board arrows and marks
+export {
+  ANNOTATION_COLORS,
+  EMPTY_ANNOTATIONS,
+  hasAnnotations,
+  toggleArrow,
+  toggleMark,
+  annotationsToComment
+} from './annotations';
+
+// Clocks
+export {
+  TIME_CONTROLS,
+  createTimeControl,
+  formatTimeControl,
+  createClock,
+  getRemainingTime,
+  hasFlagged,
+  pressClock,
+  stopClock,
+  getTimeoutOutcome
+} from './clock';
+
+// Computer player
+export {
+  COMPUTER_LEVELS,
+  findBestMove
+} from './search';
+
+export {
+  PIECE_VALUES,
+  evaluateBoard
+} from './evaluate';
+
+// Captured pieces and material balance
+export {
+  MATERIAL_VALUES,
+  getCapturedPieces,
+  getMaterialBalance
+} from './material';
+
+// Premoves
+export {
+  getPremoveTargets,
+  applyPremoves
+} from './premoves';
+
+// Opening recognition
+export {
+  OPENINGS,
+  findOpening,
+  identifyOpening
+} from './openings';
+
+// Post-game review
+export {
+  REVIEW_THRESHOLDS,
+  REVIEW_SYMBOLS,
+  REVIEW_VARIANTS,
+  DEFAULT_SPECTATOR_DELAY,
+  classifyMove,
+  evaluatePosition,
+  getEvaluationLimit,
+  getWinChance,
+  formatEvaluation,
+  reviewGame
+} from './review';
+
+// Game document fields
+export {
+  getPositionFields,
+  getMoveRecord,
+  getMoveId
+} from './records';
+
+// Move generator verification
+export {
+  perft,
+  perftDivide
+} from './perft';
+
 // Move calculations
 export {
   calculatePieceMoves,
@@ -31,6 +180,7 @@ export {
   isInCheck,
   isPositionUnderAttack,
   hasLegalMoves,
+  getLegalMoves,
   wouldMoveResultInCheck,
   
   // Move application
@@ -40,6 +190,8 @@ export {
   canCastle,
   applyCastling,
   isCastlingMove,
+  findCastlingRook,
+  getCastlingSquare,
   
   // En passant
   getEnPassantMoves,
@@ -53,10 +205,13 @@ export {
   
   // Draw conditions
   hasInsufficientMaterial,
+  hasInsufficientMatingMaterial,
   isStalemate,
   countMovesWithoutProgress,
   isFiftyMoveRule,
-  isThreefoldRepetition
+  countRepetitions,
+  isThreefoldRepetition,
+  isFivefoldRepetition
 } from './rules';
 
 // Utility functions
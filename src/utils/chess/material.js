@@ -0,0 +1,78 @@
+/**
+ * Captured pieces and material balance. They are worked out by comparing the
+ * board with the starting position rather than by collecting the captures of
+ * every move, so promotions and games set up from a FEN are counted correctly.
+ */
+
+// Conventional piece values in pawns
+export const MATERIAL_VALUES = {
+  pawn: 1,
+  knight: 3,
+  bishop: 3,
+  rook: 5,
+  queen: 9,
+  king: 0
+};
+
+// Order of the captured pieces in a tray
+const CAPTURE_ORDER = ['pawn', 'knight', 'bishop', 'rook', 'queen'];
+
+/**
+ * Counts one side's pieces by type.
+ * @param {Array} board - The board array
+ * @param {string} color - The side to count
+ * @returns {Object} Piece type to count
+ */
+const countPieces = (board, color) => {
+  const counts = { pawn: 0, knight: 0, bishop: 0, rook: 0, queen: 0, king: 0 };
+
+  board.forEach(cell => {
+    if (cell.piece && cell.piece.color === color) {
+      counts[cell.piece.type]++;
+    }
+  });
+
+  return counts;
+};
+
+/**
+ * Gets the pieces each side has lost since the starting position. A piece
+ * beyond its starting count came from a promotion, so it stands for one of
+ * the pawns that are no longer on the board rather than a captured one.
+ * @param {Array} startBoard - The board at the starting position
+ * @param {Array} board - The current board
+ * @returns {Object} { white, black }: piece types lost by each side, pawns first
+ */
+export const getCapturedPieces = (startBoard, board) => {
+  const getLost = (color) => {
+    const start = countPieces(startBoard, color);
+    const current = countPieces(board, color);
+    const promoted = CAPTURE_ORDER
+      .filter(type => type !== 'pawn')
+      .reduce((sum, type) => sum + Math.max(0, current[type] - start[type]), 0);
+
+    return CAPTURE_ORDER.flatMap(type => {
+      const lost = type === 'pawn'
+        ? start.pawn - current.pawn - promoted
+        : start[type] - current[type];
+
+      return Array(Math.max(0, lost)).fill(type);
+    });
+  };
+
+  return { white: getLost('white'), black: getLost('black') };
+};
+
+/**
+ * Gets the material balance on the board.
+ * @param {Array} board - The board array
+ * @returns {number} White's material minus Black's, in pawns
+ */
+export const getMaterialBalance = (board) => {
+  return board.reduce((balance, cell) => {
+    if (!cell.piece) return balance;
+
+    const value = MATERIAL_VALUES[cell.piece.type];
+    return cell.piece.color === 'white' ? balance + value : balance - value;
+  }, 0);
+};
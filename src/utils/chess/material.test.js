@@ -0,0 +1,28 @@
+/**
+ * Captured pieces and material balance.
+ */
+
+import { getCapturedPieces, getMaterialBalance } from './material';
+import { ChessGame } from './game';
+
+describe('material', () => {
+  test('captures are found by comparing the board with the start', () => {
+    const chess = new ChessGame();
+    ['e4', 'd5', 'exd5', 'Qxd5', 'Nc3', 'Qxa2', 'Rxa2'].forEach(move => chess.move(move));
+
+    expect(getCapturedPieces(new ChessGame().board(), chess.board())).toEqual({
+      white: ['pawn', 'pawn'],
+      black: ['pawn', 'queen']
+    });
+    expect(getMaterialBalance(chess.board())).toBe(8);
+  });
+
+  test('a promoted piece replaces its pawn instead of counting as a capture', () => {
+    const start = new ChessGame('4k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+    const chess = new ChessGame('4k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+    chess.move('a8=Q+');
+
+    expect(getCapturedPieces(start.board(), chess.board())).toEqual({ white: [], black: [] });
+    expect(getMaterialBalance(chess.board())).toBe(9);
+  });
+});
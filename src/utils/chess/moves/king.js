@@ -4,7 +4,7 @@
 
 import { isValidSquare, indicesToPosition } from '../utils';
 import { getPieceAtPosition } from '../board';
-import { isInCheck, isPositionUnderAttack } from '../rules/check';
+import { canCastle, getCastlingSquare } from '../rules/castling';
 
 /**
  * Calculates king moves including castling.
@@ -40,63 +40,10 @@ export const calculateKingMoves = (board, row, col, color, forAttackCheck = fals
   // Add castling moves (only if not checking for attacks)
   if (!forAttackCheck) {
     const kingPos = indicesToPosition(row, col);
-    const king = getPieceAtPosition(board, kingPos);
     
-    if (king && !king.hasMoved && !isInCheck(board, color)) {
-      // Check kingside castling
-      const kingsideRookPos = indicesToPosition(row, 7);
-      const kingsideRook = getPieceAtPosition(board, kingsideRookPos);
-      
-      if (kingsideRook && kingsideRook.type === 'rook' && !kingsideRook.hasMoved && kingsideRook.color === color) {
-        // Check if squares between king and rook are empty
-        let canCastle = true;
-        for (let c = col + 1; c < 7; c++) {
-          const pos = indicesToPosition(row, c);
-          if (getPieceAtPosition(board, pos)) {
-            canCastle = false;
-            break;
-          }
-        }
-        
-        // Check if king doesn't pass through or end on attacked square
-        if (canCastle) {
-          const passThroughPos = indicesToPosition(row, col + 1);
-          const destinationPos = indicesToPosition(row, col + 2);
-          const opponentColor = color === 'white' ? 'black' : 'white';
-          
-          if (!isPositionUnderAttack(board, passThroughPos, opponentColor) &&
-              !isPositionUnderAttack(board, destinationPos, opponentColor)) {
-            moves.push(destinationPos);
-          }
-        }
-      }
-      
-      // Check queenside castling
-      const queensideRookPos = indicesToPosition(row, 0);
-      const queensideRook = getPieceAtPosition(board, queensideRookPos);
-      
-      if (queensideRook && queensideRook.type === 'rook' && !queensideRook.hasMoved && queensideRook.color === color) {
-        // Check if squares between king and rook are empty
-        let canCastle = true;
-        for (let c = col - 1; c > 0; c--) {
-          const pos = indicesToPosition(row, c);
-          if (getPieceAtPosition(board, pos)) {
-            canCastle = false;
-            break;
-          }
-        }
-        
-        // Check if king doesn't pass through or end on attacked square
-        if (canCastle) {
-          const passThroughPos = indicesToPosition(row, col - 1);
-          const destinationPos = indicesToPosition(row, col - 2);
-          const opponentColor = color === 'white' ? 'black' : 'white';
-          
-          if (!isPositionUnderAttack(board, passThroughPos, opponentColor) &&
-              !isPositionUnderAttack(board, destinationPos, opponentColor)) {
-            moves.push(destinationPos);
-          }
-        }
+    for (const direction of ['kingside', 'queenside']) {
+      if (canCastle(board, kingPos, direction)) {
+        moves.push(getCastlingSquare(board, kingPos, direction));
       }
     }
   }
@@ -38,8 +38,8 @@ export const calculatePawnMoves = (board, row, col, color, lastMove = null, forA
           moves.push(capturePos);
         }
         
-        // En passant check
-        if (lastMove) {
+        // En passant check (a piece dropped in Crazyhouse has no starting square)
+        if (lastMove && lastMove.from) {
           const enPassantRow = color === 'white' ? 3 : 4;
           if (row === enPassantRow) {
             const lastMovePiece = getPieceAtPosition(board, lastMove.to);
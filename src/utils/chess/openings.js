@@ -0,0 +1,258 @@
+/**
+ * Opening recognition with a bundled ECO table.
+ * Openings are looked up by the Zobrist hash of the position, not by the move
+ * order, so a game that transposes into a known line is still recognized.
+ */
+
+import { ChessGame } from './game';
+
+// ECO code, name and the main line leading to each position, in SAN
+export const OPENINGS = [
+  // A: flank openings, Queen's pawn without 1...d5, Dutch, Benoni
+  { eco: 'A00', name: 'Polish Opening', moves: 'b4' },
+  { eco: 'A00', name: 'Grob Opening', moves: 'g4' },
+  { eco: 'A00', name: 'Van\'t Kruijs Opening', moves: 'e3' },
+  { eco: 'A01', name: 'Nimzo-Larsen Attack', moves: 'b3' },
+  { eco: 'A02', name: 'Bird Opening', moves: 'f4' },
+  { eco: 'A03', name: 'Bird Opening: Dutch Variation', moves: 'f4 d5' },
+  { eco: 'A04', name: 'Zukertort Opening', moves: 'Nf3' },
+  { eco: 'A05', name: 'Zukertort Opening', moves: 'Nf3 Nf6' },
+  { eco: 'A06', name: 'Zukertort Opening', moves: 'Nf3 d5' },
+  { eco: 'A07', name: 'King\'s Indian Attack', moves: 'Nf3 d5 g3' },
+  { eco: 'A09', name: 'Réti Opening', moves: 'Nf3 d5 c4' },
+  { eco: 'A10', name: 'English Opening', moves: 'c4' },
+  { eco: 'A13', name: 'English Opening: Agincourt Defense', moves: 'c4 e6' },
+  { eco: 'A15', name: 'English Opening: Anglo-Indian Defense', moves: 'c4 Nf6' },
+  { eco: 'A20', name: 'English Opening: King\'s English Variation', moves: 'c4 e5' },
+  { eco: 'A22', name: 'English Opening: King\'s English Variation, Two Knights Variation', moves: 'c4 e5 Nc3 Nf6' },
+  { eco: 'A25', name: 'English Opening: King\'s English Variation, Reversed Closed Sicilian', moves: 'c4 e5 Nc3 Nc6' },
+  { eco: 'A30', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5' },
+  { eco: 'A40', name: 'Queen\'s Pawn Game', moves: 'd4' },
+  { eco: 'A40', name: 'Englund Gambit', moves: 'd4 e5' },
+  { eco: 'A40', name: 'Modern Defense', moves: 'd4 g6' },
+  { eco: 'A43', name: 'Benoni Defense: Old Benoni', moves: 'd4 c5' },
+  { eco: 'A45', name: 'Indian Defense', moves: 'd4 Nf6' },
+  { eco: 'A45', name: 'Trompowsky Attack', moves: 'd4 Nf6 Bg5' },
+  { eco: 'A46', name: 'Indian Defense: Knights Variation', moves: 'd4 Nf6 Nf3' },
+  { eco: 'A46', name: 'Torre Attack', moves: 'd4 Nf6 Nf3 e6 Bg5' },
+  { eco: 'A50', name: 'Indian Defense: Normal Variation', moves: 'd4 Nf6 c4' },
+  { eco: 'A51', name: 'Budapest Defense', moves: 'd4 Nf6 c4 e5' },
+  { eco: 'A52', name: 'Budapest Defense', moves: 'd4 Nf6 c4 e5 dxe5 Ng4' },
+  { eco: 'A53', name: 'Old Indian Defense', moves: 'd4 Nf6 c4 d6' },
+  { eco: 'A56', name: 'Benoni Defense', moves: 'd4 Nf6 c4 c5' },
+  { eco: 'A57', name: 'Benko Gambit', moves: 'd4 Nf6 c4 c5 d5 b5' },
+  { eco: 'A60', name: 'Benoni Defense: Modern Variation', moves: 'd4 Nf6 c4 c5 d5 e6' },
+  { eco: 'A80', name: 'Dutch Defense', moves: 'd4 f5' },
+  { eco: 'A81', name: 'Dutch Defense: Fianchetto Attack', moves: 'd4 f5 g3' },
+  { eco: 'A84', name: 'Dutch Defense', moves: 'd4 f5 c4' },
+
+  // B: semi-open games other than the French
+  { eco: 'B00', name: 'King\'s Pawn Opening', moves: 'e4' },
+  { eco: 'B00', name: 'Nimzowitsch Defense', moves: 'e4 Nc6' },
+  { eco: 'B00', name: 'Owen Defense', moves: 'e4 b6' },
+  { eco: 'B01', name: 'Scandinavian Defense', moves: 'e4 d5' },
+  { eco: 'B01', name: 'Scandinavian Defense: Mieses-Kotroc Variation', moves: 'e4 d5 exd5 Qxd5' },
+  { eco: 'B01', name: 'Scandinavian Defense: Main Line', moves: 'e4 d5 exd5 Qxd5 Nc3 Qa5' },
+  { eco: 'B01', name: 'Scandinavian Defense: Modern Variation', moves: 'e4 d5 exd5 Nf6' },
+  { eco: 'B02', name: 'Alekhine Defense', moves: 'e4 Nf6' },
+  { eco: 'B03', name: 'Alekhine Defense: Four Pawns Attack', moves: 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4' },
+  { eco: 'B04', name: 'Alekhine Defense: Modern Variation', moves: 'e4 Nf6 e5 Nd5 d4 d6 Nf3' },
+  { eco: 'B06', name: 'Modern Defense', moves: 'e4 g6' },
+  { eco: 'B07', name: 'Pirc Defense', moves: 'e4 d6 d4 Nf6 Nc3 g6' },
+  { eco: 'B09', name: 'Pirc Defense: Austrian Attack', moves: 'e4 d6 d4 Nf6 Nc3 g6 f4' },
+  { eco: 'B10', name: 'Caro-Kann Defense', moves: 'e4 c6' },
+  { eco: 'B12', name: 'Caro-Kann Defense: Advance Variation', moves: 'e4 c6 d4 d5 e5' },
+  { eco: 'B13', name: 'Caro-Kann Defense: Exchange Variation', moves: 'e4 c6 d4 d5 exd5 cxd5' },
+  { eco: 'B13', name: 'Caro-Kann Defense: Panov Attack', moves: 'e4 c6 d4 d5 exd5 cxd5 c4' },
+  { eco: 'B15', name: 'Caro-Kann Defense', moves: 'e4 c6 d4 d5 Nc3' },
+  { eco: 'B17', name: 'Caro-Kann Defense: Karpov Variation', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nd7' },
+  { eco: 'B18', name: 'Caro-Kann Defense: Classical Variation', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5' },
+  { eco: 'B20', name: 'Sicilian Defense', moves: 'e4 c5' },
+  { eco: 'B21', name: 'Sicilian Defense: Smith-Morra Gambit', moves: 'e4 c5 d4 cxd4 c3' },
+  { eco: 'B22', name: 'Sicilian Defense: Alapin Variation', moves: 'e4 c5 c3' },
+  { eco: 'B23', name: 'Sicilian Defense: Closed', moves: 'e4 c5 Nc3' },
+  { eco: 'B27', name: 'Sicilian Defense', moves: 'e4 c5 Nf3' },
+  { eco: 'B30', name: 'Sicilian Defense: Old Sicilian', moves: 'e4 c5 Nf3 Nc6' },
+  { eco: 'B30', name: 'Sicilian Defense: Rossolimo Variation', moves: 'e4 c5 Nf3 Nc6 Bb5' },
+  { eco: 'B32', name: 'Sicilian Defense: Open', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4' },
+  { eco: 'B33', name: 'Sicilian Defense: Sveshnikov Variation', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5' },
+  { eco: 'B34', name: 'Sicilian Defense: Accelerated Dragon', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6' },
+  { eco: 'B40', name: 'Sicilian Defense: French Variation', moves: 'e4 c5 Nf3 e6' },
+  { eco: 'B41', name: 'Sicilian Defense: Kan Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6' },
+  { eco: 'B44', name: 'Sicilian Defense: Taimanov Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6' },
+  { eco: 'B50', name: 'Sicilian Defense: Modern Variations', moves: 'e4 c5 Nf3 d6' },
+  { eco: 'B51', name: 'Sicilian Defense: Moscow Variation', moves: 'e4 c5 Nf3 d6 Bb5+' },
+  { eco: 'B54', name: 'Sicilian Defense: Open', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4' },
+  { eco: 'B56', name: 'Sicilian Defense: Classical Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6' },
+  { eco: 'B70', name: 'Sicilian Defense: Dragon Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6' },
+  {
+    eco: 'B75',
+    name: 'Sicilian Defense: Dragon Variation, Yugoslav Attack',
+    moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3'
+  },
+  { eco: 'B80', name: 'Sicilian Defense: Scheveningen Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6' },
+  { eco: 'B90', name: 'Sicilian Defense: Najdorf Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6' },
+
+  // C: French and open games
+  { eco: 'C00', name: 'French Defense', moves: 'e4 e6' },
+  { eco: 'C01', name: 'French Defense: Exchange Variation', moves: 'e4 e6 d4 d5 exd5' },
+  { eco: 'C02', name: 'French Defense: Advance Variation', moves: 'e4 e6 d4 d5 e5' },
+  { eco: 'C03', name: 'French Defense: Tarrasch Variation', moves: 'e4 e6 d4 d5 Nd2' },
+  { eco: 'C10', name: 'French Defense: Paulsen Variation', moves: 'e4 e6 d4 d5 Nc3' },
+  { eco: 'C10', name: 'French Defense: Rubinstein Variation', moves: 'e4 e6 d4 d5 Nc3 dxe4' },
+  { eco: 'C11', name: 'French Defense: Classical Variation', moves: 'e4 e6 d4 d5 Nc3 Nf6' },
+  { eco: 'C15', name: 'French Defense: Winawer Variation', moves: 'e4 e6 d4 d5 Nc3 Bb4' },
+  { eco: 'C20', name: 'King\'s Pawn Game', moves: 'e4 e5' },
+  { eco: 'C21', name: 'Center Game', moves: 'e4 e5 d4 exd4' },
+  { eco: 'C21', name: 'Danish Gambit', moves: 'e4 e5 d4 exd4 c3' },
+  { eco: 'C23', name: 'Bishop\'s Opening', moves: 'e4 e5 Bc4' },
+  { eco: 'C25', name: 'Vienna Game', moves: 'e4 e5 Nc3' },
+  { eco: 'C29', name: 'Vienna Game: Vienna Gambit', moves: 'e4 e5 Nc3 Nf6 f4' },
+  { eco: 'C30', name: 'King\'s Gambit', moves: 'e4 e5 f4' },
+  { eco: 'C30', name: 'King\'s Gambit Declined: Classical Variation', moves: 'e4 e5 f4 Bc5' },
+  { eco: 'C31', name: 'King\'s Gambit Declined: Falkbeer Countergambit', moves: 'e4 e5 f4 d5' },
+  { eco: 'C33', name: 'King\'s Gambit Accepted', moves: 'e4 e5 f4 exf4' },
+  { eco: 'C40', name: 'King\'s Knight Opening', moves: 'e4 e5 Nf3' },
+  { eco: 'C40', name: 'Latvian Gambit', moves: 'e4 e5 Nf3 f5' },
+  { eco: 'C40', name: 'Elephant Gambit', moves: 'e4 e5 Nf3 d5' },
+  { eco: 'C41', name: 'Philidor Defense', moves: 'e4 e5 Nf3 d6' },
+  { eco: 'C42', name: 'Petrov\'s Defense', moves: 'e4 e5 Nf3 Nf6' },
+  { eco: 'C43', name: 'Petrov\'s Defense: Steinitz Attack', moves: 'e4 e5 Nf3 Nf6 d4' },
+  { eco: 'C44', name: 'King\'s Knight Opening: Normal Variation', moves: 'e4 e5 Nf3 Nc6' },
+  { eco: 'C44', name: 'Ponziani Opening', moves: 'e4 e5 Nf3 Nc6 c3' },
+  { eco: 'C44', name: 'Scotch Game', moves: 'e4 e5 Nf3 Nc6 d4' },
+  { eco: 'C44', name: 'Scotch Game: Scotch Gambit', moves: 'e4 e5 Nf3 Nc6 d4 exd4 Bc4' },
+  { eco: 'C45', name: 'Scotch Game', moves: 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4' },
+  { eco: 'C46', name: 'Three Knights Opening', moves: 'e4 e5 Nf3 Nc6 Nc3' },
+  { eco: 'C47', name: 'Four Knights Game', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6' },
+  { eco: 'C47', name: 'Four Knights Game: Scotch Variation', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4' },
+  { eco: 'C48', name: 'Four Knights Game: Spanish Variation', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5' },
+  { eco: 'C50', name: 'Italian Game', moves: 'e4 e5 Nf3 Nc6 Bc4' },
+  { eco: 'C50', name: 'Italian Game: Hungarian Defense', moves: 'e4 e5 Nf3 Nc6 Bc4 Be7' },
+  { eco: 'C50', name: 'Italian Game: Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5' },
+  { eco: 'C50', name: 'Italian Game: Giuoco Pianissimo', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3' },
+  { eco: 'C51', name: 'Italian Game: Evans Gambit', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4' },
+  { eco: 'C53', name: 'Italian Game: Classical Variation', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3' },
+  { eco: 'C55', name: 'Italian Game: Two Knights Defense', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6' },
+  { eco: 'C57', name: 'Italian Game: Two Knights Defense, Knight Attack', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5' },
+  {
+    eco: 'C57',
+    name: 'Italian Game: Two Knights Defense, Traxler Counterattack',
+    moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 Bc5'
+  },
+  {
+    eco: 'C57',
+    name: 'Italian Game: Two Knights Defense, Fried Liver Attack',
+    moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nxd5 Nxf7'
+  },
+  { eco: 'C60', name: 'Ruy Lopez', moves: 'e4 e5 Nf3 Nc6 Bb5' },
+  { eco: 'C62', name: 'Ruy Lopez: Steinitz Defense', moves: 'e4 e5 Nf3 Nc6 Bb5 d6' },
+  { eco: 'C63', name: 'Ruy Lopez: Schliemann Defense', moves: 'e4 e5 Nf3 Nc6 Bb5 f5' },
+  { eco: 'C64', name: 'Ruy Lopez: Classical Variation', moves: 'e4 e5 Nf3 Nc6 Bb5 Bc5' },
+  { eco: 'C65', name: 'Ruy Lopez: Berlin Defense', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6' },
+  { eco: 'C68', name: 'Ruy Lopez: Exchange Variation', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6' },
+  { eco: 'C70', name: 'Ruy Lopez: Morphy Defense', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4' },
+  { eco: 'C78', name: 'Ruy Lopez: Morphy Defense', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O' },
+  { eco: 'C80', name: 'Ruy Lopez: Open Variation', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4' },
+  { eco: 'C84', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7' },
+  { eco: 'C88', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3' },
+  {
+    eco: 'C89',
+    name: 'Ruy Lopez: Marshall Attack',
+    moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5'
+  },
+
+  // D: closed games and the Grünfeld
+  { eco: 'D00', name: 'Queen\'s Pawn Game', moves: 'd4 d5' },
+  { eco: 'D00', name: 'Queen\'s Pawn Game: Accelerated London System', moves: 'd4 d5 Bf4' },
+  { eco: 'D00', name: 'Blackmar-Diemer Gambit', moves: 'd4 d5 e4' },
+  { eco: 'D01', name: 'Richter-Veresov Attack', moves: 'd4 d5 Nc3 Nf6 Bg5' },
+  { eco: 'D02', name: 'Queen\'s Pawn Game: Zukertort Variation', moves: 'd4 d5 Nf3' },
+  { eco: 'D02', name: 'Queen\'s Pawn Game: London System', moves: 'd4 d5 Nf3 Nf6 Bf4' },
+  { eco: 'D05', name: 'Queen\'s Pawn Game: Colle System', moves: 'd4 d5 Nf3 Nf6 e3 e6 Bd3' },
+  { eco: 'D06', name: 'Queen\'s Gambit', moves: 'd4 d5 c4' },
+  { eco: 'D07', name: 'Queen\'s Gambit Declined: Chigorin Defense', moves: 'd4 d5 c4 Nc6' },
+  { eco: 'D08', name: 'Queen\'s Gambit Declined: Albin Countergambit', moves: 'd4 d5 c4 e5' },
+  { eco: 'D10', name: 'Slav Defense', moves: 'd4 d5 c4 c6' },
+  { eco: 'D11', name: 'Slav Defense: Modern Line', moves: 'd4 d5 c4 c6 Nf3' },
+  { eco: 'D15', name: 'Slav Defense: Three Knights Variation', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3' },
+  { eco: 'D17', name: 'Slav Defense: Czech Variation', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5' },
+  { eco: 'D20', name: 'Queen\'s Gambit Accepted', moves: 'd4 d5 c4 dxc4' },
+  { eco: 'D30', name: 'Queen\'s Gambit Declined', moves: 'd4 d5 c4 e6' },
+  { eco: 'D31', name: 'Queen\'s Gambit Declined: Queen\'s Knight Variation', moves: 'd4 d5 c4 e6 Nc3' },
+  { eco: 'D32', name: 'Tarrasch Defense', moves: 'd4 d5 c4 e6 Nc3 c5' },
+  { eco: 'D35', name: 'Queen\'s Gambit Declined: Exchange Variation', moves: 'd4 d5 c4 e6 Nc3 Nf6 cxd5' },
+  { eco: 'D37', name: 'Queen\'s Gambit Declined: Three Knights Variation', moves: 'd4 d5 c4 e6 Nc3 Nf6 Nf3' },
+  { eco: 'D43', name: 'Semi-Slav Defense', moves: 'd4 d5 c4 e6 Nc3 Nf6 Nf3 c6' },
+  { eco: 'D50', name: 'Queen\'s Gambit Declined: Modern Variation', moves: 'd4 d5 c4 e6 Nc3 Nf6 Bg5' },
+  { eco: 'D80', name: 'Grünfeld Defense', moves: 'd4 Nf6 c4 g6 Nc3 d5' },
+  { eco: 'D85', name: 'Grünfeld Defense: Exchange Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4' },
+
+  // E: Indian defenses
+  { eco: 'E01', name: 'Catalan Opening', moves: 'd4 Nf6 c4 e6 g3' },
+  { eco: 'E10', name: 'Indian Defense: Anti-Nimzo-Indian', moves: 'd4 Nf6 c4 e6 Nf3' },
+  { eco: 'E11', name: 'Bogo-Indian Defense', moves: 'd4 Nf6 c4 e6 Nf3 Bb4+' },
+  { eco: 'E12', name: 'Queen\'s Indian Defense', moves: 'd4 Nf6 c4 e6 Nf3 b6' },
+  { eco: 'E20', name: 'Nimzo-Indian Defense', moves: 'd4 Nf6 c4 e6 Nc3 Bb4' },
+  { eco: 'E32', name: 'Nimzo-Indian Defense: Classical Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2' },
+  { eco: 'E40', name: 'Nimzo-Indian Defense: Normal Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 e3' },
+  { eco: 'E60', name: 'King\'s Indian Defense', moves: 'd4 Nf6 c4 g6' },
+  { eco: 'E61', name: 'King\'s Indian Defense', moves: 'd4 Nf6 c4 g6 Nc3 Bg7' },
+  { eco: 'E70', name: 'King\'s Indian Defense: Normal Variation', moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6' },
+  { eco: 'E76', name: 'King\'s Indian Defense: Four Pawns Attack', moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4' },
+  { eco: 'E80', name: 'King\'s Indian Defense: Sämisch Variation', moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3' },
+  {
+    eco: 'E92',
+    name: 'King\'s Indian Defense: Classical Variation',
+    moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5'
+  }
+];
+
+// Openings by position hash, built on first use
+let openingsByHash = null;
+
+/**
+ * Builds the hash index by playing out every line of the table. Where two
+ * lines reach the same position, the one listed first is kept.
+ * @returns {Map} { eco, name } by position hash
+ */
+const getOpeningIndex = () => {
+  if (!openingsByHash) {
+    openingsByHash = new Map();
+
+    OPENINGS.forEach(({ eco, name, moves }) => {
+      const chess = new ChessGame();
+      moves.split(' ').forEach(san => chess.move(san));
+
+      if (!openingsByHash.has(chess.hash())) {
+        openingsByHash.set(chess.hash(), { eco, name });
+      }
+    });
+  }
+
+  return openingsByHash;
+};
+
+/**
+ * Looks up the opening of a single position.
+ * @param {string} hash - Zobrist hash of the position
+ * @returns {Object|null} { eco, name }, or null if the position is not in the table
+ */
+export const findOpening = (hash) => {
+  return getOpeningIndex().get(hash) || null;
+};
+
+/**
+ * Identifies the opening of a game: the last position of the game that is in
+ * the table, so the name stays once play leaves the known lines.
+ * @param {Array} hashes - Position hashes in move order (e.g. ChessGame.positionHashes)
+ * @returns {Object|null} { eco, name }, or null if no position is in the table
+ */
+export const identifyOpening = (hashes) => {
+  for (let i = hashes.length - 1; i >= 0; i--) {
+    const opening = findOpening(hashes[i]);
+    if (opening) return opening;
+  }
+
+  return null;
+};
@@ -0,0 +1,43 @@
+/**
+ * Opening recognition.
+ */
+
+import { OPENINGS, findOpening, identifyOpening } from './openings';
+import { ChessGame } from './game';
+
+const play = (moves) => {
+  const chess = new ChessGame();
+  moves.split(' ').forEach(san => chess.move(san));
+  return chess;
+};
+
+describe('opening table', () => {
+  test('every line is legal and has an ECO code', () => {
+    OPENINGS.forEach(({ eco, moves }) => {
+      expect(eco).toMatch(/^[A-E]\d\d$/);
+      expect(() => play(moves)).not.toThrow();
+    });
+  });
+});
+
+describe('identifyOpening', () => {
+  test('names the last known position of the game', () => {
+    const chess = play('e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be3 e5');
+
+    expect(identifyOpening(chess.positionHashes())).toEqual({ eco: 'B90', name: 'Sicilian Defense: Najdorf Variation' });
+  });
+
+  test('recognizes transpositions', () => {
+    const chess = play('Nf3 Nf6 c4 e6 d4 d5 Nc3');
+
+    expect(findOpening(chess.hash())).toEqual({
+      eco: 'D37',
+      name: 'Queen\'s Gambit Declined: Three Knights Variation'
+    });
+  });
+
+  test('returns null without a known position', () => {
+    expect(identifyOpening(new ChessGame().positionHashes())).toBeNull();
+    expect(identifyOpening([])).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Perft (performance test) move-path enumeration.
+ * Counts the leaf nodes of the legal move tree to a fixed depth, which can be
+ * compared against published results to verify the move generator.
+ */
+
+import { getLegalMoves, applyMove } from './rules';
+import { fenToBoard } from './fen';
+
+const PROMOTION_SUFFIXES = { queen: 'q', rook: 'r', bishop: 'b', knight: 'n' };
+
+/**
+ * Counts leaf nodes reachable from a position in exactly `depth` plies.
+ * @param {Array} board - The board array
+ * @param {string} color - The side to move
+ * @param {number} depth - Number of plies to search
+ * @param {Object} lastMove - The last move made (for en passant)
+ * @returns {number} Number of leaf nodes
+ */
+export const perft = (board, color, depth, lastMove = null) => {
+  if (depth === 0) return 1;
+
+  const moves = getLegalMoves(board, color, lastMove);
+
+  // Bulk counting: the leaves are the legal moves themselves
+  if (depth === 1) return moves.length;
+
+  const nextColor = color === 'white' ? 'black' : 'white';
+  let nodes = 0;
+
+  for (const { from, to, promotionPiece } of moves) {
+    const { board: newBoard } = applyMove(board, from, to, lastMove, promotionPiece);
+    nodes += perft(newBoard, nextColor, depth - 1, { from, to });
+  }
+
+  return nodes;
+};
+
+/**
+ * Runs perft on a FEN position and splits the count by root move.
+ * Useful for finding which move a generator bug hides behind.
+ * @param {string} fen - FEN string of the position
+ * @param {number} depth - Number of plies to search (at least 1)
+ * @returns {Object} Root move (e.g. "e2e4", "e7e8q") to leaf node count
+ */
+export const perftDivide = (fen, depth) => {
+  const { board, currentTurn, lastMove } = fenToBoard(fen);
+  const nextColor = currentTurn === 'white' ? 'black' : 'white';
+  const counts = {};
+
+  for (const { from, to, promotionPiece } of getLegalMoves(board, currentTurn, lastMove)) {
+    const { board: newBoard } = applyMove(board, from, to, lastMove, promotionPiece);
+    const key = from + to + (promotionPiece ? PROMOTION_SUFFIXES[promotionPiece] : '');
+    counts[key] = perft(newBoard, nextColor, depth - 1, { from, to });
+  }
+
+  return counts;
+};
\ No newline at end of file
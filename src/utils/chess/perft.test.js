@@ -0,0 +1,104 @@
+/**
+ * Move generator verification against published perft results.
+ * Positions come from the Chess Programming Wiki perft pages (including
+ * Chess960) and the perft edge-case collection posted on TalkChess. Depths are kept shallow
+ * enough for CI; every count has been cross-checked with a reference generator.
+ */
+
+import { perft, perftDivide } from './perft';
+import { fenToBoard } from './fen';
+
+const countNodes = (fen, depth) => {
+  const { board, currentTurn, lastMove } = fenToBoard(fen);
+  return perft(board, currentTurn, depth, lastMove);
+};
+
+const POSITIONS = [
+  {
+    name: 'initial position',
+    fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    counts: [20, 400, 8902]
+  },
+  {
+    name: 'Kiwipete (castling, pins, en passant)',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    counts: [48, 2039, 97862]
+  },
+  {
+    name: 'position 3 (en passant pinned along the rank)',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    counts: [14, 191, 2812, 43238]
+  },
+  {
+    name: 'position 4 (promotions and castling)',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    counts: [6, 264, 9467]
+  },
+  {
+    name: 'position 4 mirrored',
+    fen: 'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1',
+    counts: [6, 264, 9467]
+  },
+  {
+    name: 'position 5 (capture-promotion into check)',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    counts: [44, 1486, 62379]
+  },
+  {
+    name: 'Chess960 (Shredder-FEN castling rights)',
+    fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+    counts: [21, 528, 12189]
+  },
+  {
+    name: 'Chess960 (king and rook next to each other)',
+    fen: '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9',
+    counts: [21, 807, 18002]
+  },
+  {
+    name: 'Chess960 (king already on its castling square)',
+    fen: 'qnbnr1kr/ppp1b1pp/4p3/3p1p2/8/2NPP3/PPP1BPPP/QNB1R1KR w HEhe - 1 9',
+    counts: [29, 899, 26578]
+  }
+];
+
+const EDGE_CASES = [
+  { name: 'illegal en passant exposes the king', fen: '3k4/3p4/8/K1P4r/8/8/8/8 b - - 0 1', depth: 4, nodes: 10138 },
+  { name: 'en passant capture gives check', fen: '8/8/1k6/2b5/2pP4/8/5K2/8 b - d3 0 1', depth: 4, nodes: 13931 },
+  { name: 'short castling gives check', fen: '5k2/8/8/8/8/8/8/4K2R w K - 0 1', depth: 4, nodes: 6399 },
+  { name: 'long castling gives check', fen: '3k4/8/8/8/8/8/8/R3K3 w Q - 0 1', depth: 4, nodes: 7418 },
+  { name: 'castling rights', fen: 'r3k2r/1b4bq/8/8/8/8/7B/R3K2R w KQkq - 0 1', depth: 2, nodes: 1141 },
+  { name: 'castling prevented by attacks', fen: 'r3k2r/8/3Q4/8/8/5q2/8/R3K2R b KQkq - 0 1', depth: 2, nodes: 1494 },
+  { name: 'promote out of check', fen: '2K2r2/4P3/8/8/8/8/8/3k4 w - - 0 1', depth: 3, nodes: 1442 },
+  { name: 'promote to give check', fen: '4k3/1P6/8/8/8/8/K7/8 w - - 0 1', depth: 4, nodes: 2661 },
+  { name: 'underpromote to give check', fen: '8/P1k5/K7/8/8/8/8/8 w - - 0 1', depth: 4, nodes: 1329 },
+  { name: 'self stalemate', fen: 'K1k5/8/P7/8/8/8/8/8 w - - 0 1', depth: 4, nodes: 63 },
+  { name: 'stalemate and checkmate', fen: '8/k1P5/8/1K6/8/8/8/8 w - - 0 1', depth: 4, nodes: 926 }
+];
+
+describe('perft', () => {
+  describe.each(POSITIONS)('$name', ({ fen, counts }) => {
+    test.each(counts.map((nodes, index) => [index + 1, nodes]))(
+      'depth %i has %i leaf nodes',
+      (depth, nodes) => {
+        expect(countNodes(fen, depth)).toBe(nodes);
+      },
+      60000
+    );
+  });
+
+  test.each(EDGE_CASES)('$name', ({ fen, depth, nodes }) => {
+    expect(countNodes(fen, depth)).toBe(nodes);
+  }, 60000);
+
+  test('depth 0 counts the position itself', () => {
+    expect(countNodes('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', 0)).toBe(1);
+  });
+
+  test('divide splits the count by root move', () => {
+    const counts = perftDivide('4k3/1P6/8/8/8/8/K7/8 w - - 0 1', 2);
+
+    expect(Object.keys(counts)).toEqual(expect.arrayContaining(['b7b8q', 'b7b8r', 'b7b8b', 'b7b8n']));
+    expect(Object.values(counts).reduce((sum, nodes) => sum + nodes, 0))
+      .toBe(countNodes('4k3/1P6/8/8/8/8/K7/8 w - - 0 1', 2));
+  });
+});
\ No newline at end of file
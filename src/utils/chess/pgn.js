@@ -0,0 +1,323 @@
+/**
+ * PGN (Portable Game Notation) export and import
+ */
+
+import { initialBoardSetup } from './board';
+import { fenToBoard } from './fen';
+import { moveToSan, dropToSan } from './san';
+import { ChessGame } from './game';
+import {
+  getGameVariant,
+  getVariantByPgnName,
+  applyVariantMove,
+  applyVariantDrop,
+  getInitialVariantState,
+  updateVariantState
+} from './variants';
+
+const PGN_SITE = 'https://yanchen184.github.io/firebase-chess-online';
+
+// Seven Tag Roster, in the order PGN requires
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+/**
+ * Gets the PGN result token for a game.
+ * @param {Object} game - The game object
+ * @returns {string} '1-0', '0-1', '1/2-1/2' or '*'
+ */
+export const getPgnResult = (game) => {
+  if (!game || game.status !== 'completed') return '*';
+
+  if (game.winner === 'white') return '1-0';
+  if (game.winner === 'black') return '0-1';
+  if (game.winner === 'draw') return '1/2-1/2';
+
+  return '*';
+};
+
+/**
+ * Formats a Firestore timestamp or Date as a PGN date (YYYY.MM.DD).
+ * @param {Object|Date} timestamp - Firestore timestamp or Date
+ * @returns {string} PGN date, '????.??.??' if unknown
+ */
+const formatPgnDate = (timestamp) => {
+  const date = timestamp?.toDate ? timestamp.toDate() : timestamp;
+
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    return '????.??.??';
+  }
+
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}.${month}.${day}`;
+};
+
+/**
+ * Escapes a tag value for use inside a PGN tag pair.
+ * @param {string} value - The tag value
+ * @returns {string} Escaped value
+ */
+const escapeTagValue = (value) => {
+  return String(value ?? '?').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+};
+
+/**
+ * Builds the PGN tags for a game.
+ * @param {Object} game - The game object
+ * @returns {Object} Tag name to value
+ */
+export const getPgnTags = (game) => {
+  const tags = {
+    Event: 'Online Chess',
+    Site: PGN_SITE,
+    Date: formatPgnDate(game.createdAt),
+    Round: '-',
+    White: game.whitePlayer?.displayName || game.white || '?',
+    Black: game.blackPlayer?.displayName || game.black || '?',
+    Result: getPgnResult(game),
+    // Imported games keep their original header
+    ...game.pgnTags
+  };
+
+  if (game.startFen) {
+    tags.SetUp = '1';
+    tags.FEN = game.startFen;
+  }
+
+  // Other programs need this to read the moves, e.g. castling in Chess960 games
+  const variant = getGameVariant(game);
+  if (variant.pgnName) {
+    tags.Variant = variant.pgnName;
+  }
+
+  if (game.status === 'completed' && game.winReason && !tags.Termination) {
+    tags.Termination = game.winReason;
+  }
+
+  return tags;
+};
+
+/**
+ * Gets the movetext tokens for SAN moves, with move numbers.
+ * @param {Array} sanMoves - Moves in standard algebraic notation
+ * @param {string} startFen - Starting position, if not the standard one
+ * @returns {Array} Movetext tokens
+ */
+const getMoveTokens = (sanMoves, startFen = null) => {
+  const start = startFen ? fenToBoard(startFen) : { currentTurn: 'white', fullMoveNumber: 1 };
+  const tokens = [];
+  let moveNumber = start.fullMoveNumber;
+  let color = start.currentTurn;
+
+  sanMoves.forEach((san, index) => {
+    if (color === 'white') {
+      tokens.push(`${moveNumber}.`);
+    } else if (index === 0) {
+      tokens.push(`${moveNumber}...`);
+    }
+
+    tokens.push(san);
+
+    if (color === 'black') {
+      moveNumber++;
+    }
+    color = color === 'white' ? 'black' : 'white';
+  });
+
+  return tokens;
+};
+
+/**
+ * Formats a PGN game from its tags and movetext tokens.
+ * The movetext is wrapped at 80 columns and ends with the result from the tags.
+ * @param {Object} tags - Tag name to value
+ * @param {Array} tokens - Movetext tokens: move numbers, SAN and variations
+ * @returns {string} PGN text
+ */
+export const formatPgn = (tags, tokens) => {
+  const tagSection = [
+    ...SEVEN_TAG_ROSTER,
+    ...Object.keys(tags).filter(name => !SEVEN_TAG_ROSTER.includes(name))
+  ].map(name => `[${name} "${escapeTagValue(tags[name])}"]`).join('\n');
+
+  // Wrap lines at 80 characters
+  const lines = [];
+  let line = '';
+
+  for (const token of [...tokens, tags.Result]) {
+    if (line && line.length + token.length + 1 > 80) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  lines.push(line);
+
+  return `${tagSection}\n\n${lines.join('\n')}\n`;
+};
+
+/**
+ * Gets the SAN of every move in a game by replaying it from the start position.
+ * @param {Object} game - The game object, with move records as returned by ChessGame.move
+ * @returns {Array} Moves in SAN
+ */
+const getSanMoves = (game) => {
+  const start = game.startFen
+    ? fenToBoard(game.startFen)
+    : { board: initialBoardSetup(), lastMove: null };
+  const variant = getGameVariant(game);
+  let board = start.board;
+  let lastMove = start.lastMove;
+  let variantState = getInitialVariantState(variant);
+
+  return (game.moves || []).map(move => {
+    let san;
+
+    if (move.drop) {
+      san = dropToSan(board, move.piece, move.to, variant, variantState);
+      board = applyVariantDrop(variant, board, move.piece, move.to).board;
+    } else {
+      san = moveToSan(board, move.from, move.to, lastMove, move.promotionPiece, variant, variantState);
+      board = applyVariantMove(variant, board, move.from, move.to, lastMove, move.promotionPiece || 'queen').board;
+    }
+
+    variantState = updateVariantState(variant, variantState, move);
+    lastMove = move;
+    return san;
+  });
+};
+
+/**
+ * Serializes a chess game to PGN.
+ * @param {Object} game - The game object (as stored in Firestore)
+ * @returns {string} PGN text
+ */
+export const gameToPgn = (game) => {
+  return formatPgn(getPgnTags(game), getMoveTokens(getSanMoves(game), game.startFen));
+};
+
+/**
+ * Splits PGN text into tags and SAN move tokens.
+ * Comments, variations, NAGs and move numbers are skipped.
+ * @param {string} pgn - PGN text (only the first game is read)
+ * @returns {Object} { tags, sanMoves, result }
+ * @throws {Error} If the PGN text is malformed
+ */
+export const parsePgn = (pgn) => {
+  const tags = {};
+  const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+  const lines = pgn.replace(/\r\n?/g, '\n').split('\n');
+  let index = 0;
+
+  // Tag section
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+
+    if (!line) {
+      if (Object.keys(tags).length > 0) break;
+      continue;
+    }
+
+    const match = line.match(tagPattern);
+    if (!match) break;
+
+    tags[match[1]] = match[2].replace(/\\(.)/g, '$1');
+  }
+
+  // Movetext section, without rest-of-line comments
+  const movetext = lines
+    .slice(index)
+    .map(line => (line.startsWith('%') ? '' : line.replace(/;.*$/, '')))
+    .join(' ');
+
+  const sanMoves = [];
+  let result = tags.Result || '*';
+  let depth = 0;
+  const tokenPattern = /\{[^}]*\}|\(|\)|\$\d+|\d+\.(?:\.\.)?|1-0|0-1|1\/2-1\/2|\*|[^\s(){}]+/g;
+
+  for (const [token] of movetext.matchAll(tokenPattern)) {
+    if (token === '(') {
+      depth++;
+      continue;
+    }
+
+    if (token === ')') {
+      depth--;
+      if (depth < 0) throw new Error('Invalid PGN: unbalanced variation');
+      continue;
+    }
+
+    if (depth > 0 || token.startsWith('{') || token.startsWith('$') || /^\d+\.+$/.test(token)) {
+      continue;
+    }
+
+    if (['1-0', '0-1', '1/2-1/2', '*'].includes(token)) {
+      result = token;
+      break;
+    }
+
+    // Move numbers may be glued to the move, e.g. "1.e4"
+    const san = token.replace(/^\d+\.+/, '');
+    if (san) sanMoves.push(san);
+  }
+
+  if (depth !== 0) {
+    throw new Error('Invalid PGN: unbalanced variation');
+  }
+
+  return { tags, sanMoves, result };
+};
+
+/**
+ * Imports a PGN game by replaying its moves through ChessGame.
+ * The returned object uses the same fields as a chess game document.
+ * @param {string} pgn - PGN text
+ * @param {Object} options - Import options
+ * @param {Function} options.onMove - Called with (chess, move, ply) after every move, e.g. to build move documents
+ * @returns {Object} { tags, variant, startFen, board, currentTurn, lastMove, moves, notation, positionHashes, variantState, winner, winReason, chess }
+ * @throws {Error} If the PGN is malformed, contains an illegal move or uses an unsupported variant
+ */
+export const pgnToGame = (pgn, { onMove = () => {} } = {}) => {
+  const { tags, sanMoves, result } = parsePgn(pgn);
+  const variant = getVariantByPgnName(tags.Variant);
+  const startFen = tags.FEN || null;
+  const chess = new ChessGame(startFen, { variant: variant.id });
+
+  // Moves are numbered from the start position, which may have Black to move
+  const firstMoveNumber = chess.fullMoveNumber();
+  const blackFirst = chess.turn() === 'black' ? 1 : 0;
+
+  sanMoves.forEach((san, index) => {
+    let move;
+
+    try {
+      move = chess.move(san);
+    } catch (error) {
+      const moveNumber = firstMoveNumber + Math.floor((index + blackFirst) / 2);
+      throw new Error(`Invalid PGN at move ${moveNumber}: ${error.message}`);
+    }
+
+    onMove(chess, move, index + 1);
+  });
+
+  const winners = { '1-0': 'white', '0-1': 'black', '1/2-1/2': 'draw' };
+  const moves = chess.history();
+
+  return {
+    tags,
+    variant: variant.id,
+    startFen,
+    board: chess.board(),
+    currentTurn: chess.turn(),
+    lastMove: chess.lastMove(),
+    moves,
+    notation: moves.map(move => move.san),
+    positionHashes: chess.positionHashes(),
+    variantState: chess.variantState(),
+    winner: winners[result] || null,
+    winReason: winners[result] ? (tags.Termination || 'Imported') : null,
+    // The game at its final position, for callers that need more than the stored fields
+    chess
+  };
+};
@@ -0,0 +1,131 @@
+/**
+ * PGN export and import, and the round-trip between them.
+ */
+
+import { gameToPgn, parsePgn, pgnToGame } from './pgn';
+import { boardToFen } from './fen';
+import { ChessGame } from './game';
+
+// Stored moves only need their squares, e.g. 'e2-e4 e7-e5'
+const toMoves = (line) => line.split(' ').map(move => {
+  const [from, to] = move.split('-');
+  return { from, to };
+});
+
+describe('PGN export', () => {
+  test('writes the Seven Tag Roster first and numbers the moves', () => {
+    const pgn = gameToPgn({
+      status: 'completed',
+      winner: 'white',
+      winReason: 'Checkmate',
+      whitePlayer: { displayName: 'Alice' },
+      blackPlayer: { displayName: 'Bob' },
+      createdAt: new Date(2024, 0, 5),
+      moves: toMoves('e2-e4 e7-e5 d1-h5 b8-c6 f1-c4 g8-f6 h5-f7')
+    });
+
+    expect(pgn).toBe([
+      '[Event "Online Chess"]',
+      '[Site "https://yanchen184.github.io/firebase-chess-online"]',
+      '[Date "2024.01.05"]',
+      '[Round "-"]',
+      '[White "Alice"]',
+      '[Black "Bob"]',
+      '[Result "1-0"]',
+      '[Termination "Checkmate"]',
+      '',
+      '1. e4 e5 2. Qh5 Nc6 3. Bc4 Nf6 4. Qxf7# 1-0',
+      ''
+    ].join('\n'));
+  });
+
+  test('a game starting with Black to move opens with an ellipsis', () => {
+    const startFen = 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1';
+    const pgn = gameToPgn({ status: 'active', startFen, moves: toMoves('c7-c5 g1-f3') });
+
+    expect(pgn).toContain('[SetUp "1"]\n[FEN "' + startFen + '"]');
+    expect(pgn).toContain('\n1... c5 2. Nf3 *\n');
+  });
+
+  test('long movetext is wrapped at 80 columns', () => {
+    const knightDance = Array(12).fill('g1-f3 g8-f6 f3-g1 f6-g8').join(' ');
+    const movetext = gameToPgn({ moves: toMoves(knightDance) }).split('\n\n')[1];
+
+    expect(movetext.trim().split('\n').length).toBeGreaterThan(1);
+    movetext.split('\n').forEach(line => expect(line.length).toBeLessThanOrEqual(80));
+  });
+});
+
+describe('PGN import', () => {
+  test('skips comments, variations, NAGs and move numbers', () => {
+    const { tags, sanMoves, result } = parsePgn([
+      '[White "Alice \\"the Rook\\""]',
+      '[Result "1/2-1/2"]',
+      '',
+      '1.e4 {best by test} e5 2. Nf3 $1 (2. f4 exf4 (2... d5)) 2... Nc6 ; a comment',
+      '% an escaped line',
+      '3. Bb5 1/2-1/2'
+    ].join('\n'));
+
+    expect(tags.White).toBe('Alice "the Rook"');
+    expect(sanMoves).toEqual(['e4', 'e5', 'Nf3', 'Nc6', 'Bb5']);
+    expect(result).toBe('1/2-1/2');
+  });
+
+  test('reports the move number of an illegal move', () => {
+    expect(() => pgnToGame('1. e4 e5 2. Ke3 Nc6 *')).toThrow('Invalid PGN at move 2');
+  });
+
+  test('numbers moves from a start position with Black to move', () => {
+    const pgn = [
+      '[SetUp "1"]',
+      '[FEN "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 7"]',
+      '',
+      '7... c5 8. Nf3 Ke6 *'
+    ].join('\n');
+
+    expect(() => pgnToGame(pgn)).toThrow('Invalid PGN at move 8');
+  });
+
+  test('rejects unbalanced variations and unknown variants', () => {
+    expect(() => parsePgn('1. e4 (1. d4 e5 *')).toThrow('unbalanced variation');
+    expect(() => pgnToGame('[Variant "Suicide"]\n\n1. e4 *')).toThrow('Unsupported variant');
+  });
+});
+
+describe('PGN round-trip', () => {
+  test('an exported game imports to the same moves, players, result and position', () => {
+    const moves = toMoves('d2-d4 g8-f6 c2-c4 e7-e6 b1-c3 f8-b4 e2-e3 e8-g8 f1-d3 d7-d5 c4-d5 e6-d5 g1-e2 f8-e8');
+    const pgn = gameToPgn({
+      status: 'completed',
+      winner: 'draw',
+      winReason: 'Agreement',
+      whitePlayer: { displayName: 'Alice "the Rook"' },
+      blackPlayer: { displayName: 'Bob' },
+      moves
+    });
+    const imported = pgnToGame(pgn);
+
+    // The c3 knight is pinned, so the e2 knight needs no disambiguation
+    expect(imported.notation).toEqual([
+      'd4', 'Nf6', 'c4', 'e6', 'Nc3', 'Bb4', 'e3', 'O-O', 'Bd3', 'd5', 'cxd5', 'exd5', 'Ne2', 'Re8'
+    ]);
+    expect(imported.tags.White).toBe('Alice "the Rook"');
+    expect(imported.winner).toBe('draw');
+    expect(imported.winReason).toBe('Agreement');
+    expect(boardToFen(imported.board, { currentTurn: imported.currentTurn }))
+      .toBe('rnbqr1k1/ppp2ppp/5n2/3p4/1b1P4/2NBP3/PP2NPPP/R1BQK2R w KQ - 0 1');
+  });
+
+  test('a Chess960 game keeps its variant, start position and castling', () => {
+    const startFen = 'rk4r1/pppppppp/8/8/8/8/PPPPPPPP/RKR5 w KQkq - 0 1';
+    const chess = new ChessGame(startFen, { variant: 'chess960' });
+    ['O-O', 'O-O-O'].forEach(san => chess.move(san));
+    const imported = pgnToGame(chess.pgn());
+
+    expect(imported.variant).toBe('chess960');
+    expect(imported.startFen).toBe(startFen);
+    expect(imported.notation).toEqual(['O-O', 'O-O-O']);
+    expect(imported.board).toEqual(chess.board());
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Premoves: moves a player queues while the opponent is thinking, played as
+ * soon as it is their turn again. The opponent's reply is not known yet, so
+ * premoves only follow the way the pieces move (they are pseudo-legal); a
+ * premove that turns out to be illegal is dropped when its turn comes.
+ */
+
+import { getPieceAtPosition } from './board';
+import { calculatePieceMoves } from './moves';
+import { applyMove } from './rules';
+
+/**
+ * Gets the squares a piece may be premoved to.
+ * @param {Array} board - The board with the queued premoves already applied
+ * @param {string} position - The piece's square
+ * @returns {Array} Target squares
+ */
+export const getPremoveTargets = (board, position) => {
+  const piece = getPieceAtPosition(board, position);
+
+  if (!piece) return [];
+
+  const targets = calculatePieceMoves(board, position, piece);
+
+  // A pawn may capture whatever the opponent moves onto its diagonals
+  if (piece.type === 'pawn') {
+    targets.push(...calculatePieceMoves(board, position, piece, null, true));
+  }
+
+  return [...new Set(targets)];
+};
+
+/**
+ * Gets the board as it will look once the queued premoves are played,
+ * leaving the opponent's pieces where they are.
+ * @param {Array} board - The board array
+ * @param {Array} premoves - Queued moves, { from, to, promotionPiece } each
+ * @returns {Array} The new board
+ */
+export const applyPremoves = (board, premoves) => {
+  return premoves.reduce(
+    (current, { from, to, promotionPiece }) => applyMove(current, from, to, null, promotionPiece || 'queen').board,
+    board
+  );
+};
@@ -0,0 +1,32 @@
+/**
+ * Premove targets and the board after queued premoves.
+ */
+
+import { getPremoveTargets, applyPremoves } from './premoves';
+import { getPieceAtPosition } from './board';
+import { fenToBoard } from './fen';
+
+describe('premoves', () => {
+  test('pawns may be premoved onto every diagonal, occupied or not', () => {
+    const { board } = fenToBoard('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 0 1');
+
+    expect(getPremoveTargets(board, 'e2').sort()).toEqual(['d3', 'e3', 'e4', 'f3']);
+    expect(getPremoveTargets(board, 'e4')).toEqual([]);
+  });
+
+  test('queued premoves build on each other', () => {
+    const { board } = fenToBoard('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 0 1');
+    const premoved = applyPremoves(board, [{ from: 'e2', to: 'e4' }, { from: 'f1', to: 'c4' }]);
+
+    expect(getPieceAtPosition(premoved, 'c4')).toMatchObject({ type: 'bishop', color: 'white' });
+    expect(getPieceAtPosition(premoved, 'e2')).toBeNull();
+    expect(getPremoveTargets(premoved, 'g1')).toContain('e2');
+  });
+
+  test('a premoved promotion becomes the chosen piece', () => {
+    const { board } = fenToBoard('7k/P7/8/8/8/8/8/K7 b - - 0 1');
+    const premoved = applyPremoves(board, [{ from: 'a7', to: 'a8', promotionPiece: 'knight' }]);
+
+    expect(getPieceAtPosition(premoved, 'a8')).toMatchObject({ type: 'knight', color: 'white' });
+  });
+});
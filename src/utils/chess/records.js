@@ -0,0 +1,54 @@
+/**
+ * Firestore fields for chess games, shared by the client and the Cloud
+ * Functions so both store positions and moves in the same shape.
+ * Timestamps are left to the caller because each SDK has its own.
+ */
+
+/**
+ * Gets the current-position fields stored on a chess game document.
+ * Only the latest position is kept; the moves live in games/{id}/moves.
+ * @param {ChessGame} chess - The game
+ * @returns {Object} Fields for the game document
+ */
+export const getPositionFields = (chess) => {
+  const lastMove = chess.lastMove();
+
+  return {
+    board: chess.board(),
+    currentTurn: chess.turn(),
+    lastMove: lastMove ? { from: lastMove.from, to: lastMove.to, piece: lastMove.piece } : null,
+    halfMoveClock: chess.halfMoveClock(),
+    fullMoveNumber: chess.fullMoveNumber(),
+    // Earlier positions can never repeat, so they are not kept
+    positionHashes: chess.repeatablePositionHashes(),
+    variantState: chess.variantState()
+  };
+};
+
+/**
+ * Builds the document stored in games/{id}/moves for one ply.
+ * @param {ChessGame} chess - The game, after the move was played
+ * @param {Object} move - The move record returned by ChessGame.move
+ * @param {number} ply - The ply number, starting at 1
+ * @returns {Object} The move document, without createdAt
+ */
+export const getMoveRecord = (chess, move, ply) => ({
+  ply,
+  color: move.piece.color,
+  piece: move.piece.type,
+  from: move.from,
+  to: move.to,
+  promotionPiece: move.promotionPiece || null,
+  drop: move.drop || null,
+  captured: move.capturedPiece ? move.capturedPiece.type : null,
+  san: move.san,
+  fen: chess.fen(),
+  hash: chess.hash()
+});
+
+/**
+ * Gets the ID of a move document. IDs are zero-padded so they sort by ply.
+ * @param {number} ply - The ply number
+ * @returns {string} The document ID
+ */
+export const getMoveId = (ply) => String(ply).padStart(4, '0');
@@ -0,0 +1,221 @@
+/**
+ * Post-game review: every position of a finished game is searched with the
+ * computer player's engine, and each move is scored by its centipawn loss,
+ * how much worse it left the mover than the engine's choice would have.
+ * Meant to run in a Web Worker (see review.worker.js).
+ */
+
+import { ChessGame } from './game';
+import { isInCheck } from './rules';
+import { findBestMove } from './search';
+import { getGameVariant } from './variants';
+import { getPlayerColor } from './utils';
+
+// Centipawn loss from which a move counts as an inaccuracy, a mistake or a blunder
+export const REVIEW_THRESHOLDS = {
+  inaccuracy: 50,
+  mistake: 100,
+  blunder: 300
+};
+
+// Annotation symbols for the classifications
+export const REVIEW_SYMBOLS = {
+  inaccuracy: '?!',
+  mistake: '?',
+  blunder: '??'
+};
+
+// The engine only knows the standard rules (Chess960 castling included)
+export const REVIEW_VARIANTS = ['standard', 'chess960'];
+
+// Plies the evaluations shown to spectators lag behind a game in progress,
+// for games created without their own delay
+export const DEFAULT_SPECTATOR_DELAY = 2;
+
+// Search per position: a fixed depth without a time limit, so every review of a
+// game comes out the same however fast the reviewing device is
+const REVIEW_SEARCH = { depth: 3, timeMs: Infinity };
+
+// Scores are capped so a missed mate counts as a large loss rather than an endless one
+const SCORE_CAP = 1000;
+
+const capScore = (score) => Math.max(-SCORE_CAP, Math.min(SCORE_CAP, score));
+
+/**
+ * Searches a position.
+ * @param {Object} position - { board, currentTurn, lastMove }
+ * @param {Object} options - Search options (see findBestMove)
+ * @returns {Object} { score, bestMove } with the score for the side to move
+ */
+const searchPosition = (position, options) => {
+  const result = findBestMove(position, options);
+
+  // No legal moves: checkmate or stalemate
+  if (!result) {
+    return { score: isInCheck(position.board, position.currentTurn) ? -SCORE_CAP : 0, bestMove: null };
+  }
+
+  return {
+    score: capScore(result.score),
+    bestMove: { from: result.from, to: result.to, promotionPiece: result.promotionPiece || null }
+  };
+};
+
+/**
+ * Evaluates a position, e.g. for the evaluation bar.
+ * @param {Object} position - { board, currentTurn, lastMove }
+ * @param {Object} options - Search options (see findBestMove), the review's by default
+ * @returns {number} Score in centipawns from White's point of view
+ */
+export const evaluatePosition = (position, options = REVIEW_SEARCH) => {
+  const { score } = searchPosition(position, options);
+  return position.currentTurn === 'white' ? score : -score;
+};
+
+/**
+ * Gets how far into a game a user may see engine evaluations. For fair play
+ * the players get none until their game is over, and spectators only up to
+ * the game's spectator delay before the latest move.
+ * @param {Object} game - Game data
+ * @param {string} userId - The viewing user's ID
+ * @returns {number|null} The last ply that may be evaluated (Infinity for all), or null for none
+ */
+export const getEvaluationLimit = (game, userId) => {
+  if (!REVIEW_VARIANTS.includes(getGameVariant(game).id)) return null;
+  if (game.status === 'completed') return Infinity;
+  if (getPlayerColor(userId, game)) return null;
+
+  return Math.max(0, (game.ply || 0) - (game.spectatorDelay ?? DEFAULT_SPECTATOR_DELAY));
+};
+
+/**
+ * Gets the SAN of a move without playing it.
+ * @param {ChessGame} chess - The game at the position
+ * @param {Object} move - { from, to, promotionPiece }
+ * @returns {string} The move in SAN
+ */
+const getMoveSan = (chess, move) => {
+  const { san } = chess.move(move);
+  chess.undo();
+  return san;
+};
+
+/**
+ * Classifies a move by its centipawn loss.
+ * @param {number} loss - Centipawn loss
+ * @returns {string|null} 'blunder', 'mistake', 'inaccuracy', or null for a good move
+ */
+export const classifyMove = (loss) => {
+  if (loss >= REVIEW_THRESHOLDS.blunder) return 'blunder';
+  if (loss >= REVIEW_THRESHOLDS.mistake) return 'mistake';
+  if (loss >= REVIEW_THRESHOLDS.inaccuracy) return 'inaccuracy';
+  return null;
+};
+
+/**
+ * Converts a score to a winning chance, so that losing 100 centipawns in an
+ * even position weighs more than in a position that is already won.
+ * @param {number} score - Score in centipawns
+ * @returns {number} Winning chance, 0 to 100
+ */
+export const getWinChance = (score) => 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * score)) - 1);
+
+/**
+ * Gets the accuracy of a move from the mover's scores before and after it.
+ * @param {number} before - Score before the move
+ * @param {number} after - Score after the move
+ * @returns {number} Accuracy, 0 to 100
+ */
+const getMoveAccuracy = (before, after) => {
+  const drop = Math.max(0, getWinChance(before) - getWinChance(after));
+  return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * drop) - 3.1669));
+};
+
+/**
+ * Formats a score for display, in pawns from White's point of view.
+ * @param {number} score - Score in centipawns
+ * @returns {string} e.g. "+1.25" or "-0.40"
+ */
+export const formatEvaluation = (score) => {
+  return `${score > 0 ? '+' : ''}${(score / 100).toFixed(2)}`;
+};
+
+/**
+ * Reviews a game move by move.
+ * @param {Object} game - Game data with startFen and variant
+ * @param {Array} moves - The game's moves, { from, to, promotionPiece } each
+ * @param {Object} options - Review options
+ * @param {Function} options.onProgress - Called with (reviewed, total) after every move
+ * @param {number} options.depth - Search depth (for tests)
+ * @param {number} options.timeMs - Search time per position (for tests)
+ * @returns {Object} { evaluation, plies, summary }: the starting evaluation; per ply
+ *   the move number, SAN, evaluation after it, best move, loss, classification and
+ *   accuracy; and per color the accuracy and the number of inaccuracies, mistakes
+ *   and blunders. Evaluations are in centipawns from White's point of view.
+ * @throws {Error} If the variant cannot be reviewed or a move is illegal
+ */
+export const reviewGame = (game, moves, { onProgress = () => {}, ...searchOptions } = {}) => {
+  const variant = getGameVariant(game);
+
+  if (!REVIEW_VARIANTS.includes(variant.id)) {
+    throw new Error(`Cannot review ${variant.id} games`);
+  }
+
+  const options = { ...REVIEW_SEARCH, ...searchOptions };
+  const chess = new ChessGame(game.startFen, { variant: variant.id });
+  const startColor = chess.turn();
+  const plies = [];
+  const search = () => searchPosition(
+    { board: chess.board(), currentTurn: chess.turn(), lastMove: chess.lastMove() },
+    options
+  );
+  let before = search();
+  const evaluation = startColor === 'white' ? before.score : -before.score;
+
+  moves.forEach((move, index) => {
+    const color = chess.turn();
+    const moveNumber = chess.fullMoveNumber();
+    const bestSan = before.bestMove && getMoveSan(chess, before.bestMove);
+    const { san } = chess.move({ from: move.from, to: move.to, promotionPiece: move.promotionPiece });
+    const after = search();
+
+    // The engine's own choice loses nothing, whatever the deeper search says
+    const played = san === bestSan ? before.score : -after.score;
+    const loss = Math.max(0, before.score - played);
+
+    plies.push({
+      ply: index + 1,
+      moveNumber,
+      color,
+      san,
+      evaluation: color === 'white' ? -after.score : after.score,
+      bestMove: bestSan,
+      loss,
+      classification: classifyMove(loss),
+      accuracy: Math.round(getMoveAccuracy(before.score, played) * 10) / 10
+    });
+
+    before = after;
+    onProgress(index + 1, moves.length);
+  });
+
+  const summarize = (color) => {
+    const own = plies.filter(ply => ply.color === color);
+    const count = (classification) => own.filter(ply => ply.classification === classification).length;
+
+    return {
+      accuracy: own.length > 0
+        ? Math.round(own.reduce((sum, ply) => sum + ply.accuracy, 0) / own.length * 10) / 10
+        : null,
+      inaccuracies: count('inaccuracy'),
+      mistakes: count('mistake'),
+      blunders: count('blunder')
+    };
+  };
+
+  return {
+    evaluation,
+    plies,
+    summary: { white: summarize('white'), black: summarize('black') }
+  };
+};
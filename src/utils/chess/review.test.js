@@ -0,0 +1,84 @@
+/**
+ * Post-game review.
+ */
+
+import { reviewGame, classifyMove, getEvaluationLimit } from './review';
+
+const review = (startFen, moves, options = {}) =>
+  reviewGame({ startFen }, moves, { depth: 2, timeMs: 10000, ...options });
+
+describe('classifyMove', () => {
+  test('uses the centipawn loss thresholds', () => {
+    expect(classifyMove(0)).toBeNull();
+    expect(classifyMove(49)).toBeNull();
+    expect(classifyMove(50)).toBe('inaccuracy');
+    expect(classifyMove(100)).toBe('mistake');
+    expect(classifyMove(300)).toBe('blunder');
+  });
+});
+
+describe('reviewGame', () => {
+  test('flags a missed capture as a blunder and gives the best move', () => {
+    const result = review('4k3/8/8/3q4/8/8/3R4/4K3 w - - 0 1', [{ from: 'd2', to: 'd3' }]);
+    const [ply] = result.plies;
+
+    expect(ply).toMatchObject({ ply: 1, color: 'white', san: 'Rd3', bestMove: 'Rxd5', classification: 'blunder' });
+    expect(ply.loss).toBeGreaterThanOrEqual(300);
+    expect(result.summary.white).toMatchObject({ blunders: 1, mistakes: 0, inaccuracies: 0 });
+    expect(result.summary.white.accuracy).toBeLessThan(50);
+    expect(result.summary.black.accuracy).toBeNull();
+  });
+
+  test('the best move loses nothing', () => {
+    const result = review('4k3/8/8/3q4/8/8/3R4/4K3 w - - 0 1', [{ from: 'd2', to: 'd5' }]);
+
+    expect(result.plies[0]).toMatchObject({ san: 'Rxd5', loss: 0, classification: null, accuracy: 100 });
+    expect(result.plies[0].evaluation).toBeGreaterThan(0);
+  });
+
+  test('scores checkmate as won for the mating side', () => {
+    const result = review('6k1/5ppp/8/8/8/8/5PPP/R5K1 w - - 0 1', [{ from: 'a1', to: 'a8' }]);
+
+    expect(result.plies[0]).toMatchObject({ san: 'Ra8#', classification: null });
+    expect(result.plies[0].evaluation).toBe(1000);
+  });
+
+  test('reports progress after every move', () => {
+    const onProgress = jest.fn();
+    review(null, [{ from: 'e2', to: 'e4' }, { from: 'e7', to: 'e5' }], { depth: 1, onProgress });
+
+    expect(onProgress.mock.calls).toEqual([[1, 2], [2, 2]]);
+  });
+
+  test('rejects variants the engine does not know', () => {
+    expect(() => reviewGame({ variant: 'atomic' }, [])).toThrow('Cannot review atomic games');
+  });
+});
+
+describe('getEvaluationLimit', () => {
+  const game = {
+    status: 'active',
+    ply: 10,
+    whitePlayer: { uid: 'white-uid' },
+    blackPlayer: { uid: 'black-uid' }
+  };
+
+  test('gives the players nothing while the game is on', () => {
+    expect(getEvaluationLimit(game, 'white-uid')).toBeNull();
+    expect(getEvaluationLimit(game, 'black-uid')).toBeNull();
+  });
+
+  test('delays spectators by the game\'s spectator delay', () => {
+    expect(getEvaluationLimit(game, 'spectator-uid')).toBe(8);
+    expect(getEvaluationLimit({ ...game, spectatorDelay: 4 }, 'spectator-uid')).toBe(6);
+    expect(getEvaluationLimit({ ...game, spectatorDelay: 0 }, 'spectator-uid')).toBe(10);
+  });
+
+  test('shows everything after the game', () => {
+    expect(getEvaluationLimit({ ...game, status: 'completed' }, 'white-uid')).toBe(Infinity);
+  });
+
+  test('shows nothing for variants the engine does not know', () => {
+    expect(getEvaluationLimit({ ...game, status: 'completed', variant: 'atomic' }, 'white-uid')).toBeNull();
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Web Worker that runs a post-game review off the main thread.
+ * Receives { id, game, moves }, replies with { id, progress } after every
+ * move and finally with { id, review }, or { id, error } if it failed.
+ */
+
+import { reviewGame } from './review';
+
+onmessage = (event) => {
+  const { id, game, moves } = event.data;
+
+  try {
+    const review = reviewGame(game, moves, {
+      onProgress: (reviewed, total) => postMessage({ id, progress: { reviewed, total } })
+    });
+
+    postMessage({ id, review });
+  } catch (error) {
+    postMessage({ id, error: error.message });
+  }
+};
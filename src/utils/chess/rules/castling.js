@@ -1,11 +1,75 @@
 /**
  * Castling related functions
+ *
+ * Castling follows the Chess960 rules, which include standard chess: the king
+ * and the castling rook may start anywhere on the back rank, and they always
+ * land on the g and f files (kingside) or the c and d files (queenside).
+ * A castling move is written as the king moving two squares when the king
+ * starts on the e-file and the rook in the corner, as in standard chess, and
+ * otherwise as the king moving onto its own rook, which is never ambiguous.
  */
 
 import { getPieceAtPosition, setPieceAtPosition } from '../board';
 import { positionToIndices, indicesToPosition } from '../utils';
 import { isInCheck, isPositionUnderAttack } from './check';
 
+// Columns the king and rook end up on
+const CASTLING_TARGETS = {
+  kingside: { king: 6, rook: 5 },
+  queenside: { king: 2, rook: 3 }
+};
+
+/**
+ * Finds the rook a king would castle with in a given direction: the
+ * outermost unmoved rook of the king's color on that side of the king.
+ * @param {Array} board - The board array
+ * @param {string} kingPosition - Position of the king
+ * @param {string} direction - 'kingside' or 'queenside'
+ * @returns {string|null} Position of the rook, or null if there is none
+ */
+export const findCastlingRook = (board, kingPosition, direction) => {
+  const [kingRow, kingCol] = positionToIndices(kingPosition);
+  const king = getPieceAtPosition(board, kingPosition);
+  
+  if (!king) return null;
+  
+  const step = direction === 'kingside' ? 1 : -1;
+  let rookPosition = null;
+  
+  for (let col = kingCol + step; col >= 0 && col <= 7; col += step) {
+    const pos = indicesToPosition(kingRow, col);
+    const piece = getPieceAtPosition(board, pos);
+    
+    if (piece && piece.type === 'rook' && piece.color === king.color && !piece.hasMoved) {
+      rookPosition = pos;
+    }
+  }
+  
+  return rookPosition;
+};
+
+/**
+ * Gets the destination square used to write a castling move (see above).
+ * @param {Array} board - The board array
+ * @param {string} kingPosition - Position of the king
+ * @param {string} direction - 'kingside' or 'queenside'
+ * @returns {string|null} The square the king is moved to, or null if there is no castling rook
+ */
+export const getCastlingSquare = (board, kingPosition, direction) => {
+  const rookPosition = findCastlingRook(board, kingPosition, direction);
+  
+  if (!rookPosition) return null;
+  
+  const [kingRow, kingCol] = positionToIndices(kingPosition);
+  const [, rookCol] = positionToIndices(rookPosition);
+  
+  if (kingCol === 4 && rookCol === (direction === 'kingside' ? 7 : 0)) {
+    return indicesToPosition(kingRow, CASTLING_TARGETS[direction].king);
+  }
+  
+  return rookPosition;
+};
+
 /**
  * Checks if castling is possible in a given direction.
  * @param {Array} board - The board array
@@ -24,46 +88,51 @@ export const canCastle = (board, kingPosition, direction) => {
   
   const color = king.color;
   
-  // Check if king is in check
-  if (isInCheck(board, color)) {
+  // The king must still be on its back rank
+  if (kingRow !== (color === 'white' ? 7 : 0)) {
     return false;
   }
   
-  // Determine rook position and squares to check
-  const rookCol = direction === 'kingside' ? 7 : 0;
-  const rookPosition = indicesToPosition(kingRow, rookCol);
-  const rook = getPieceAtPosition(board, rookPosition);
-  
   // Check if rook exists and has not moved
-  if (!rook || rook.type !== 'rook' || rook.color !== color || rook.hasMoved) {
+  const rookPosition = findCastlingRook(board, kingPosition, direction);
+  if (!rookPosition) {
     return false;
   }
   
-  // Check if squares between king and rook are empty
-  const step = direction === 'kingside' ? 1 : -1;
-  const limit = direction === 'kingside' ? rookCol - 1 : rookCol + 1;
+  // Check if king is in check
+  if (isInCheck(board, color)) {
+    return false;
+  }
   
-  for (let col = kingCol + step; direction === 'kingside' ? col <= limit : col >= limit; col += step) {
+  // Every square either piece passes over or lands on must be empty,
+  // apart from the king and the castling rook themselves
+  const [, rookCol] = positionToIndices(rookPosition);
+  const targets = CASTLING_TARGETS[direction];
+  const minCol = Math.min(kingCol, rookCol, targets.king, targets.rook);
+  const maxCol = Math.max(kingCol, rookCol, targets.king, targets.rook);
+  
+  for (let col = minCol; col <= maxCol; col++) {
     const pos = indicesToPosition(kingRow, col);
-    if (getPieceAtPosition(board, pos)) {
+    if (pos !== kingPosition && pos !== rookPosition && getPieceAtPosition(board, pos)) {
       return false;
     }
   }
   
   // Check if king passes through or ends on an attacked square
   const opponentColor = color === 'white' ? 'black' : 'white';
+  const firstCol = Math.min(kingCol, targets.king);
+  const lastCol = Math.max(kingCol, targets.king);
   
-  // King moves 2 squares during castling
-  for (let step = 1; step <= 2; step++) {
-    const col = kingCol + (direction === 'kingside' ? step : -step);
+  for (let col = firstCol; col <= lastCol; col++) {
     const pos = indicesToPosition(kingRow, col);
     
-    if (isPositionUnderAttack(board, pos, opponentColor)) {
+    if (col !== kingCol && isPositionUnderAttack(board, pos, opponentColor)) {
       return false;
     }
   }
   
-  return true;
+  // In Chess960 the rook can move out of a line of attack onto the king
+  return !isInCheck(applyCastling(board, kingPosition, direction), color);
 };
 
 /**
@@ -74,23 +143,19 @@ export const canCastle = (board, kingPosition, direction) => {
  * @returns {Array} New board after castling
  */
 export const applyCastling = (board, kingPosition, direction) => {
-  const [kingRow, kingCol] = positionToIndices(kingPosition);
+  const [kingRow] = positionToIndices(kingPosition);
   const king = getPieceAtPosition(board, kingPosition);
+  const rookPosition = findCastlingRook(board, kingPosition, direction);
   
-  if (!king) return board;
+  if (!king || !rookPosition) return board;
   
-  // Determine new positions
-  const rookCol = direction === 'kingside' ? 7 : 0;
-  const rookPosition = indicesToPosition(kingRow, rookCol);
   const rook = getPieceAtPosition(board, rookPosition);
   
-  const newKingCol = kingCol + (direction === 'kingside' ? 2 : -2);
-  const newKingPosition = indicesToPosition(kingRow, newKingCol);
-  
-  const newRookCol = direction === 'kingside' ? newKingCol - 1 : newKingCol + 1;
-  const newRookPosition = indicesToPosition(kingRow, newRookCol);
+  // Determine new positions
+  const newKingPosition = indicesToPosition(kingRow, CASTLING_TARGETS[direction].king);
+  const newRookPosition = indicesToPosition(kingRow, CASTLING_TARGETS[direction].rook);
   
-  // Apply the move
+  // Apply the move; both pieces are lifted first as their squares can overlap
   let newBoard = setPieceAtPosition(board, kingPosition, null);
   newBoard = setPieceAtPosition(newBoard, rookPosition, null);
   
@@ -105,19 +170,29 @@ export const applyCastling = (board, kingPosition, direction) => {
  * @param {string} from - Starting position
  * @param {string} to - Ending position
  * @param {Object} piece - The piece being moved
+ * @param {Array} board - The board array, needed to recognize the king moving onto its own rook
  * @returns {Object|null} Castling info or null if not castling
  */
-export const isCastlingMove = (from, to, piece) => {
+export const isCastlingMove = (from, to, piece, board = null) => {
   if (!piece || piece.type !== 'king') return null;
   
   const [fromRow, fromCol] = positionToIndices(from);
   const [toRow, toCol] = positionToIndices(to);
   
+  if (fromRow !== toRow) return null;
+  
+  const direction = toCol > fromCol ? 'kingside' : 'queenside';
+  
+  // King moves onto its own rook
+  const target = board && getPieceAtPosition(board, to);
+  if (target && target.type === 'rook' && target.color === piece.color) {
+    return { direction };
+  }
+  
   // King moves 2 squares horizontally
-  if (fromRow === toRow && Math.abs(fromCol - toCol) === 2) {
-    const direction = toCol > fromCol ? 'kingside' : 'queenside';
+  if (Math.abs(fromCol - toCol) === 2) {
     return { direction };
   }
   
   return null;
-};
\ No newline at end of file
+};
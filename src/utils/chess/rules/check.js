@@ -4,6 +4,7 @@
 
 import { findKingPosition, getPieceAtPosition, setPieceAtPosition } from '../board';
 import { calculatePieceMoves } from '../moves';
+import { isCastlingMove, applyCastling } from './castling';
 
 /**
  * Checks if a position is under attack by the opponent.
@@ -58,8 +59,21 @@ export const wouldMoveResultInCheck = (board, from, to, color) => {
   
   if (!piece) return true; // Should not happen
   
+  // Castling moves the rook as well, which can open a line onto the king
+  const castlingInfo = isCastlingMove(from, to, piece, board);
+  if (castlingInfo) {
+    return isInCheck(applyCastling(board, from, castlingInfo.direction), color);
+  }
+  
   // Apply the move
-  const newBoard = setPieceAtPosition(tempBoard, from, null);
+  let newBoard = setPieceAtPosition(tempBoard, from, null);
+  
+  // An en passant capture also removes the pawn beside the starting square,
+  // which can expose the king along the rank
+  if (piece.type === 'pawn' && from[0] !== to[0] && !getPieceAtPosition(board, to)) {
+    newBoard = setPieceAtPosition(newBoard, to[0] + from[1], null);
+  }
+  
   const finalBoard = setPieceAtPosition(newBoard, to, { ...piece, hasMoved: true });
   
   // Find king position after the move
@@ -72,6 +86,44 @@ export const wouldMoveResultInCheck = (board, from, to, color) => {
   return isPositionUnderAttack(finalBoard, kingPosition, opponentColor);
 };
 
+/**
+ * Generates all legal moves for a player.
+ * Pawn moves to the last rank are expanded into one move per promotion piece.
+ * @param {Array} board - The board array
+ * @param {string} color - The color to move
+ * @param {Object} lastMove - The last move made (for en passant)
+ * @returns {Array} Array of { from, to, promotionPiece } objects
+ */
+export const getLegalMoves = (board, color, lastMove = null) => {
+  const legalMoves = [];
+  const pieces = board.filter(cell => 
+    cell.piece && cell.piece.color === color
+  );
+  
+  for (const cell of pieces) {
+    const moves = calculatePieceMoves(board, cell.position, cell.piece, lastMove);
+    
+    for (const move of moves) {
+      if (wouldMoveResultInCheck(board, cell.position, move, color)) {
+        continue;
+      }
+      
+      // Pawns reaching the last rank must promote
+      const isPromotion = cell.piece.type === 'pawn' && (move[1] === '1' || move[1] === '8');
+      
+      if (isPromotion) {
+        for (const promotionPiece of ['queen', 'rook', 'bishop', 'knight']) {
+          legalMoves.push({ from: cell.position, to: move, promotionPiece });
+        }
+      } else {
+        legalMoves.push({ from: cell.position, to: move, promotionPiece: null });
+      }
+    }
+  }
+  
+  return legalMoves;
+};
+
 /**
  * Checks if a player has any legal moves.
  * @param {Array} board - The board array
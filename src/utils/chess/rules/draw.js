@@ -77,6 +77,22 @@ export const hasInsufficientMaterial = (board) => {
   return false;
 };
 
+/**
+ * Checks whether one side lacks the material to ever checkmate, used when
+ * the other side runs out of time.
+ * @param {Array} board - The board array
+ * @param {string} color - The color to check
+ * @returns {boolean} True if the side has a lone king or a king and one minor piece
+ */
+export const hasInsufficientMatingMaterial = (board, color) => {
+  const pieces = board
+    .filter(cell => cell.piece && cell.piece.color === color && cell.piece.type !== 'king')
+    .map(cell => cell.piece.type);
+  
+  return pieces.length === 0 ||
+    (pieces.length === 1 && (pieces[0] === 'bishop' || pieces[0] === 'knight'));
+};
+
 /**
  * Checks for stalemate.
  * @param {Array} board - The board array
@@ -120,38 +136,31 @@ export const isFiftyMoveRule = (moveHistory) => {
 };
 
 /**
- * Checks for threefold repetition.
- * @param {Array} positionHistory - Array of board positions
- * @returns {boolean} True if threefold repetition occurred
+ * Counts how many times the current position has occurred.
+ * @param {Array} positionHashes - Zobrist hash of every position, the current one last
+ * @returns {number} Number of occurrences, including the current one
  */
-export const isThreefoldRepetition = (positionHistory) => {
-  const positionCounts = {};
+export const countRepetitions = (positionHashes) => {
+  if (positionHashes.length === 0) return 0;
   
-  for (const positionRecord of positionHistory) {
-    // We need to consider:
-    // 1. Board position
-    // 2. Castling rights
-    // 3. En passant possibilities
-    
-    // Create a string representation of the position and state
-    const positionString = JSON.stringify({
-      board: positionRecord.board.map(cell => ({
-        position: cell.position,
-        piece: cell.piece ? {
-          type: cell.piece.type,
-          color: cell.piece.color,
-          hasMoved: cell.piece.hasMoved
-        } : null
-      })),
-      enPassantTarget: positionRecord.enPassantTarget
-    });
-    
-    positionCounts[positionString] = (positionCounts[positionString] || 0) + 1;
-    
-    if (positionCounts[positionString] >= 3) {
-      return true;
-    }
-  }
-  
-  return false;
+  const currentHash = positionHashes[positionHashes.length - 1];
+  return positionHashes.filter(hash => hash === currentHash).length;
+};
+
+/**
+ * Checks for threefold repetition, which a player may claim as a draw.
+ * @param {Array} positionHashes - Zobrist hash of every position, the current one last
+ * @returns {boolean} True if the current position has occurred three times
+ */
+export const isThreefoldRepetition = (positionHashes) => {
+  return countRepetitions(positionHashes) >= 3;
+};
+
+/**
+ * Checks for fivefold repetition, which ends the game automatically.
+ * @param {Array} positionHashes - Zobrist hash of every position, the current one last
+ * @returns {boolean} True if the current position has occurred five times
+ */
+export const isFivefoldRepetition = (positionHashes) => {
+  return countRepetitions(positionHashes) >= 5;
 };
\ No newline at end of file
@@ -13,7 +13,7 @@ import { getPieceAtPosition, setPieceAtPosition } from '../board';
  * @returns {Array} Array of possible en passant capture positions
  */
 export const getEnPassantMoves = (board, position, lastMove) => {
-  if (!lastMove) return [];
+  if (!lastMove || !lastMove.from) return [];
   
   const moves = [];
   const piece = getPieceAtPosition(board, position);
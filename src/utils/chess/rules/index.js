@@ -2,16 +2,19 @@
  * Main module for chess rules
  */
 
-import { isInCheck, isPositionUnderAttack, hasLegalMoves, wouldMoveResultInCheck } from './check';
-import { canCastle, applyCastling, isCastlingMove } from './castling';
+import { isInCheck, isPositionUnderAttack, hasLegalMoves, getLegalMoves, wouldMoveResultInCheck } from './check';
+import { canCastle, applyCastling, isCastlingMove, findCastlingRook, getCastlingSquare } from './castling';
 import { getEnPassantMoves, isEnPassantMove, applyEnPassant } from './enPassant';
 import { canPromote, isPromotionMove, applyPromotion } from './promotion';
 import { 
   hasInsufficientMaterial, 
+  hasInsufficientMatingMaterial,
   isStalemate, 
   countMovesWithoutProgress, 
   isFiftyMoveRule, 
-  isThreefoldRepetition 
+  countRepetitions,
+  isThreefoldRepetition,
+  isFivefoldRepetition
 } from './draw';
 import { getPieceAtPosition, setPieceAtPosition } from '../board';
 import { positionToIndices } from '../utils';
@@ -47,10 +50,11 @@ export const applyMove = (board, from, to, lastMove = null, promotionPiece = 'qu
   };
   
   // Check for castling
-  const castlingInfo = isCastlingMove(from, to, piece);
+  const castlingInfo = isCastlingMove(from, to, piece, newBoard);
   if (castlingInfo) {
     moveInfo.isCastling = true;
     moveInfo.castlingDirection = castlingInfo.direction;
+    moveInfo.capturedPiece = null; // In Chess960 the king may move onto its own rook
     newBoard = applyCastling(newBoard, from, castlingInfo.direction);
     return { board: newBoard, moveInfo };
   }
@@ -87,16 +91,39 @@ export const applyMove = (board, from, to, lastMove = null, promotionPiece = 'qu
  * @param {Array} board - The board array
  * @param {string} currentTurn - The current player's turn
  * @param {Object} lastMove - The last move made
- * @param {Array} moveHistory - History of all moves made
- * @param {Array} positionHistory - History of all board positions
+ * @param {number} halfMoveClock - Half-moves since the last capture or pawn move
+ * @param {Array} positionHashes - Zobrist hash of every position, the current one last
+ * @param {Object} variant - Variant rules (see variants/index.js), or null for standard chess
+ * @param {Object} variantState - Extra state kept by the variant
  * @returns {Object|null} Game outcome {winner, reason} or null if game continues
  */
-export const checkGameOutcome = (board, currentTurn, lastMove = null, moveHistory = [], positionHistory = []) => {
+export const checkGameOutcome = (
+  board,
+  currentTurn,
+  lastMove = null,
+  halfMoveClock = 0,
+  positionHashes = [],
+  variant = null,
+  variantState = null
+) => {
+  // Variant win conditions come first, e.g. a king that has been blown up
+  const variantOutcome = variant && variant.getOutcome
+    ? variant.getOutcome({ board, currentTurn, lastMove, variantState })
+    : null;
+  
+  if (variantOutcome) {
+    return variantOutcome;
+  }
+  
   // Check if current player is in check
-  const inCheck = isInCheck(board, currentTurn);
+  const inCheck = variant && variant.isInCheck
+    ? variant.isInCheck(board, currentTurn)
+    : isInCheck(board, currentTurn);
   
   // Check if current player has any legal moves
-  const hasLegalMove = hasLegalMoves(board, currentTurn, lastMove);
+  const hasLegalMove = variant && variant.getLegalMoves
+    ? variant.getLegalMoves(board, currentTurn, lastMove, variantState).length > 0
+    : hasLegalMoves(board, currentTurn, lastMove);
   
   if (!hasLegalMove) {
     if (inCheck) {
@@ -110,18 +137,22 @@ export const checkGameOutcome = (board, currentTurn, lastMove = null, moveHistor
   }
   
   // Check for insufficient material
-  if (hasInsufficientMaterial(board)) {
+  const insufficientMaterial = variant && variant.hasInsufficientMaterial
+    ? variant.hasInsufficientMaterial(board)
+    : hasInsufficientMaterial(board);
+  
+  if (insufficientMaterial) {
     return { winner: 'draw', reason: 'Insufficient material' };
   }
   
-  // Check for fifty-move rule
-  if (moveHistory.length >= 100 && isFiftyMoveRule(moveHistory)) {
+  // Check for fifty-move rule (50 moves = 100 half-moves)
+  if (halfMoveClock >= 100) {
     return { winner: 'draw', reason: 'Fifty-move rule' };
   }
   
-  // Check for threefold repetition
-  if (positionHistory.length >= 9 && isThreefoldRepetition(positionHistory)) {
-    return { winner: 'draw', reason: 'Threefold repetition' };
+  // Fivefold repetition ends the game; threefold only allows a claim
+  if (isFivefoldRepetition(positionHashes)) {
+    return { winner: 'draw', reason: 'Fivefold repetition' };
   }
   
   return null; // Game continues
@@ -133,12 +164,15 @@ export {
   isInCheck,
   isPositionUnderAttack,
   hasLegalMoves,
+  getLegalMoves,
   wouldMoveResultInCheck,
   
   // Castling
   canCastle,
   applyCastling,
   isCastlingMove,
+  findCastlingRook,
+  getCastlingSquare,
   
   // En passant
   getEnPassantMoves,
@@ -152,8 +186,11 @@ export {
   
   // Draw conditions
   hasInsufficientMaterial,
+  hasInsufficientMatingMaterial,
   isStalemate,
   countMovesWithoutProgress,
   isFiftyMoveRule,
-  isThreefoldRepetition
+  countRepetitions,
+  isThreefoldRepetition,
+  isFivefoldRepetition
 };
\ No newline at end of file
@@ -0,0 +1,268 @@
+/**
+ * Standard Algebraic Notation (SAN) generation and parsing
+ */
+
+import { getPieceAtPosition, findKingPosition } from './board';
+import { calculatePieceMoves } from './moves';
+import {
+  hasLegalMoves,
+  wouldMoveResultInCheck,
+  isCastlingMove,
+  isPromotionMove,
+  getCastlingSquare
+} from './rules';
+import {
+  VARIANTS,
+  getVariantLegalMoves,
+  applyVariantMove,
+  applyVariantDrop,
+  isVariantInCheck
+} from './variants';
+
+const PIECE_LETTERS = {
+  king: 'K',
+  queen: 'Q',
+  rook: 'R',
+  bishop: 'B',
+  knight: 'N',
+  pawn: ''
+};
+
+const LETTER_PIECES = {
+  K: 'king',
+  Q: 'queen',
+  R: 'rook',
+  B: 'bishop',
+  N: 'knight'
+};
+
+/**
+ * Checks whether a piece can legally move from one square to another.
+ * @param {Array} board - The board array
+ * @param {string} from - Starting position
+ * @param {string} to - Ending position
+ * @param {Object} lastMove - The last move made (for en passant)
+ * @param {Object} variant - Variant rules
+ * @returns {boolean} True if the move is legal
+ */
+const isLegalMove = (board, from, to, lastMove, variant) => {
+  const piece = getPieceAtPosition(board, from);
+
+  if (piece && variant.getLegalMoves) {
+    return variant.getLegalMoves(board, piece.color, lastMove).some(move => move.from === from && move.to === to);
+  }
+
+  return !!piece &&
+    calculatePieceMoves(board, from, piece, lastMove).includes(to) &&
+    !wouldMoveResultInCheck(board, from, to, piece.color);
+};
+
+/**
+ * Gets the disambiguation prefix (file, rank or both) for a piece move.
+ * @param {Array} board - The board array
+ * @param {string} from - Starting position
+ * @param {string} to - Ending position
+ * @param {Object} piece - The piece being moved
+ * @param {Object} lastMove - The last move made
+ * @param {Object} variant - Variant rules
+ * @returns {string} '', a file, a rank or a full square
+ */
+const getDisambiguation = (board, from, to, piece, lastMove, variant) => {
+  const rivals = board.filter(cell =>
+    cell.position !== from &&
+    cell.piece &&
+    cell.piece.type === piece.type &&
+    cell.piece.color === piece.color &&
+    isLegalMove(board, cell.position, to, lastMove, variant)
+  );
+
+  if (rivals.length === 0) return '';
+
+  const sameFile = rivals.some(cell => cell.position[0] === from[0]);
+  const sameRank = rivals.some(cell => cell.position[1] === from[1]);
+
+  if (!sameFile) return from[0];
+  if (!sameRank) return from[1];
+  return from;
+};
+
+/**
+ * Gets the check or checkmate suffix for a move.
+ * @param {Array} newBoard - The board after the move
+ * @param {string} opponentColor - The side that replies
+ * @param {Object} move - The move just played ({ from, to })
+ * @param {Object} variant - Variant rules
+ * @param {Object} variantState - Extra state kept by the variant
+ * @returns {string} '+', '#' or ''
+ */
+const getCheckSuffix = (newBoard, opponentColor, move, variant, variantState) => {
+  if (!isVariantInCheck(variant, newBoard, opponentColor)) return '';
+
+  const canReply = variant.getLegalMoves
+    ? getVariantLegalMoves(variant, newBoard, opponentColor, move, variantState).length > 0
+    : hasLegalMoves(newBoard, opponentColor, move);
+
+  return canReply ? '+' : '#';
+};
+
+/**
+ * Generates the SAN for a move on the given board.
+ * The move is assumed to be legal.
+ * @param {Array} board - The board before the move
+ * @param {string} from - Starting position
+ * @param {string} to - Ending position
+ * @param {Object} lastMove - The last move made (for en passant)
+ * @param {string} promotionPiece - The piece to promote to (if pawn promotion)
+ * @param {Object} variant - Variant rules, for the check and mate suffixes
+ * @param {Object} variantState - Extra state kept by the variant, e.g. the pockets in Crazyhouse
+ * @returns {string} The move in SAN, e.g. "Nbd7", "exd6", "e8=Q+", "O-O#"
+ */
+export const moveToSan = (
+  board,
+  from,
+  to,
+  lastMove = null,
+  promotionPiece = null,
+  variant = VARIANTS.standard,
+  variantState = null
+) => {
+  const piece = getPieceAtPosition(board, from);
+
+  if (!piece) return '';
+
+  let san = '';
+  const castlingInfo = isCastlingMove(from, to, piece, board);
+
+  if (castlingInfo) {
+    san = castlingInfo.direction === 'kingside' ? 'O-O' : 'O-O-O';
+  } else {
+    const isCapture = !!getPieceAtPosition(board, to) ||
+      (piece.type === 'pawn' && from[0] !== to[0]); // Diagonal pawn move to an empty square is en passant
+
+    if (piece.type === 'pawn') {
+      if (isCapture) {
+        san += from[0];
+      }
+    } else {
+      san += PIECE_LETTERS[piece.type] + getDisambiguation(board, from, to, piece, lastMove, variant);
+    }
+
+    if (isCapture) {
+      san += 'x';
+    }
+
+    san += to;
+
+    if (isPromotionMove(from, to, piece)) {
+      san += '=' + PIECE_LETTERS[promotionPiece || 'queen'];
+    }
+  }
+
+  // Check and checkmate
+  const { board: newBoard } = applyVariantMove(variant, board, from, to, lastMove, promotionPiece || 'queen');
+  const opponentColor = piece.color === 'white' ? 'black' : 'white';
+
+  return san + getCheckSuffix(newBoard, opponentColor, { from, to }, variant, variantState);
+};
+
+/**
+ * Generates the SAN for a drop, e.g. "N@f3" or "P@e6+".
+ * The drop is assumed to be legal.
+ * @param {Array} board - The board before the drop
+ * @param {Object} piece - The dropped piece ({ type, color })
+ * @param {string} to - The square dropped on
+ * @param {Object} variant - Variant rules
+ * @param {Object} variantState - Extra state kept by the variant
+ * @returns {string} The drop in SAN
+ */
+export const dropToSan = (board, piece, to, variant, variantState = null) => {
+  const { board: newBoard } = applyVariantDrop(variant, board, piece, to);
+  const opponentColor = piece.color === 'white' ? 'black' : 'white';
+  const letter = piece.type === 'pawn' ? 'P' : PIECE_LETTERS[piece.type];
+
+  return `${letter}@${to}` + getCheckSuffix(newBoard, opponentColor, { from: null, to }, variant, variantState);
+};
+
+/**
+ * Finds the legal move described by a SAN string.
+ * Check and annotation suffixes are ignored, and "0-0" is accepted for castling.
+ * Drops ("N@f3", with the P optional for pawns) are read for variants that have them.
+ * @param {Array} board - The board array
+ * @param {string} san - The move in SAN
+ * @param {string} color - The side to move
+ * @param {Object} lastMove - The last move made (for en passant)
+ * @param {Object} variant - Variant rules
+ * @param {Object} variantState - Extra state kept by the variant, e.g. the pockets in Crazyhouse
+ * @returns {Object} { from, to, promotionPiece }, or { from: null, to, promotionPiece: null, drop } for a drop
+ * @throws {Error} If the move is invalid, illegal or ambiguous
+ */
+export const parseSan = (board, san, color, lastMove = null, variant = VARIANTS.standard, variantState = null) => {
+  const cleanSan = san.trim().replace(/[+#!?]+$/, '');
+
+  // Drops
+  const dropMatch = cleanSan.match(/^([PNBRQ])?@([a-h][1-8])$/);
+  if (dropMatch) {
+    const drop = dropMatch[1] && dropMatch[1] !== 'P' ? LETTER_PIECES[dropMatch[1]] : 'pawn';
+    const to = dropMatch[2];
+    const isLegal = getVariantLegalMoves(variant, board, color, lastMove, variantState)
+      .some(move => move.drop === drop && move.to === to);
+
+    if (isLegal) {
+      return { from: null, to, promotionPiece: null, drop };
+    }
+
+    throw new Error(`Illegal move "${san}"`);
+  }
+
+  // Castling
+  const castlingMatch = cleanSan.match(/^(O-O(-O)?|0-0(-0)?)$/);
+  if (castlingMatch) {
+    const from = findKingPosition(board, color);
+    const to = getCastlingSquare(board, from, castlingMatch[2] || castlingMatch[3] ? 'queenside' : 'kingside');
+
+    if (to && isLegalMove(board, from, to, lastMove, variant)) {
+      return { from, to, promotionPiece: null };
+    }
+
+    throw new Error(`Illegal move "${san}"`);
+  }
+
+  const match = cleanSan.match(/^([KQRBN])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([QRBN]))?$/);
+
+  if (!match) {
+    throw new Error(`Invalid move "${san}"`);
+  }
+
+  const [, pieceLetter, fromFile, fromRank, capture, to, promotionLetter] = match;
+  const type = pieceLetter ? LETTER_PIECES[pieceLetter] : 'pawn';
+
+  // A pawn only leaves its file when the SAN says so, as in exd5; a bare d5 is a push
+  const isPawnCapture = !!(fromFile && capture);
+
+  const candidates = board.filter(cell =>
+    cell.piece &&
+    cell.piece.color === color &&
+    cell.piece.type === type &&
+    (!fromFile || cell.position[0] === fromFile) &&
+    (!fromRank || cell.position[1] === fromRank) &&
+    (type !== 'pawn' || (cell.position[0] !== to[0]) === isPawnCapture) &&
+    isLegalMove(board, cell.position, to, lastMove, variant)
+  );
+
+  if (candidates.length !== 1) {
+    throw new Error(`${candidates.length === 0 ? 'Illegal' : 'Ambiguous'} move "${san}"`);
+  }
+
+  const from = candidates[0].position;
+  const isPromotion = isPromotionMove(from, to, candidates[0].piece);
+
+  if (isPromotion !== !!promotionLetter) {
+    throw new Error(`Invalid promotion in "${san}"`);
+  }
+
+  return {
+    from,
+    to,
+    promotionPiece: promotionLetter ? LETTER_PIECES[promotionLetter] : null
+  };
+};
\ No newline at end of file
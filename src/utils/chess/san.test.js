@@ -0,0 +1,109 @@
+/**
+ * SAN generation and parsing: disambiguation, captures, promotion,
+ * castling and the check and mate suffixes.
+ */
+
+import { moveToSan, parseSan } from './san';
+import { fenToBoard } from './fen';
+
+const sanFor = (fen, from, to, promotionPiece = null) => {
+  const { board, lastMove } = fenToBoard(fen);
+  return moveToSan(board, from, to, lastMove, promotionPiece);
+};
+
+const parse = (fen, san) => {
+  const { board, currentTurn, lastMove } = fenToBoard(fen);
+  return parseSan(board, san, currentTurn, lastMove);
+};
+
+describe('SAN disambiguation', () => {
+  test('by file when the pieces are on different files', () => {
+    const fen = '4k3/8/8/8/8/5N2/8/1N2K3 w - - 0 1';
+
+    expect(sanFor(fen, 'b1', 'd2')).toBe('Nbd2');
+    expect(sanFor(fen, 'f3', 'd2')).toBe('Nfd2');
+  });
+
+  test('by rank when the pieces share a file', () => {
+    const fen = '4k3/8/8/R7/8/8/8/R3K3 w - - 0 1';
+
+    expect(sanFor(fen, 'a1', 'a3')).toBe('R1a3');
+    expect(sanFor(fen, 'a5', 'a3')).toBe('R5a3');
+  });
+
+  test('by square when neither the file nor the rank is enough', () => {
+    const fen = '8/8/1k6/8/4Q2Q/8/8/K6Q w - - 0 1';
+
+    expect(sanFor(fen, 'h4', 'e1')).toBe('Qh4e1');
+    expect(sanFor(fen, 'e4', 'e1')).toBe('Qee1');
+    expect(sanFor(fen, 'h1', 'e1')).toBe('Q1e1');
+  });
+
+  test('not for a piece that is pinned', () => {
+    // The c3 knight is pinned to the king by the bishop on b4
+    expect(sanFor('4k3/8/8/8/1b6/2N5/8/4K1N1 w - - 0 1', 'g1', 'e2')).toBe('Ne2');
+  });
+});
+
+describe('SAN generation', () => {
+  test('pawn captures name the file, including en passant', () => {
+    expect(sanFor('rnbqkb1r/ppp1pppp/5n2/3pP3/8/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 3', 'e5', 'd6')).toBe('exd6');
+    expect(sanFor('rnbqkb1r/ppp1pppp/5n2/3pP3/8/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 3', 'e5', 'f6')).toBe('exf6');
+  });
+
+  test('promotions name the piece and can give check', () => {
+    const fen = '4k3/1P6/8/8/8/8/8/4K3 w - - 0 1';
+
+    expect(sanFor(fen, 'b7', 'b8', 'queen')).toBe('b8=Q+');
+    expect(sanFor(fen, 'b7', 'b8', 'knight')).toBe('b8=N');
+  });
+
+  test('castling and checkmate', () => {
+    const castling = 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1';
+
+    expect(sanFor(castling, 'e1', 'g1')).toBe('O-O');
+    expect(sanFor(castling, 'e1', 'c1')).toBe('O-O-O');
+    expect(sanFor('r1bqkb1r/pppp1ppp/2n2n2/4p2Q/2B1P3/8/PPPP1PPP/RNB1K1NR w KQkq - 4 4', 'h5', 'f7')).toBe('Qxf7#');
+  });
+});
+
+describe('SAN parsing', () => {
+  test('reads back the moves it writes', () => {
+    const fen = '8/8/1k6/8/4Q2Q/8/8/K6Q w - - 0 1';
+
+    expect(parse(fen, 'Qh4e1')).toEqual({ from: 'h4', to: 'e1', promotionPiece: null });
+    expect(parse(fen, 'Qee1')).toEqual({ from: 'e4', to: 'e1', promotionPiece: null });
+    expect(parse(fen, 'Q1e1')).toEqual({ from: 'h1', to: 'e1', promotionPiece: null });
+  });
+
+  test('accepts zeros for castling and ignores suffixes', () => {
+    const fen = 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1';
+
+    expect(parse(fen, '0-0')).toEqual({ from: 'e1', to: 'g1', promotionPiece: null });
+    expect(parse(fen, '0-0-0')).toEqual({ from: 'e1', to: 'c1', promotionPiece: null });
+    expect(parse(fen, 'O-O-O+!?')).toEqual({ from: 'e1', to: 'c1', promotionPiece: null });
+  });
+
+  test('reads promotions with or without the equals sign', () => {
+    const fen = '4k3/1P6/8/8/8/8/8/4K3 w - - 0 1';
+
+    expect(parse(fen, 'b8=N').promotionPiece).toBe('knight');
+    expect(parse(fen, 'b8Q+').promotionPiece).toBe('queen');
+  });
+
+  test('rejects ambiguous, illegal and malformed moves', () => {
+    const fen = '4k3/8/8/8/8/5N2/8/1N2K3 w - - 0 1';
+
+    expect(() => parse(fen, 'Nd2')).toThrow();
+    expect(() => parse(fen, 'Nd3')).toThrow();
+    expect(() => parse(fen, 'Zz9')).toThrow();
+  });
+
+  test('a pawn capture needs its file and an x', () => {
+    const fen = 'rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 2';
+
+    expect(parse(fen, 'exd5')).toEqual({ from: 'e4', to: 'd5', promotionPiece: null });
+    expect(() => parse(fen, 'd5')).toThrow('Illegal move');
+    expect(() => parse(fen, 'xd5')).toThrow('Illegal move');
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Computer player: iterative-deepening alpha-beta (negamax) search with a
+ * capture-only quiescence search, using the rule functions in this package.
+ * Meant to run in a Web Worker (see search.worker.js).
+ */
+
+import { getPieceAtPosition } from './board';
+import { getLegalMoves, applyMove, isInCheck } from './rules';
+import { evaluateBoard, PIECE_VALUES } from './evaluate';
+
+const MATE_SCORE = 100000;
+const INFINITY = 1000000;
+
+// Captures looked at beyond the nominal depth, to avoid stopping mid-exchange
+const QUIESCENCE_DEPTH = 4;
+
+// Strength levels: search depth, time limit and random noise (centipawns) added to root moves
+export const COMPUTER_LEVELS = {
+  1: { name: '入門', depth: 1, timeMs: 300, randomness: 150 },
+  2: { name: '初級', depth: 2, timeMs: 800, randomness: 60 },
+  3: { name: '中級', depth: 3, timeMs: 1500, randomness: 20 },
+  4: { name: '高級', depth: 4, timeMs: 3000, randomness: 0 },
+  5: { name: '大師', depth: 6, timeMs: 6000, randomness: 0 }
+};
+
+/**
+ * Thrown inside the search when the time limit is reached.
+ */
+class SearchAborted extends Error {}
+
+/**
+ * Scores a move for ordering: captures of valuable pieces by cheap ones first.
+ * @param {Array} board - The board array
+ * @param {Object} move - { from, to, promotionPiece }
+ * @returns {number} Ordering score, higher is searched first
+ */
+const scoreMoveOrder = (board, move) => {
+  const piece = getPieceAtPosition(board, move.from);
+  const target = getPieceAtPosition(board, move.to);
+  let score = 0;
+
+  if (target) score += 10 * PIECE_VALUES[target.type] - PIECE_VALUES[piece.type];
+  if (move.promotionPiece) score += PIECE_VALUES[move.promotionPiece];
+
+  return score;
+};
+
+/**
+ * Sorts moves so the most promising are searched first.
+ * @param {Array} board - The board array
+ * @param {Array} moves - Legal moves
+ * @returns {Array} Sorted moves
+ */
+const orderMoves = (board, moves) => {
+  return moves
+    .map(move => ({ move, score: scoreMoveOrder(board, move) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ move }) => move);
+};
+
+/**
+ * Plays a move on a search position.
+ * @param {Object} position - { board, currentTurn, lastMove }
+ * @param {Object} move - { from, to, promotionPiece }
+ * @returns {Object} The new position
+ */
+const playMove = (position, move) => {
+  const { board, moveInfo } = applyMove(
+    position.board, move.from, move.to, position.lastMove, move.promotionPiece || 'queen'
+  );
+
+  return {
+    board,
+    currentTurn: position.currentTurn === 'white' ? 'black' : 'white',
+    lastMove: moveInfo
+  };
+};
+
+/**
+ * Checks the time limit every few hundred nodes.
+ * @param {Object} context - Search context
+ * @throws {SearchAborted} If time is up
+ */
+const checkTime = (context) => {
+  context.nodes++;
+
+  if (context.canAbort && (context.nodes & 255) === 0 && context.now() >= context.deadline) {
+    throw new SearchAborted();
+  }
+};
+
+/**
+ * Searches captures only until the position is quiet.
+ * @param {Object} position - { board, currentTurn, lastMove }
+ * @param {number} alpha - Lower bound
+ * @param {number} beta - Upper bound
+ * @param {number} depth - Remaining capture depth
+ * @param {Object} context - Search context
+ * @returns {number} Score for the side to move
+ */
+const quiesce = (position, alpha, beta, depth, context) => {
+  checkTime(context);
+
+  const sign = position.currentTurn === 'white' ? 1 : -1;
+  const standPat = sign * evaluateBoard(position.board);
+
+  if (standPat >= beta) return beta;
+  if (standPat > alpha) alpha = standPat;
+  if (depth === 0) return alpha;
+
+  const captures = getLegalMoves(position.board, position.currentTurn, position.lastMove)
+    .filter(move => getPieceAtPosition(position.board, move.to) || move.promotionPiece === 'queen');
+
+  for (const move of orderMoves(position.board, captures)) {
+    const score = -quiesce(playMove(position, move), -beta, -alpha, depth - 1, context);
+
+    if (score >= beta) return beta;
+    if (score > alpha) alpha = score;
+  }
+
+  return alpha;
+};
+
+/**
+ * Alpha-beta search in negamax form.
+ * @param {Object} position - { board, currentTurn, lastMove }
+ * @param {number} depth - Remaining depth
+ * @param {number} alpha - Lower bound
+ * @param {number} beta - Upper bound
+ * @param {number} ply - Distance from the root, so nearer mates score higher
+ * @param {Object} context - Search context
+ * @returns {number} Score for the side to move
+ */
+const negamax = (position, depth, alpha, beta, ply, context) => {
+  if (depth === 0) {
+    return quiesce(position, alpha, beta, QUIESCENCE_DEPTH, context);
+  }
+
+  checkTime(context);
+
+  const moves = getLegalMoves(position.board, position.currentTurn, position.lastMove);
+
+  if (moves.length === 0) {
+    return isInCheck(position.board, position.currentTurn) ? -(MATE_SCORE - ply) : 0;
+  }
+
+  for (const move of orderMoves(position.board, moves)) {
+    const score = -negamax(playMove(position, move), depth - 1, -beta, -alpha, ply + 1, context);
+
+    if (score >= beta) return beta;
+    if (score > alpha) alpha = score;
+  }
+
+  return alpha;
+};
+
+/**
+ * Finds the computer's move.
+ * Each depth is searched completely before the next one starts; when time
+ * runs out the result of the last completed depth is used. With randomness,
+ * every root move is scored exactly and noise is added before choosing.
+ * @param {Object} position - { board, currentTurn, lastMove }
+ * @param {Object} options - Search options
+ * @param {number} options.depth - Maximum depth in plies
+ * @param {number} options.timeMs - Time limit in milliseconds
+ * @param {number} options.randomness - Maximum noise added to root scores, in centipawns
+ * @param {Function} options.random - Random number source (for tests)
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Object|null} { from, to, promotionPiece, score, depth, nodes }, or null if there are no legal moves
+ */
+export const findBestMove = (position, {
+  depth = 3,
+  timeMs = 2000,
+  randomness = 0,
+  random = Math.random,
+  now = Date.now
+} = {}) => {
+  const root = { board: position.board, currentTurn: position.currentTurn, lastMove: position.lastMove || null };
+  let rootMoves = orderMoves(root.board, getLegalMoves(root.board, root.currentTurn, root.lastMove));
+
+  if (rootMoves.length === 0) return null;
+
+  const context = { nodes: 0, deadline: now() + timeMs, now, canAbort: false };
+  let best = { move: rootMoves[0], score: 0, depth: 0 };
+
+  for (let currentDepth = 1; currentDepth <= depth; currentDepth++) {
+    // The first depth always completes so there is a move to play
+    context.canAbort = currentDepth > 1;
+
+    try {
+      const scored = [];
+      let alpha = -INFINITY;
+
+      for (const move of rootMoves) {
+        // Without randomness only the best move needs an exact score
+        const bound = randomness > 0 ? -INFINITY : alpha;
+        const score = -negamax(playMove(root, move), currentDepth - 1, -INFINITY, -bound, 1, context);
+
+        scored.push({ move, score, noisy: score + (random() * 2 - 1) * randomness });
+        if (score > alpha) alpha = score;
+      }
+
+      const choice = scored.reduce((a, b) => (b.noisy > a.noisy ? b : a));
+      best = { move: choice.move, score: choice.score, depth: currentDepth };
+
+      // Search the best moves first at the next depth
+      rootMoves = scored.sort((a, b) => b.score - a.score).map(({ move }) => move);
+    } catch (error) {
+      if (error instanceof SearchAborted) break;
+      throw error;
+    }
+  }
+
+  return { ...best.move, score: best.score, depth: best.depth, nodes: context.nodes };
+};
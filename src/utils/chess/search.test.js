@@ -0,0 +1,57 @@
+/**
+ * Computer player search.
+ */
+
+import { findBestMove } from './search';
+import { evaluateBoard } from './evaluate';
+import { fenToBoard, STARTING_FEN } from './fen';
+
+const search = (fen, options = {}) => findBestMove(fenToBoard(fen), { timeMs: 10000, ...options });
+
+describe('evaluation', () => {
+  test('the starting position is balanced', () => {
+    expect(evaluateBoard(fenToBoard(STARTING_FEN).board)).toBe(0);
+  });
+
+  test('mirrored positions have opposite scores', () => {
+    const white = evaluateBoard(fenToBoard('4k3/8/8/8/4N3/8/8/4K3 w - - 0 1').board);
+    const black = evaluateBoard(fenToBoard('4k3/8/8/4n3/8/8/8/4K3 w - - 0 1').board);
+
+    expect(white).toBeGreaterThan(0);
+    expect(black).toBe(-white);
+  });
+});
+
+describe('search', () => {
+  test('finds mate in one', () => {
+    const move = search('6k1/5ppp/8/8/8/8/5PPP/R5K1 w - - 0 1', { depth: 2 });
+    expect(move).toMatchObject({ from: 'a1', to: 'a8' });
+  });
+
+  test('takes a hanging queen', () => {
+    const move = search('4k3/8/8/3q4/8/8/3R4/4K3 w - - 0 1', { depth: 2 });
+    expect(move).toMatchObject({ from: 'd2', to: 'd5' });
+  });
+
+  test('does not take a defended pawn with the queen', () => {
+    const move = search('4k3/8/2p5/3p4/8/8/8/3QK3 w - - 0 1', { depth: 2 });
+    expect(move.to).not.toBe('d5');
+  });
+
+  test('returns null without legal moves', () => {
+    expect(search('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1')).toBeNull();
+  });
+
+  test('low levels can choose weaker moves', () => {
+    const fen = '4k3/8/8/3q4/8/8/3R4/4K3 w - - 0 1';
+    const seededRandom = (seed) => () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    const picks = new Set([1, 2, 3, 4, 5].map(seed =>
+      search(fen, { depth: 1, randomness: 1000, random: seededRandom(seed) }).to
+    ));
+
+    expect(picks.size).toBeGreaterThan(1);
+  });
+});
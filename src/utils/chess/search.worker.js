@@ -0,0 +1,14 @@
+/**
+ * Web Worker that runs the computer player's search off the main thread,
+ * so the board stays responsive while the computer thinks.
+ * Receives { id, position, level } and replies with { id, move }.
+ */
+
+import { findBestMove, COMPUTER_LEVELS } from './search';
+
+onmessage = (event) => {
+  const { id, position, level } = event.data;
+  const move = findBestMove(position, COMPUTER_LEVELS[level] || COMPUTER_LEVELS[3]);
+
+  postMessage({ id, move });
+};
@@ -0,0 +1,157 @@
+/**
+ * Variant rules: King of the Hill, Three-check, Atomic and Crazyhouse.
+ */
+
+import { ChessGame } from './game';
+import { pgnToGame } from './pgn';
+import { fenToBoard } from './fen';
+import { getVariant, getGameVariant, getVariantByPgnName } from './variants';
+
+/**
+ * Plays a list of SAN moves.
+ * @param {ChessGame} chess - The game
+ * @param {Array} moves - Moves in SAN
+ * @returns {ChessGame} The same game
+ */
+const play = (chess, moves) => {
+  moves.forEach(move => chess.move(move));
+  return chess;
+};
+
+describe('variant registry', () => {
+  test('games without a variant are standard chess', () => {
+    expect(getVariant(undefined).id).toBe('standard');
+    expect(getGameVariant({ chess960Position: 12 }).id).toBe('chess960');
+    expect(getVariantByPgnName('Standard').id).toBe('standard');
+    expect(getVariantByPgnName('three-check').id).toBe('threeCheck');
+  });
+
+  test('unknown variants are rejected', () => {
+    expect(() => getVariant('horde')).toThrow();
+    expect(() => getVariantByPgnName('Suicide')).toThrow();
+  });
+});
+
+describe('King of the Hill', () => {
+  test('reaching the centre wins', () => {
+    const chess = new ChessGame('4k3/8/8/8/8/4K3/8/8 w - - 0 1', { variant: 'kingOfTheHill' });
+
+    expect(chess.outcome()).toBeNull();
+    chess.move('Ke4');
+    expect(chess.outcome()).toEqual({ winner: 'white', reason: 'King of the hill' });
+  });
+});
+
+describe('Three-check', () => {
+  test('the third check wins', () => {
+    const chess = play(new ChessGame(null, { variant: 'threeCheck' }), [
+      'e4', 'e5', 'Bc4', 'Nc6', 'Bxf7+', 'Kxf7', 'Qh5+', 'Ke6', 'Qf5+'
+    ]);
+
+    expect(chess.variantState()).toEqual({ checks: { white: 3, black: 0 } });
+    expect(chess.outcome()).toEqual({ winner: 'white', reason: 'Three checks' });
+  });
+
+  test('undo restores the check count', () => {
+    const chess = play(new ChessGame(null, { variant: 'threeCheck' }), ['e4', 'f5', 'Qh5+']);
+
+    chess.undo();
+    expect(chess.variantState().checks.white).toBe(0);
+  });
+});
+
+describe('Atomic', () => {
+  test('a capture explodes the pieces around it, but not pawns', () => {
+    const chess = play(new ChessGame(null, { variant: 'atomic' }), ['Nf3', 'd5', 'Ne5', 'Nc6', 'Nxf7']);
+    const pieceAt = (square) => chess.board().find(cell => cell.position === square).piece;
+
+    // The knight, the f7 pawn and the pieces next to it are gone; pawns stay
+    expect(pieceAt('f7')).toBeNull();
+    expect(pieceAt('e8')).toBeNull();
+    expect(pieceAt('g8')).toBeNull();
+    expect(pieceAt('f8')).toBeNull();
+    expect(pieceAt('e7').type).toBe('pawn');
+    expect(pieceAt('g7').type).toBe('pawn');
+    expect(chess.outcome()).toEqual({ winner: 'white', reason: 'Explosion' });
+  });
+
+  test('kings cannot capture', () => {
+    const chess = new ChessGame('4k3/8/8/8/8/8/4p3/4K3 w - - 0 1', { variant: 'atomic' });
+    expect(chess.legalMoves('e1').map(move => move.to)).not.toContain('e2');
+  });
+
+  test('touching kings cannot be checked', () => {
+    const chess = new ChessGame('8/8/8/8/8/3k4/3K4/7r w - - 0 1', { variant: 'atomic' });
+
+    expect(chess.isCheck()).toBe(false);
+    expect(chess.outcome()).toBeNull();
+  });
+
+  test('PGN keeps the variant', () => {
+    const chess = play(new ChessGame(null, { variant: 'atomic' }), ['Nf3', 'd5', 'Ne5', 'Nc6', 'Nxf7']);
+    const imported = pgnToGame(chess.pgn());
+
+    expect(imported.variant).toBe('atomic');
+    expect(imported.notation).toEqual(chess.history().map(move => move.san));
+  });
+});
+
+describe('Crazyhouse', () => {
+  test('captured pieces go to the pocket and can be dropped', () => {
+    const chess = play(new ChessGame(null, { variant: 'crazyhouse' }), ['e4', 'd5', 'exd5', 'Qxd5']);
+
+    expect(chess.variantState().pockets.white.pawn).toBe(1);
+    expect(chess.variantState().pockets.black.pawn).toBe(1);
+
+    const drop = chess.move('P@e6');
+    expect(drop).toMatchObject({ from: null, to: 'e6', drop: 'pawn', san: 'P@e6' });
+    expect(chess.variantState().pockets.white.pawn).toBe(0);
+    expect(chess.halfMoveClock()).toBe(0);
+  });
+
+  test('pawns cannot be dropped on the first or last rank', () => {
+    const chess = play(new ChessGame(null, { variant: 'crazyhouse' }), ['e4', 'd5', 'exd5', 'Nf6']);
+    const pawnDrops = chess.legalMoves().filter(move => move.drop === 'pawn').map(move => move.to);
+
+    expect(pawnDrops).not.toContain('g8');
+    expect(pawnDrops).toContain('e2');
+    expect(pawnDrops).toContain('d7');
+  });
+
+  test('promoted pieces return to the pocket as pawns', () => {
+    const chess = new ChessGame('4k3/1P6/8/8/8/8/r7/4K3 w - - 0 1', { variant: 'crazyhouse' });
+    play(chess, ['b8=Q+', 'Kd7', 'Qb5+', 'Ke6', 'Qb2', 'Rxb2']);
+
+    expect(chess.variantState().pockets.black).toMatchObject({ pawn: 1, queen: 0 });
+  });
+
+  test('a drop can block a check, so it is not mate', () => {
+    const { board } = fenToBoard('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1');
+    const atPosition = (blackKnights) => ChessGame.fromPosition({
+      board,
+      variant: 'crazyhouse',
+      variantState: {
+        pockets: {
+          white: { pawn: 0, knight: 0, bishop: 0, rook: 0, queen: 0 },
+          black: { pawn: 0, knight: blackKnights, bishop: 0, rook: 0, queen: 0 }
+        }
+      }
+    });
+
+    expect(atPosition(0).move('Ra8').san).toBe('Ra8#');
+
+    const chess = atPosition(1);
+    expect(chess.move('Ra8').san).toBe('Ra8+');
+    expect(chess.outcome()).toBeNull();
+    expect(chess.move('N@f8').san).toBe('N@f8');
+  });
+
+  test('PGN reads and writes drops', () => {
+    const chess = play(new ChessGame(null, { variant: 'crazyhouse' }), ['e4', 'd5', 'exd5', 'Qxd5', 'Nc3', 'Qa5', 'P@d4', 'P@e6']);
+    const imported = pgnToGame(chess.pgn());
+
+    expect(chess.pgn()).toContain('[Variant "Crazyhouse"]');
+    expect(imported.notation).toEqual(['e4', 'd5', 'exd5', 'Qxd5', 'Nc3', 'Qa5', 'P@d4', 'P@e6']);
+    expect(imported.variantState).toEqual(chess.variantState());
+  });
+});
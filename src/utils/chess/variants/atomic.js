@@ -0,0 +1,144 @@
+/**
+ * Atomic chess: every capture sets off an explosion that removes the
+ * capturing piece, the captured piece and every piece except pawns on the
+ * surrounding squares. Blowing up the opponent's king wins the game, so
+ * kings cannot capture, and a king touching the enemy king cannot be checked.
+ */
+
+import { getPieceAtPosition, setPieceAtPosition, findKingPosition } from '../board';
+import { positionToIndices, indicesToPosition, isValidSquare } from '../utils';
+import { calculatePieceMoves } from '../moves';
+import { applyMove, isPositionUnderAttack } from '../rules';
+
+/**
+ * Gets the squares around a square.
+ * @param {string} position - The square
+ * @returns {Array} Up to eight neighbouring squares
+ */
+const getNeighbours = (position) => {
+  const [row, col] = positionToIndices(position);
+  const neighbours = [];
+
+  for (let dRow = -1; dRow <= 1; dRow++) {
+    for (let dCol = -1; dCol <= 1; dCol++) {
+      if ((dRow || dCol) && isValidSquare(row + dRow, col + dCol)) {
+        neighbours.push(indicesToPosition(row + dRow, col + dCol));
+      }
+    }
+  }
+
+  return neighbours;
+};
+
+/**
+ * Removes the capturing piece and every non-pawn piece around the capture square.
+ * @param {Array} board - The board after the capture
+ * @param {string} position - The capture square
+ * @returns {Array} The board after the explosion
+ */
+const explode = (board, position) => {
+  let newBoard = setPieceAtPosition(board, position, null);
+
+  for (const neighbour of getNeighbours(position)) {
+    const piece = getPieceAtPosition(newBoard, neighbour);
+
+    if (piece && piece.type !== 'pawn') {
+      newBoard = setPieceAtPosition(newBoard, neighbour, null);
+    }
+  }
+
+  return newBoard;
+};
+
+/**
+ * Checks whether a side is in check. Touching kings protect each other,
+ * since capturing one would blow up the other.
+ * @param {Array} board - The board array
+ * @param {string} color - The color to check
+ * @returns {boolean} True if in check
+ */
+const isAtomicCheck = (board, color) => {
+  const king = findKingPosition(board, color);
+  const opponentColor = color === 'white' ? 'black' : 'white';
+  const opponentKing = findKingPosition(board, opponentColor);
+
+  if (!king || !opponentKing || getNeighbours(king).includes(opponentKing)) {
+    return false;
+  }
+
+  return isPositionUnderAttack(board, king, opponentColor);
+};
+
+/**
+ * Applies the explosion of a capture.
+ * @param {Array} board - The board after the standard move
+ * @param {Object} moveInfo - Move information from applyMove
+ * @returns {Array} The board after the explosion
+ */
+const afterMove = (board, moveInfo) => {
+  return moveInfo.capturedPiece || moveInfo.isEnPassant ? explode(board, moveInfo.to) : board;
+};
+
+/**
+ * Generates the legal moves. A move is legal if it keeps the mover's king on
+ * the board and either blows up the enemy king or does not leave the mover in check.
+ * @param {Array} board - The board array
+ * @param {string} color - The color to move
+ * @param {Object} lastMove - The last move made (for en passant)
+ * @returns {Array} Array of { from, to, promotionPiece } objects
+ */
+const getAtomicLegalMoves = (board, color, lastMove = null) => {
+  const legalMoves = [];
+  const opponentColor = color === 'white' ? 'black' : 'white';
+
+  for (const cell of board.filter(cell => cell.piece && cell.piece.color === color)) {
+    for (const to of calculatePieceMoves(board, cell.position, cell.piece, lastMove)) {
+      const target = getPieceAtPosition(board, to);
+
+      // A king cannot capture: it would explode itself
+      if (cell.piece.type === 'king' && target && target.color !== color) continue;
+
+      const result = applyMove(board, cell.position, to, lastMove, 'queen');
+      const after = afterMove(result.board, result.moveInfo);
+
+      if (!findKingPosition(after, color)) continue;
+      if (findKingPosition(after, opponentColor) && isAtomicCheck(after, color)) continue;
+
+      // Pawns reaching the last rank must promote
+      const isPromotion = cell.piece.type === 'pawn' && (to[1] === '1' || to[1] === '8');
+
+      if (isPromotion) {
+        for (const promotionPiece of ['queen', 'rook', 'bishop', 'knight']) {
+          legalMoves.push({ from: cell.position, to, promotionPiece });
+        }
+      } else {
+        legalMoves.push({ from: cell.position, to, promotionPiece: null });
+      }
+    }
+  }
+
+  return legalMoves;
+};
+
+export const atomic = {
+  id: 'atomic',
+  name: '原子棋',
+  pgnName: 'Atomic',
+
+  getLegalMoves: getAtomicLegalMoves,
+  afterMove,
+  isInCheck: isAtomicCheck,
+
+  /**
+   * Checks whether a king has been blown up.
+   * @param {Object} state - { board }
+   * @returns {Object|null} { winner, reason } or null
+   */
+  getOutcome: ({ board }) => {
+    const loser = ['white', 'black'].find(color => !findKingPosition(board, color));
+    return loser ? { winner: loser === 'white' ? 'black' : 'white', reason: 'Explosion' } : null;
+  },
+
+  // Only bare kings are a certain draw
+  hasInsufficientMaterial: (board) => board.every(cell => !cell.piece || cell.piece.type === 'king')
+};
@@ -0,0 +1,122 @@
+/**
+ * Crazyhouse: captured pieces go to the capturer's pocket and can later be
+ * dropped onto any empty square as a move of their own. A promoted piece
+ * returns to the pocket as a pawn, so promoted pieces are marked on the board.
+ */
+
+import { setPieceAtPosition } from '../board';
+import { getLegalMoves, isInCheck } from '../rules';
+
+export const DROP_PIECES = ['pawn', 'knight', 'bishop', 'rook', 'queen'];
+
+/**
+ * Creates an empty pocket.
+ * @returns {Object} Piece type to count
+ */
+const emptyPocket = () => Object.fromEntries(DROP_PIECES.map(type => [type, 0]));
+
+/**
+ * Lists the drops available to a side.
+ * @param {Array} board - The board array
+ * @param {string} color - The color to move
+ * @param {Object} pocket - Piece type to count
+ * @returns {Array} Array of { from: null, to, promotionPiece: null, drop } objects
+ */
+const getDrops = (board, color, pocket) => {
+  const types = DROP_PIECES.filter(type => pocket[type] > 0);
+
+  if (types.length === 0) return [];
+
+  // A drop cannot expose the king, so it only needs testing when in check
+  const inCheck = isInCheck(board, color);
+  const drops = [];
+
+  for (const cell of board.filter(cell => !cell.piece)) {
+    const isBackRank = cell.position[1] === '1' || cell.position[1] === '8';
+
+    for (const type of types) {
+      if (type === 'pawn' && isBackRank) continue;
+      if (inCheck && isInCheck(setPieceAtPosition(board, cell.position, { type, color }), color)) continue;
+
+      drops.push({ from: null, to: cell.position, promotionPiece: null, drop: type });
+    }
+  }
+
+  return drops;
+};
+
+export const crazyhouse = {
+  id: 'crazyhouse',
+  name: '瘋狂屋',
+  pgnName: 'Crazyhouse',
+
+  initialState: () => ({ pockets: { white: emptyPocket(), black: emptyPocket() } }),
+
+  /**
+   * Generates the legal moves, drops included.
+   * @param {Array} board - The board array
+   * @param {string} color - The color to move
+   * @param {Object} lastMove - The last move made (for en passant)
+   * @param {Object} state - { pockets }
+   * @returns {Array} Array of { from, to, promotionPiece, drop } objects
+   */
+  getLegalMoves: (board, color, lastMove = null, state = null) => {
+    const moves = getLegalMoves(board, color, lastMove);
+    return state ? [...moves, ...getDrops(board, color, state.pockets[color])] : moves;
+  },
+
+  /**
+   * Marks promoted pieces so they are pocketed as pawns when captured.
+   * @param {Array} board - The board after the standard move
+   * @param {Object} moveInfo - Move information from applyMove
+   * @returns {Array} The board
+   */
+  afterMove: (board, moveInfo) => {
+    if (!moveInfo.isPromotion) return board;
+
+    return setPieceAtPosition(board, moveInfo.to, {
+      type: moveInfo.promotionPiece,
+      color: moveInfo.piece.color,
+      ...(moveInfo.promotionPiece === 'rook' && { hasMoved: true }),
+      promoted: true
+    });
+  },
+
+  /**
+   * Drops a piece from the pocket.
+   * @param {Array} board - The board array
+   * @param {Object} piece - { type, color }
+   * @param {string} to - The empty square to drop on
+   * @returns {Array} The new board
+   */
+  applyDrop: (board, piece, to) => {
+    // Dropped rooks cannot castle; pawns dropped on their second rank may still advance two squares
+    return setPieceAtPosition(board, to, { type: piece.type, color: piece.color, hasMoved: true });
+  },
+
+  /**
+   * Moves captured pieces to the capturer's pocket and takes dropped pieces out.
+   * @param {Object} state - { pockets }
+   * @param {Object} move - The move record
+   * @returns {Object} The new state
+   */
+  updateState: (state, move) => {
+    const color = move.piece.color;
+    const pocket = { ...state.pockets[color] };
+
+    if (move.drop) {
+      pocket[move.drop]--;
+    } else if (move.isEnPassant) {
+      pocket.pawn++;
+    } else if (move.capturedPiece) {
+      pocket[move.capturedPiece.promoted ? 'pawn' : move.capturedPiece.type]++;
+    } else {
+      return state;
+    }
+
+    return { ...state, pockets: { ...state.pockets, [color]: pocket } };
+  },
+
+  // Captured pieces stay in play, so the material never runs out
+  hasInsufficientMaterial: () => false
+};
@@ -0,0 +1,183 @@
+/**
+ * Chess variants.
+ * A variant is the standard rules plus optional hooks; the engine calls a hook
+ * where the variant has one and uses the standard rule otherwise:
+ *
+ * - getLegalMoves(board, color, lastMove, variantState): replaces the move generator
+ * - afterMove(board, moveInfo): side effects of a move, returns the new board
+ * - applyDrop(board, piece, to): places a piece from the pocket, for variants
+ *   whose move generator lists drops ({ from: null, to, drop })
+ * - isInCheck(board, color): replaces the check test
+ * - getOutcome({ board, currentTurn, lastMove, variantState }): extra win
+ *   conditions, tried before checkmate and the draw rules
+ * - hasInsufficientMaterial(board): replaces the dead-position test
+ * - initialState() / updateState(state, move): extra game state kept on the
+ *   game document as variantState, e.g. the checks given in Three-check
+ */
+
+import { getLegalMoves, applyMove, isInCheck } from '../rules';
+import { kingOfTheHill } from './kingOfTheHill';
+import { threeCheck } from './threeCheck';
+import { atomic } from './atomic';
+import { crazyhouse } from './crazyhouse';
+
+export { DROP_PIECES } from './crazyhouse';
+
+export const VARIANTS = {
+  standard: { id: 'standard', name: '標準' },
+  // Only the starting position differs; castling rules cover it (see rules/castling.js)
+  chess960: { id: 'chess960', name: 'Chess960', pgnName: 'Chess960' },
+  kingOfTheHill,
+  threeCheck,
+  atomic,
+  crazyhouse
+};
+
+/**
+ * Gets a variant by ID.
+ * @param {string} id - Variant ID; games without one are standard chess
+ * @returns {Object} The variant
+ * @throws {Error} If the variant is unknown
+ */
+export const getVariant = (id) => {
+  const variant = VARIANTS[id || 'standard'];
+
+  if (!variant) {
+    throw new Error(`Unknown variant "${id}"`);
+  }
+
+  return variant;
+};
+
+/**
+ * Gets the variant a game is played under.
+ * @param {Object} game - Game data with variant (Chess960 games may only have chess960Position)
+ * @returns {Object} The variant
+ * @throws {Error} If the variant is unknown
+ */
+export const getGameVariant = (game) => {
+  if (!game.variant && Number.isInteger(game.chess960Position)) {
+    return VARIANTS.chess960;
+  }
+
+  return getVariant(game.variant);
+};
+
+/**
+ * Gets a variant by the name used in the PGN Variant tag.
+ * @param {string} pgnName - Tag value; a missing tag or "Standard" means standard chess
+ * @returns {Object} The variant
+ * @throws {Error} If the variant is not supported
+ */
+export const getVariantByPgnName = (pgnName) => {
+  if (!pgnName || pgnName.toLowerCase() === 'standard') {
+    return VARIANTS.standard;
+  }
+
+  const variant = Object.values(VARIANTS).find(candidate =>
+    candidate.pgnName && candidate.pgnName.toLowerCase() === pgnName.toLowerCase()
+  );
+
+  if (!variant) {
+    throw new Error(`Unsupported variant "${pgnName}"`);
+  }
+
+  return variant;
+};
+
+/**
+ * Lists the legal moves under a variant's rules.
+ * @param {Object} variant - The variant
+ * @param {Array} board - The board array
+ * @param {string} color - The color to move
+ * @param {Object} lastMove - The last move made
+ * @param {Object} variantState - Extra state kept by the variant, e.g. the pockets in Crazyhouse
+ * @returns {Array} Array of { from, to, promotionPiece } objects, plus drop for drops
+ */
+export const getVariantLegalMoves = (variant, board, color, lastMove = null, variantState = null) => {
+  return variant.getLegalMoves
+    ? variant.getLegalMoves(board, color, lastMove, variantState)
+    : getLegalMoves(board, color, lastMove);
+};
+
+/**
+ * Applies a move with the variant's side effects.
+ * @param {Object} variant - The variant
+ * @param {Array} board - The board array
+ * @param {string} from - Starting position
+ * @param {string} to - Ending position
+ * @param {Object} lastMove - The last move made
+ * @param {string} promotionPiece - The piece to promote to (if pawn promotion)
+ * @returns {Object} { board, moveInfo }
+ */
+export const applyVariantMove = (variant, board, from, to, lastMove = null, promotionPiece = 'queen') => {
+  const result = applyMove(board, from, to, lastMove, promotionPiece);
+
+  if (!variant.afterMove || !result.moveInfo) {
+    return result;
+  }
+
+  return { board: variant.afterMove(result.board, result.moveInfo), moveInfo: result.moveInfo };
+};
+
+/**
+ * Drops a piece from the pocket.
+ * @param {Object} variant - The variant
+ * @param {Array} board - The board array
+ * @param {Object} piece - { type, color }
+ * @param {string} to - The empty square to drop on
+ * @returns {Object} { board, moveInfo }
+ * @throws {Error} If the variant has no drops
+ */
+export const applyVariantDrop = (variant, board, piece, to) => {
+  if (!variant.applyDrop) {
+    throw new Error(`${variant.name} has no drops`);
+  }
+
+  const moveInfo = {
+    from: null,
+    to,
+    piece,
+    capturedPiece: null,
+    drop: piece.type,
+    isCheck: false,
+    isCheckmate: false,
+    isPromotion: false,
+    isCastling: false,
+    isEnPassant: false,
+    drawType: null
+  };
+
+  return { board: variant.applyDrop(board, piece, to), moveInfo };
+};
+
+/**
+ * Checks whether a side is in check under a variant's rules.
+ * @param {Object} variant - The variant
+ * @param {Array} board - The board array
+ * @param {string} color - The color to check
+ * @returns {boolean} True if in check
+ */
+export const isVariantInCheck = (variant, board, color) => {
+  return variant.isInCheck ? variant.isInCheck(board, color) : isInCheck(board, color);
+};
+
+/**
+ * Gets the extra state a variant keeps at the start of a game.
+ * @param {Object} variant - The variant
+ * @returns {Object|null} The initial state, or null if the variant keeps none
+ */
+export const getInitialVariantState = (variant) => {
+  return variant.initialState ? variant.initialState() : null;
+};
+
+/**
+ * Updates a variant's extra state after a move.
+ * @param {Object} variant - The variant
+ * @param {Object|null} state - The state before the move
+ * @param {Object} move - The move record, with isCheck set
+ * @returns {Object|null} The state after the move
+ */
+export const updateVariantState = (variant, state, move) => {
+  return variant.updateState ? variant.updateState(state, move) : state;
+};
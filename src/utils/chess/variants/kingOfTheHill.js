@@ -0,0 +1,27 @@
+/**
+ * King of the Hill: a player also wins by bringing their king to one of the
+ * four centre squares.
+ */
+
+import { findKingPosition } from '../board';
+
+const HILL = ['d4', 'e4', 'd5', 'e5'];
+
+export const kingOfTheHill = {
+  id: 'kingOfTheHill',
+  name: '山丘之王',
+  pgnName: 'King of the Hill',
+
+  /**
+   * Checks whether a king has reached the centre.
+   * @param {Object} state - { board }
+   * @returns {Object|null} { winner, reason } or null
+   */
+  getOutcome: ({ board }) => {
+    const winner = ['white', 'black'].find(color => HILL.includes(findKingPosition(board, color)));
+    return winner ? { winner, reason: 'King of the hill' } : null;
+  },
+
+  // Even a bare king can still walk to the centre
+  hasInsufficientMaterial: () => false
+};
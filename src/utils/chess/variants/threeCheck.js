@@ -0,0 +1,48 @@
+/**
+ * Three-check: a player also wins by giving check for the third time.
+ * The checks given by each side are kept as the variant state.
+ */
+
+const CHECKS_TO_WIN = 3;
+
+/**
+ * Checks whether only the kings are left.
+ * @param {Array} board - The board array
+ * @returns {boolean} True if no other piece is left to give check
+ */
+const hasOnlyKings = (board) => board.every(cell => !cell.piece || cell.piece.type === 'king');
+
+export const threeCheck = {
+  id: 'threeCheck',
+  name: '三將制勝',
+  pgnName: 'Three-check',
+
+  initialState: () => ({ checks: { white: 0, black: 0 } }),
+
+  /**
+   * Counts a check given by the move.
+   * @param {Object} state - { checks: { white, black } }
+   * @param {Object} move - The move record, with isCheck set
+   * @returns {Object} The new state
+   */
+  updateState: (state, move) => {
+    if (!move.isCheck) return state;
+
+    const color = move.piece.color;
+    return { ...state, checks: { ...state.checks, [color]: state.checks[color] + 1 } };
+  },
+
+  /**
+   * Checks whether a side has given its third check.
+   * @param {Object} state - { variantState }
+   * @returns {Object|null} { winner, reason } or null
+   */
+  getOutcome: ({ variantState }) => {
+    const checks = variantState ? variantState.checks : { white: 0, black: 0 };
+    const winner = ['white', 'black'].find(color => checks[color] >= CHECKS_TO_WIN);
+    return winner ? { winner, reason: 'Three checks' } : null;
+  },
+
+  // Any piece besides the king can still give check
+  hasInsufficientMaterial: hasOnlyKings
+};
@@ -0,0 +1,203 @@
+/**
+ * Zobrist hashing of chess positions for repetition detection.
+ * A position is identified by its pieces, the side to move, the castling
+ * rights and whether an en passant capture is actually possible (FIDE 9.2.3).
+ * Hashes are 64-bit values stored as 16-character hex strings.
+ */
+
+import { positionToIndices } from './utils';
+import { getCastlingRights, getEnPassantTarget } from './fen';
+import { getEnPassantMoves, wouldMoveResultInCheck } from './rules';
+
+const PIECE_TYPES = ['pawn', 'knight', 'bishop', 'rook', 'queen', 'king'];
+const CASTLING_RIGHTS = ['K', 'Q', 'k', 'q'];
+const FILES = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+
+/**
+ * Creates a seeded 32-bit pseudo-random generator (mulberry32).
+ * The seed is fixed so every client derives the same keys.
+ * @param {number} seed - The seed
+ * @returns {Function} Generator returning unsigned 32-bit integers
+ */
+const createRandom = (seed) => {
+  let state = seed;
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+};
+
+const random = createRandom(0x2545F491);
+
+// A 64-bit key as [high, low] 32-bit halves
+const randomKey = () => [random(), random()];
+
+const PIECE_KEYS = {};
+['white', 'black'].forEach(color => {
+  PIECE_KEYS[color] = {};
+  PIECE_TYPES.forEach(type => {
+    PIECE_KEYS[color][type] = Array.from({ length: 64 }, randomKey);
+  });
+});
+
+// XORed in when black is to move
+const SIDE_KEY = randomKey();
+
+const CASTLING_KEYS = {};
+CASTLING_RIGHTS.forEach(right => {
+  CASTLING_KEYS[right] = randomKey();
+});
+
+const EN_PASSANT_KEYS = {};
+FILES.forEach(file => {
+  EN_PASSANT_KEYS[file] = randomKey();
+});
+
+// Chess960 castling rights written as the rook's file. These keys are drawn
+// last so that hashes already stored for standard games keep their values.
+FILES.forEach(file => {
+  CASTLING_KEYS[file.toUpperCase()] = randomKey();
+  CASTLING_KEYS[file] = randomKey();
+});
+
+/**
+ * XORs a key into a hash.
+ * @param {Array} hash - [high, low] hash value
+ * @param {Array} key - [high, low] key
+ * @returns {Array} New hash value
+ */
+const xorKey = (hash, key) => [(hash[0] ^ key[0]) >>> 0, (hash[1] ^ key[1]) >>> 0];
+
+/**
+ * Formats a hash value as a hex string.
+ * @param {Array} hash - [high, low] hash value
+ * @returns {string} 16-character hex string
+ */
+const toHex = (hash) => hash.map(half => half.toString(16).padStart(8, '0')).join('');
+
+/**
+ * Parses a hex string back into a hash value.
+ * @param {string} hex - 16-character hex string
+ * @returns {Array} [high, low] hash value
+ */
+const fromHex = (hex) => [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8), 16)];
+
+/**
+ * Gets the key of a piece standing on a square.
+ * @param {Object} piece - The piece
+ * @param {string} position - The square
+ * @returns {Array} [high, low] key
+ */
+const getPieceKey = (piece, position) => {
+  const [row, col] = positionToIndices(position);
+  return PIECE_KEYS[piece.color][piece.type][row * 8 + col];
+};
+
+/**
+ * Gets the file on which the side to move can legally capture en passant.
+ * A two-square pawn push only changes the position when a capture is possible.
+ * @param {Array} board - The board array
+ * @param {string} color - The side to move
+ * @param {Object} lastMove - The last move made
+ * @returns {string|null} The file of the en passant square, or null
+ */
+export const getEnPassantFile = (board, color, lastMove) => {
+  const target = getEnPassantTarget(board, lastMove);
+  if (!target) return null;
+
+  const canCapture = board.some(cell =>
+    cell.piece &&
+    cell.piece.type === 'pawn' &&
+    cell.piece.color === color &&
+    getEnPassantMoves(board, cell.position, lastMove).some(to =>
+      !wouldMoveResultInCheck(board, cell.position, to, color)
+    )
+  );
+
+  return canCapture ? target[0] : null;
+};
+
+/**
+ * Computes the Zobrist hash of a position from scratch.
+ * @param {Array} board - The board array
+ * @param {string} currentTurn - The side to move
+ * @param {Object} lastMove - The last move made (for en passant)
+ * @returns {string} The hash as a hex string
+ */
+export const computeHash = (board, currentTurn, lastMove = null) => {
+  let hash = [0, 0];
+
+  for (const cell of board) {
+    if (cell.piece) {
+      hash = xorKey(hash, getPieceKey(cell.piece, cell.position));
+    }
+  }
+
+  if (currentTurn === 'black') {
+    hash = xorKey(hash, SIDE_KEY);
+  }
+
+  for (const right of getCastlingRights(board)) {
+    if (CASTLING_KEYS[right]) {
+      hash = xorKey(hash, CASTLING_KEYS[right]);
+    }
+  }
+
+  const enPassantFile = getEnPassantFile(board, currentTurn, lastMove);
+  if (enPassantFile) {
+    hash = xorKey(hash, EN_PASSANT_KEYS[enPassantFile]);
+  }
+
+  return toHex(hash);
+};
+
+/**
+ * Updates a hash incrementally after a move, touching only what changed.
+ * Castling, en passant and promotion need no special cases because the
+ * changed squares are found by comparing the two boards.
+ * @param {string} hash - Hash of the position before the move
+ * @param {Object} before - { board, currentTurn, lastMove } before the move
+ * @param {Object} after - { board, currentTurn, lastMove } after the move
+ * @returns {string} Hash of the position after the move
+ */
+export const updateHash = (hash, before, after) => {
+  let value = fromHex(hash);
+
+  // Boards keep their square order when moves are applied
+  after.board.forEach((cell, index) => {
+    const oldPiece = before.board[index].piece;
+    const newPiece = cell.piece;
+
+    if (oldPiece && newPiece && oldPiece.type === newPiece.type && oldPiece.color === newPiece.color) {
+      return;
+    }
+
+    if (oldPiece) value = xorKey(value, getPieceKey(oldPiece, cell.position));
+    if (newPiece) value = xorKey(value, getPieceKey(newPiece, cell.position));
+  });
+
+  if (before.currentTurn !== after.currentTurn) {
+    value = xorKey(value, SIDE_KEY);
+  }
+
+  const rightsBefore = getCastlingRights(before.board);
+  const rightsAfter = getCastlingRights(after.board);
+
+  Object.keys(CASTLING_KEYS).forEach(right => {
+    if (rightsBefore.includes(right) !== rightsAfter.includes(right)) {
+      value = xorKey(value, CASTLING_KEYS[right]);
+    }
+  });
+
+  const fileBefore = getEnPassantFile(before.board, before.currentTurn, before.lastMove);
+  const fileAfter = getEnPassantFile(after.board, after.currentTurn, after.lastMove);
+
+  if (fileBefore) value = xorKey(value, EN_PASSANT_KEYS[fileBefore]);
+  if (fileAfter) value = xorKey(value, EN_PASSANT_KEYS[fileAfter]);
+
+  return toHex(value);
+};
\ No newline at end of file
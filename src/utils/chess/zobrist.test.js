@@ -0,0 +1,87 @@
+/**
+ * Zobrist hashing and repetition detection.
+ */
+
+import { computeHash, getEnPassantFile } from './zobrist';
+import { fenToBoard } from './fen';
+import { ChessGame } from './game';
+
+const hashFen = (fen) => {
+  const { board, currentTurn, lastMove } = fenToBoard(fen);
+  return computeHash(board, currentTurn, lastMove);
+};
+
+const playMoves = (sanMoves, startFen = null) => {
+  const chess = new ChessGame(startFen);
+  sanMoves.forEach(san => chess.move(san));
+  return chess;
+};
+
+describe('zobrist hashing', () => {
+  test('incremental updates match a full recomputation', () => {
+    // Covers castling on both sides, en passant, captures and promotion
+    const chess = playMoves([
+      'e4', 'd5', 'e5', 'f5', 'exf6', 'Nc6', 'fxg7', 'Be6', 'gxh8=Q', 'Qd7',
+      'Nf3', 'O-O-O', 'Bb5', 'a6', 'O-O'
+    ]);
+
+    expect(chess.hash()).toBe(hashFen(chess.fen()));
+  });
+
+  test('transpositions reach the same hash', () => {
+    const first = playMoves(['Nf3', 'Nf6', 'Nc3', 'Nc6']);
+    const second = playMoves(['Nc3', 'Nc6', 'Nf3', 'Nf6']);
+
+    expect(first.hash()).toBe(second.hash());
+  });
+
+  test('side to move changes the hash', () => {
+    expect(hashFen('4k3/8/8/8/8/8/8/4K3 w - - 0 1'))
+      .not.toBe(hashFen('4k3/8/8/8/8/8/8/4K3 b - - 0 1'));
+  });
+
+  test('castling rights change the hash', () => {
+    expect(hashFen('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1'))
+      .not.toBe(hashFen('r3k2r/8/8/8/8/8/8/R3K2R w Qkq - 0 1'));
+  });
+
+  test('en passant only counts when a capture is possible', () => {
+    // No black pawn can take on e3
+    expect(hashFen('4k3/8/8/8/4P3/8/8/4K3 b - e3 0 1'))
+      .toBe(hashFen('4k3/8/8/8/4P3/8/8/4K3 b - - 0 1'));
+
+    // The d4 pawn can take on e3
+    expect(hashFen('4k3/8/8/8/3pP3/8/8/4K3 b - e3 0 1'))
+      .not.toBe(hashFen('4k3/8/8/8/3pP3/8/8/4K3 b - - 0 1'));
+  });
+
+  test('a pinned pawn cannot capture en passant', () => {
+    const { board, currentTurn, lastMove } = fenToBoard('8/8/8/8/k2pP2Q/8/8/4K3 b - e3 0 1');
+    expect(getEnPassantFile(board, currentTurn, lastMove)).toBeNull();
+  });
+});
+
+describe('repetition', () => {
+  const shuffle = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+
+  test('threefold repetition can be claimed but does not end the game', () => {
+    const chess = playMoves([...shuffle, ...shuffle]);
+
+    expect(chess.canClaimThreefoldRepetition()).toBe(true);
+    expect(chess.outcome()).toBeNull();
+  });
+
+  test('fivefold repetition ends the game', () => {
+    const chess = playMoves([...shuffle, ...shuffle, ...shuffle, ...shuffle]);
+
+    expect(chess.outcome()).toEqual({ winner: 'draw', reason: 'Fivefold repetition' });
+  });
+
+  test('losing castling rights makes positions different', () => {
+    // The kings return home but can no longer castle
+    const chess = playMoves(['e4', 'e5', 'Ke2', 'Ke7', 'Ke1', 'Ke8', 'Ke2', 'Ke7', 'Ke1', 'Ke8']);
+
+    expect(chess.positionHashes().filter(hash => hash === chess.hash())).toHaveLength(2);
+    expect(chess.canClaimThreefoldRepetition()).toBe(false);
+  });
+});
\ No newline at end of file